@@ -1,419 +1,286 @@
 // tools/generate-camping-caravan.mjs
-// Snake-like "hiker" animation across GitHub contributions grid,
-// with a tent at the final cell + campfires with smoke.
+// CLI wrapper around ./lib: fetches (or reads) the contribution calendar and
+// writes the trail in the selected style (hiker, caravan, ...) as SVG and,
+// optionally, PNG/GIF/APNG/MP4.
+// Run with --help for options.
 //
-// Outputs:
+// Default outputs:
 //   dist/assets/camping-caravan-dark.svg
 //   dist/assets/camping-caravan-light.svg
 
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
-
-const LOGIN = process.env.GITHUB_LOGIN || "lakisicaslt";
-const TOKEN = process.env.GITHUB_TOKEN;
-
-if (!TOKEN) {
-  console.error("Missing GITHUB_TOKEN env var.");
-  process.exit(1);
+import { fileURLToPath } from "url";
+import { EXIT_FAILURE, EXIT_USAGE, HELP, UsageError, loadConfig, outputName, parseCli } from "./lib/cli.mjs";
+import {
+  addDays,
+  calendarHash,
+  combineCalendars,
+  fetchActivity,
+  computeStats,
+  fetchCalendar,
+  fetchCalendarRanges,
+  fetchCalendars,
+  fetchLifetimeCalendar,
+  fetchLifetimeCalendars,
+  fetchMembers,
+  fetchSourceCalendar,
+  formatAsOf,
+  GitHubError,
+  minifySvg,
+  readCache,
+  readCalendarFile,
+  renderEmbed,
+  renderTrail,
+  sumActivity,
+  selectRanges,
+  SourceError,
+  sumCalendars,
+  todayIn,
+  writeCache,
+  writeCalendarFile,
+} from "./lib/index.mjs";
+import { renderAnimation, renderPoster } from "./lib/raster/index.mjs";
+
+// Progress lines ("Generated: ...") go to stdout, unless stdout carries the
+// --stats-json output; main() switches them to stderr then.
+let progress = console.log;
+
+async function fetchSelected({ login, api, dates, breakdown, timeZone }) {
+  let calendar;
+  if (dates === "lifetime") calendar = await fetchLifetimeCalendar(login, api);
+  else if (dates) calendar = await fetchCalendarRanges(login, dates, api);
+  else calendar = await fetchCalendar(login, api);
+  if (breakdown) calendar.activity = await fetchActivity(login, calendar, api, { timeZone });
+  return calendar;
 }
 
-const OUT_DIR = path.join(process.cwd(), "dist", "assets");
-fs.mkdirSync(OUT_DIR, { recursive: true });
-
-async function gql(query, variables) {
-  const res = await fetch("https://api.github.com/graphql", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `bearer ${TOKEN}`,
-      "User-Agent": "camping-hiker-generator",
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const json = await res.json();
-  if (!res.ok || json.errors) {
-    console.error(JSON.stringify(json, null, 2));
-    throw new Error("GitHub GraphQL query failed");
+// One user's calendar from every --source, combined with --merge. GitHub's
+// breakdown, when fetched, stays on the result.
+async function fetchSources(opts) {
+  const today = todayIn(opts.timeZone);
+  const ranges = opts.dates === "lifetime" ? null : (opts.dates ?? [{ from: addDays(today, -364), to: today }]);
+  const calendars = [];
+  let activity;
+  for (const name of opts.sources) {
+    if (name === "github") {
+      const calendar = await fetchSelected(opts);
+      activity = calendar.activity;
+      calendars.push(calendar);
+    } else {
+      calendars.push(await fetchSourceCalendar(name, opts.sourceOptions[name], ranges, today));
+    }
   }
-  return json.data;
-}
-
-function quantile(sorted, q) {
-  const pos = (sorted.length - 1) * q;
-  const base = Math.floor(pos);
-  const rest = pos - base;
-  if (sorted[base + 1] === undefined) return sorted[base];
-  return sorted[base] + rest * (sorted[base + 1] - sorted[base]);
+  if (calendars.length === 1) return calendars[0];
+  const combined = combineCalendars(calendars, opts.merge);
+  return activity ? { ...combined, activity } : combined;
 }
 
-function buildThresholds(counts) {
-  const nz = counts.filter((c) => c > 0).sort((a, b) => a - b);
-  if (nz.length === 0) return [0, 1, 2, 3];
-  const q1 = Math.max(1, Math.round(quantile(nz, 0.25)));
-  const q2 = Math.max(q1 + 1, Math.round(quantile(nz, 0.5)));
-  const q3 = Math.max(q2 + 1, Math.round(quantile(nz, 0.75)));
-  const q4 = Math.max(q3 + 1, Math.round(quantile(nz, 0.9)));
-  return [q1, q2, q3, q4];
-}
-
-function levelFor(count, t) {
-  if (count <= 0) return 0;
-  if (count <= t[0]) return 1;
-  if (count <= t[1]) return 2;
-  if (count <= t[2]) return 3;
-  return 4;
+// Team mode: the members' calendars, summed into the one the grid shows.
+// Saved/loaded as { weeks, members: { login: calendar } }.
+async function fetchTeam({ logins, org, team, api, dates, breakdown, timeZone }) {
+  const members = org ? await fetchMembers(org, { team, ...api }) : logins;
+  if (members.length === 0) throw new Error(`${team ? `Team "${org}/${team}"` : `"${org}"`} has no visible members`);
+  progress(`Fetching ${members.length} calendars`);
+  const calendars =
+    dates === "lifetime" ? await fetchLifetimeCalendars(members, api) : await fetchCalendars(members, dates, api);
+  const sum = sumCalendars([...calendars.values()]);
+  if (breakdown) {
+    for (const [login, calendar] of calendars) calendar.activity = await fetchActivity(login, calendar, api, { timeZone });
+    sum.activity = sumActivity([...calendars.values()].map((c) => c.activity));
+  }
+  return { ...sum, members: Object.fromEntries(calendars) };
 }
 
-function escapeXml(s) {
-  return String(s)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&apos;");
+// Fetch, falling back to the cache when GitHub (or another source) fails.
+// -> { calendar, asOf? }
+async function fetchWithFallback(opts) {
+  try {
+    return { calendar: opts.isTeam ? await fetchTeam(opts) : await fetchSources(opts) };
+  } catch (e) {
+    const cached = opts.cache && readCache(opts.cache);
+    if (!cached || !(e instanceof GitHubError || e instanceof SourceError)) throw e;
+    console.warn(`${e.message}\nRendering the cached calendar from ${cached.fetchedAt} instead.`);
+    // the outputs now carry the stale marker: make the next good fetch re-render
+    writeCache(opts.cache, { ...cached, hash: null });
+    return { calendar: cached.calendar, asOf: cached.fetchedAt };
+  }
 }
 
-// pick a few "campfire" cells: prefer lvl>=3, then lvl==2
-function pickCampfires(highCells, max = 4) {
-  const lvl3 = highCells.filter((c) => c.lvl >= 3);
-  const lvl2 = highCells.filter((c) => c.lvl === 2);
-
-  const picked = [];
-  // take from the most recent activity (end of list is recent)
-  for (let i = lvl3.length - 1; i >= 0 && picked.length < max; i--) picked.push(lvl3[i]);
-  for (let i = lvl2.length - 1; i >= 0 && picked.length < max; i--) picked.push(lvl2[i]);
+// -> { calendar, members: [{ login, calendar }], asOf? }; members only for
+// team trails, asOf only when rendering stale data from the cache
+async function loadCalendar(opts) {
+  let calendar;
+  let asOf;
+  if (opts.input) {
+    calendar = await readCalendarFile(opts.input, { timeZone: opts.timeZone });
+  } else {
+    ({ calendar, asOf } = await fetchWithFallback(opts));
+    if (opts.dumpCalendar && !asOf) {
+      writeCalendarFile(opts.dumpCalendar, calendar);
+      progress("Saved calendar:", opts.dumpCalendar);
+    }
+  }
 
-  // ensure unique x,y
-  const seen = new Set();
-  return picked.filter((c) => {
-    const k = `${c.x},${c.y}`;
-    if (seen.has(k)) return false;
-    seen.add(k);
-    return true;
-  });
+  // the breakdown is keyed by date, so it needs no selecting
+  const select = (c) => (opts.input && Array.isArray(opts.dates) ? { ...selectRanges(c, opts.dates), activity: c.activity } : c);
+  const members = Object.entries(calendar.members ?? {}).map(([login, c]) => ({ login, calendar: select(c) }));
+  return { calendar: select(calendar), members, asOf };
 }
 
-function svgForTheme(calendar, theme) {
-  const weeks = calendar.weeks || [];
-  const W = weeks.length;
-
-  // Sizing
-  const cell = 12;
-  const gap = 3;
-  const pad = 18;
-
-  const width = pad * 2 + W * (cell + gap) - gap;
-  const height = pad * 2 + 7 * (cell + gap) - gap;
-
-  // Collect counts for thresholds
-  const counts = [];
-  for (const w of weeks) {
-    for (const d of w.contributionDays || []) {
-      if (d && typeof d.contributionCount === "number") counts.push(d.contributionCount);
-    }
+// Fingerprint of this script and ./lib, so an update to the generator itself
+// re-renders even when the calendar and options are the same.
+function generatorVersion() {
+  const tools = path.dirname(fileURLToPath(import.meta.url));
+  const lib = fs
+    .readdirSync(path.join(tools, "lib"), { recursive: true })
+    .filter((file) => file.endsWith(".mjs"))
+    .map((file) => path.join("lib", file))
+    .sort();
+  const hash = crypto.createHash("sha256");
+  for (const file of [path.basename(fileURLToPath(import.meta.url)), ...lib]) {
+    hash.update(`${file}\n`).update(fs.readFileSync(path.join(tools, file)));
   }
-  const thresholds = buildThresholds(counts);
+  return hash.digest("hex").slice(0, 16);
+}
 
-  const palettes = {
-    dark: {
-      bg: "#0d1117",
-      grid0: "#161b22",
-      grid1: "#0e4429",
-      grid2: "#006d32",
-      grid3: "#26a641",
-      grid4: "#39d353",
-      text: "#c9d1d9",
-      path: "rgba(255,255,255,0.10)",
-      dash: "rgba(57,211,83,0.58)",
-      dashGlow: "rgba(57,211,83,0.22)",
-      hiker: "#c9d1d9",
-      tent: "#c9d1d9",
-      tentFill: "rgba(31,111,235,0.35)",
-      fire1: "#ffb74d",
-      fire2: "#ff7043",
-      smoke: "rgba(255,255,255,0.55)",
-    },
-    light: {
-      bg: "#ffffff",
-      grid0: "#ebedf0",
-      grid1: "#9be9a8",
-      grid2: "#40c463",
-      grid3: "#30a14e",
-      grid4: "#216e39",
-      text: "#24292f",
-      path: "rgba(0,0,0,0.10)",
-      dash: "rgba(48,161,78,0.58)",
-      dashGlow: "rgba(48,161,78,0.20)",
-      hiker: "#24292f",
-      tent: "#24292f",
-      tentFill: "rgba(9,105,218,0.22)",
-      fire1: "#ff9800",
-      fire2: "#ff5722",
-      smoke: "rgba(0,0,0,0.35)",
-    },
+// Everything besides the calendar that changes the output files.
+function renderKey(opts) {
+  const { login, style, path: route, seed, themes, adaptive, nameTemplate, formats, fps, scale, posterTime } = opts;
+  const { layout, thresholds, aggregate, stats, labels, locale, patterns, table, scenery, minify, breakdown } = opts;
+  const { sprites, convoyGap, weekStart, scaling, levels, breakpoints } = opts;
+  const config = opts.config ? fs.readFileSync(opts.config, "utf8") : null;
+  const spriteFiles = opts.spriteFiles.map((file) => fs.readFileSync(file, "utf8"));
+  return {
+    generator: generatorVersion(),
+    ...{ login, style, route, seed, themes, adaptive, nameTemplate, formats, fps, scale, posterTime },
+    ...{ layout, thresholds, aggregate, stats, labels, locale, patterns, table, scenery, minify, breakdown, config },
+    ...{ sprites, convoyGap, spriteFiles, weekStart, scaling, levels, breakpoints },
   };
+}
 
-  const p = palettes[theme];
-
-  // Grid + collect high activity cells
-  let rects = "";
-  const highCells = [];
-
-  for (let x = 0; x < W; x++) {
-    const days = weeks[x].contributionDays || [];
-    for (let y = 0; y < 7; y++) {
-      const day = days[y];
-
-      const rx = pad + x * (cell + gap);
-      const ry = pad + y * (cell + gap);
-
-      if (!day) {
-        rects += `<rect x="${rx}" y="${ry}" width="${cell}" height="${cell}" rx="3" ry="3" fill="${p.grid0}"></rect>\n`;
-        continue;
-      }
-
-      const lvl = levelFor(day.contributionCount, thresholds);
-      const fill = [p.grid0, p.grid1, p.grid2, p.grid3, p.grid4][lvl];
+// 48213 -> "47.1 KiB"
+function formatBytes(n) {
+  return n < 1024 ? `${n} B` : `${(n / 1024).toFixed(1)} KiB`;
+}
 
-      if (lvl >= 2) {
-        highCells.push({ x, y, lvl, date: day.date, count: day.contributionCount });
-      }
+// Let a workflow step decide whether to publish.
+function setOutput(name, value) {
+  if (process.env.GITHUB_OUTPUT) fs.appendFileSync(process.env.GITHUB_OUTPUT, `${name}=${value}\n`);
+}
 
-      rects += `<rect x="${rx}" y="${ry}" width="${cell}" height="${cell}" rx="3" ry="3" fill="${fill}">
-  <title>${escapeXml(day.date)} • ${day.contributionCount} contributions</title>
-</rect>\n`;
-    }
+async function main() {
+  const opts = parseCli(process.argv.slice(2), process.env);
+  if (opts.help) {
+    process.stdout.write(HELP);
+    return;
   }
-
-  // Snake path through every cell (no diagonals)
-  const points = [];
-  for (let x = 0; x < W; x++) {
-    const ys = x % 2 === 0 ? [0, 1, 2, 3, 4, 5, 6] : [6, 5, 4, 3, 2, 1, 0];
-    for (const y of ys) {
-      const px = pad + x * (cell + gap) + cell / 2;
-      const py = pad + y * (cell + gap) + cell / 2;
-      points.push({ px, py, x, y });
+  loadConfig(opts);
+  if (opts.statsJson === "-") progress = console.error;
+
+  const { calendar, members, asOf } = await loadCalendar(opts);
+
+  if (opts.statsJson) {
+    const json = JSON.stringify({ login: opts.login, ...computeStats(calendar) }, null, 2) + "\n";
+    if (opts.statsJson === "-") process.stdout.write(json);
+    else {
+      fs.mkdirSync(path.dirname(path.resolve(opts.statsJson)), { recursive: true });
+      fs.writeFileSync(opts.statsJson, json);
+      progress("Saved stats:", opts.statsJson);
     }
   }
 
-  const pathD = "M " + points.map((pt) => `${pt.px.toFixed(2)} ${pt.py.toFixed(2)}`).join(" L ");
-
-  // Slower + smoother
-  const durationSec = Math.min(48, Math.max(28, Math.round((W * 7) / 12)));
-
-  // Final cell (tent)
-  const end = points[points.length - 1];
-  const tentX = end.px;
-  const tentY = end.py;
-
-  // Pick campfires positions
-  const fires = pickCampfires(highCells, 4).map((c, idx) => {
-    const cx = pad + c.x * (cell + gap) + cell / 2;
-    const cy = pad + c.y * (cell + gap) + cell / 2;
-    return { cx, cy, idx };
-  });
-
-  // Hiker icon (cleaner + slightly bolder + subtle shadow)
-  const hikerIcon = `
-    <g id="hiker" transform="translate(-9,-11)" stroke="${p.hiker}" stroke-width="1.7"
-       stroke-linecap="round" stroke-linejoin="round" fill="none">
-      <!-- subtle shadow -->
-      <g opacity="0.18" transform="translate(0.8,0.8)">
-        <circle cx="9" cy="5" r="2.2" fill="${p.hiker}" stroke="none"/>
-        <path d="M9 7.6v5.6" />
-        <path d="M9 10.7l-3.6 2.6" />
-        <path d="M9 10.7l3.4 2.3" />
-        <path d="M9 13.2l-2.9 5.4" />
-        <path d="M9 13.2l3.2 5.4" />
-        <path d="M11.9 9.2c1.5.6 2.3 1.9 2.3 3.6v2.6c0 .6-.5 1.1-1.1 1.1h-1.2" />
-        <path d="M3.6 13.0v7.2" />
-        <path d="M2.9 20.2h1.6" />
-      </g>
-
-      <!-- main -->
-      <circle cx="9" cy="5" r="2.2" fill="${p.hiker}" stroke="none" opacity="0.95"/>
-      <path d="M9 7.6v5.6" />
-      <path d="M9 10.7l-3.6 2.6" />
-      <path d="M9 10.7l3.4 2.3" />
-      <path d="M9 13.2l-2.9 5.4" />
-      <path d="M9 13.2l3.2 5.4" />
-      <!-- backpack -->
-      <path d="M11.9 9.2c1.5.6 2.3 1.9 2.3 3.6v2.6c0 .6-.5 1.1-1.1 1.1h-1.2" />
-      <!-- trekking pole -->
-      <path d="M3.6 13.0v7.2" />
-      <path d="M2.9 20.2h1.6" />
-    </g>
-  `;
-
-  // Tent icon at the end (fixed)
-  const tentIcon = `
-    <g id="tent" transform="translate(${tentX.toFixed(2)} ${tentY.toFixed(2)}) translate(-11,-10)">
-      <path d="M2 18L11 3l9 15H2z" fill="${p.tentFill}" stroke="${p.tent}" stroke-width="1.2" stroke-linejoin="round"/>
-      <path d="M11 3v15" stroke="${p.tent}" stroke-width="1.2" opacity="0.75"/>
-      <path d="M9.6 18c.3-3.6 1.1-6.2 1.4-6.2s1.1 2.6 1.4 6.2" fill="none" stroke="${p.tent}" stroke-width="1.1" opacity="0.85"/>
-    </g>
-  `;
-
-  // Campfire + smoke
-  function fireGroup(cx, cy, idx) {
-    const id = `fire${idx}`;
-    const delay = (idx * 0.4).toFixed(2);
-    return `
-      <g id="${id}" transform="translate(${cx.toFixed(2)} ${cy.toFixed(2)}) translate(-10,-8)">
-        <!-- logs -->
-        <path d="M3 15l6-3" stroke="${p.text}" stroke-width="1.2" opacity="0.35" stroke-linecap="round"/>
-        <path d="M17 15l-6-3" stroke="${p.text}" stroke-width="1.2" opacity="0.35" stroke-linecap="round"/>
-        <!-- flame -->
-        <path d="M10.5 5.5c1.2 1.7.9 3.1-.2 4.2.4-.2 1.5-.8 1.8-2 .6 1.2 1.1 3.4-.6 5.0-1.2 1.1-3.3 1.1-4.5-.2-1.3-1.4-1.1-3.7.6-5.5-.2 1.4.6 2.2 1.6 2.6-1.3-1.6-.8-2.9 1.3-4.1z"
-              fill="${p.fire2}" opacity="0.95"/>
-        <path d="M10.4 7.0c.7 1 .5 1.8-.1 2.4.3-.1.8-.4 1.0-1.1.4.7.6 2.0-.3 2.9-.7.6-1.9.6-2.6-.1-.7-.8-.6-2.1.3-3.2-.1.8.3 1.3.9 1.5-.7-.9-.4-1.6.8-2.4z"
-              fill="${p.fire1}" opacity="0.95"/>
-
-        <!-- smoke puffs -->
-        <g opacity="0.9">
-          ${[0, 1, 2]
-            .map((k) => {
-              const dx = k === 0 ? -2 : k === 1 ? 0 : 2;
-              const dur = (2.6 + k * 0.4).toFixed(2);
-              const begin = `${delay}s`;
-              return `
-                <circle cx="${10 + dx}" cy="4" r="${1.6 - k * 0.1}"
-                        fill="${p.smoke}" opacity="0.0">
-                  <animate attributeName="opacity" values="0;0.55;0" dur="${dur}s" begin="${begin}" repeatCount="indefinite"/>
-                  <animateTransform attributeName="transform" type="translate"
-                    values="0 0; ${dx * 0.6} -10" dur="${dur}s" begin="${begin}" repeatCount="indefinite"/>
-                </circle>
-              `;
-            })
-            .join("\n")}
-        </g>
-      </g>
-    `;
+  // one job per file set: the adaptive SVG, or one per theme
+  const jobs = opts.adaptive
+    ? [{ theme: "adaptive", renderOpts: { adaptive: { dark: opts.themes[0], light: opts.themes[1] } } }]
+    : opts.themes.map((theme) => ({ theme, renderOpts: { theme } }));
+  const fileFor = (theme, format) =>
+    path.join(
+      opts.outDir,
+      outputName(opts.nameTemplate, { theme, style: opts.style, login: opts.login.replace(/[^\w.-]+/g, "-"), ext: format }),
+    );
+  const files = jobs.flatMap((job) => opts.formats.map((format) => fileFor(job.theme, format)));
+
+  // Fresh data: skip the render when neither the calendar nor the options changed
+  // since the cached run and its files are still there. The cache only takes the
+  // new hash once every file is written, so a run that fails halfway re-renders
+  // next time instead of keeping what it left behind.
+  const caching = opts.cache && !opts.input && !asOf;
+  const hash = caching ? calendarHash(calendar, renderKey(opts)) : null;
+  if (caching) {
+    const cached = readCache(opts.cache);
+    if (!opts.force && cached?.hash === hash && files.every((f) => fs.existsSync(f))) {
+      writeCache(opts.cache, { calendar, hash });
+      progress(`Nothing changed since the run at ${cached.fetchedAt}; keeping the existing files (--force to re-render).`);
+      setOutput("changed", "false");
+      return;
+    }
   }
 
-  const firesSvg = fires.map((f) => fireGroup(f.cx, f.cy, f.idx)).join("\n");
-
-  // SVG (note: motionPath is in defs for better compatibility)
-  const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg"
-     xmlns:xlink="http://www.w3.org/1999/xlink"
-     width="${width}" height="${height}"
-     viewBox="0 0 ${width} ${height}"
-     role="img" aria-label="Camping trail with hiker, campfires, and tent">
-  <defs>
-    <filter id="softGlow">
-      <feGaussianBlur stdDeviation="1.6" result="b"/>
-      <feMerge>
-        <feMergeNode in="b"/>
-        <feMergeNode in="SourceGraphic"/>
-      </feMerge>
-    </filter>
-
-    <path id="motionPath" d="${pathD}" />
-  </defs>
-
-  <rect width="100%" height="100%" fill="${p.bg}" rx="12" />
-
-  <!-- Contribution grid -->
-  <g>
-    ${rects}
-  </g>
-
-  <!-- Context path (subtle) -->
-  <path d="${pathD}" fill="none" stroke="${p.path}" stroke-width="1.6" stroke-linecap="round" />
-
-  <!-- Animated snake (tail + head) -->
-  <g filter="url(#softGlow)">
-    <!-- tail -->
-    <path d="${pathD}" fill="none" stroke="${p.dashGlow}" stroke-width="3.2" stroke-linecap="round"
-          stroke-dasharray="38 240" opacity="0.9">
-      <animate attributeName="stroke-dashoffset"
-               values="0; -9000"
-               dur="${durationSec}s"
-               repeatCount="indefinite"
-               calcMode="spline"
-               keySplines="0.42 0 0.58 1"/>
-    </path>
+  fs.mkdirSync(opts.outDir, { recursive: true });
 
-    <!-- head -->
-    <path d="${pathD}" fill="none" stroke="${p.dash}" stroke-width="3.0" stroke-linecap="round"
-          stroke-dasharray="16 280" opacity="1.0">
-      <animate attributeName="stroke-dashoffset"
-               values="0; -9000"
-               dur="${durationSec}s"
-               repeatCount="indefinite"
-               calcMode="spline"
-               keySplines="0.42 0 0.58 1"/>
-    </path>
-  </g>
-
-  <!-- Campfires with smoke -->
-  <g>
-    ${firesSvg}
-  </g>
-
-  <!-- Tent at the last cell -->
-  <g>
-    ${tentIcon}
-  </g>
-
-  <!-- Hiker moving along the path (top layer) -->
-  <g>
-    ${hikerIcon}
-    <use href="#hiker" xlink:href="#hiker">
-      <animateMotion dur="${durationSec}s"
-                     repeatCount="indefinite"
-                     rotate="auto"
-                     calcMode="spline"
-                     keyTimes="0;1"
-                     keySplines="0.42 0 0.58 1">
-        <mpath href="#motionPath" xlink:href="#motionPath"/>
-      </animateMotion>
-    </use>
-  </g>
-
-  <text x="${pad}" y="${height - 8}"
-        font-family="ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial"
-        font-size="12" fill="${p.text}" opacity="0.85">
-    🏕️ ${LOGIN} • camping trail
-  </text>
-</svg>
-`;
-  return svg;
-}
+  // the raster renderer warns about the text it skips for every file; once is enough
+  const warned = new Set();
+  const warnOnce = (message) => {
+    if (!warned.has(message)) console.warn(message);
+    warned.add(message);
+  };
 
-async function main() {
-  const query = `
-    query($login: String!) {
-      user(login: $login) {
-        contributionsCollection {
-          contributionCalendar {
-            weeks {
-              contributionDays {
-                date
-                contributionCount
-              }
-            }
-          }
-        }
-      }
+  for (const { theme, renderOpts } of jobs) {
+    const renderOptions = {
+      style: opts.style,
+      path: opts.path,
+      seed: opts.seed,
+      layout: opts.layout,
+      weekStart: opts.weekStart,
+      thresholds: opts.thresholds,
+      scale: opts.scaling,
+      levels: opts.levels,
+      breakpoints: opts.breakpoints,
+      login: opts.login,
+      members: opts.aggregate === "overlay" ? members : [],
+      asOf: asOf && formatAsOf(asOf),
+      stats: opts.stats,
+      labels: opts.labels,
+      locale: opts.locale,
+      patterns: opts.patterns,
+      table: opts.table,
+      scenery: opts.scenery,
+      sprites: opts.sprites,
+      convoyGap: opts.convoyGap,
+      ...renderOpts,
+    };
+    const svg = renderTrail(calendar, renderOptions);
+
+    for (const format of opts.formats) {
+      let data = svg;
+      let note = "";
+      if (format === "svg" && opts.minify) {
+        data = minifySvg(svg);
+        note = ` (${formatBytes(Buffer.byteLength(svg))} -> ${formatBytes(Buffer.byteLength(data))})`;
+      } else if (format === "html") data = renderEmbed(calendar, renderOptions);
+      else if (format === "png") data = renderPoster(svg, { time: opts.posterTime, scale: opts.scale, log: warnOnce });
+      else if (format !== "svg") data = await renderAnimation(svg, { format, fps: opts.fps, scale: opts.scale, log: warnOnce });
+
+      const file = fileFor(theme, format);
+      fs.writeFileSync(file, data);
+      progress(`Generated: ${file}${note}`);
     }
-  `;
-
-  const data = await gql(query, { login: LOGIN });
-  const calendar = data.user.contributionsCollection.contributionCalendar;
-
-  const darkSvg = svgForTheme(calendar, "dark");
-  const lightSvg = svgForTheme(calendar, "light");
-
-  fs.writeFileSync(path.join(OUT_DIR, "camping-caravan-dark.svg"), darkSvg, "utf8");
-  fs.writeFileSync(path.join(OUT_DIR, "camping-caravan-light.svg"), lightSvg, "utf8");
-
-  console.log("Generated SVGs: dist/assets/");
+  }
+  if (caching) writeCache(opts.cache, { calendar, hash });
+  setOutput("changed", "true");
 }
 
 main().catch((e) => {
+  if (e instanceof UsageError) {
+    console.error(`${e.message}\nRun with --help for usage.`);
+    process.exit(EXIT_USAGE);
+  }
+  if (e instanceof GitHubError || e instanceof SourceError) {
+    console.error(e.message);
+    process.exit(EXIT_FAILURE);
+  }
   console.error(e);
-  process.exit(1);
+  process.exit(EXIT_FAILURE);
 });
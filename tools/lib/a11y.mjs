@@ -0,0 +1,55 @@
+// Accessibility helpers: the reduced-motion stylesheet, the generated
+// <title>/<desc> text, and pattern fills that tell levels apart without colour.
+
+// Styles mark animated parts .ct-motion and their still stand-ins .ct-still
+// (hidden with display="none", which any CSS rule overrides).
+export const REDUCED_MOTION_CSS = `@media (prefers-reduced-motion: reduce) {
+  .ct-motion { display: none; }
+  .ct-still { display: inline; }
+}`;
+
+// "412 contributions over 52 weeks (2024-01-07 – 2024-12-31), 180 active days,
+// longest streak 14 days, busiest day 2024-05-02 with 31."
+export function describeActivity(stats, { weeks, locale = "en-US" }) {
+  const n = (v) => v.toLocaleString(locale);
+  const s = (v, word) => `${n(v)} ${word}${v === 1 ? "" : "s"}`;
+  if (!stats.from) return "No contribution data.";
+  const parts = [
+    `${s(stats.total, "contribution")} over ${s(weeks, "week")} (${stats.from} – ${stats.to})`,
+    s(stats.activeDays, "active day"),
+    `longest streak ${s(stats.longestStreak.length, "day")}`,
+  ];
+  if (stats.currentStreak.length) parts.push(`current streak ${s(stats.currentStreak.length, "day")}`);
+  if (stats.busiestDay) parts.push(`busiest day ${stats.busiestDay.date} with ${n(stats.busiestDay.count)}`);
+  return `${parts.join(", ")}.`;
+}
+
+// One texture per level above 0, drawn in the background colour over the
+// level's fill. The first four go densest for the busiest of the usual five
+// levels; the rest tell apart the levels of longer scales.
+const TEXTURES = [
+  (c) => `<circle cx="2" cy="2" r="0.9" fill="${c}"/>`,
+  (c) => `<path d="M0 4L4 0M-1 1L1 -1M3 5L5 3" stroke="${c}" stroke-width="0.9"/>`,
+  (c) => `<path d="M0 4L4 0M-1 1L1 -1M3 5L5 3M0 0L4 4M-1 3L1 5M3 -1L5 1" stroke="${c}" stroke-width="0.8"/>`,
+  (c) => `<path d="M0 1H4M0 3H4M1 0V4M3 0V4" stroke="${c}" stroke-width="0.7"/>`,
+  (c) => `<path d="M0 2H4" stroke="${c}" stroke-width="0.9"/>`,
+  (c) => `<path d="M2 0V4" stroke="${c}" stroke-width="0.9"/>`,
+  (c) => `<path d="M0 0L4 4M-1 3L1 5M3 -1L5 1" stroke="${c}" stroke-width="0.9"/>`,
+  (c) => `<circle cx="1" cy="1" r="0.7" fill="${c}"/><circle cx="3" cy="3" r="0.7" fill="${c}"/>`,
+  (c) => `<path d="M0 1H4M0 3H4" stroke="${c}" stroke-width="1.1"/>`,
+];
+
+export function patternId(level) {
+  return `ct-pattern-${level}`;
+}
+
+export function patternDefs(p, levels) {
+  const defs = [];
+  for (let level = 1; level < levels; level++) {
+    const texture = TEXTURES[Math.min(level - 1, TEXTURES.length - 1)];
+    defs.push(`    <pattern id="${patternId(level)}" width="4" height="4" patternUnits="userSpaceOnUse">
+      <g opacity="0.55">${texture(p.bg)}</g>
+    </pattern>`);
+  }
+  return defs.join("\n");
+}
@@ -0,0 +1,57 @@
+// Adaptive output: one SVG carrying both palettes as CSS custom properties,
+// switched with @media (prefers-color-scheme: dark). Styles render against a
+// palette whose values are var(--ct-*) references; the real colours only
+// appear in the <style> block.
+
+import { PALETTE_KEYS } from "./themes.mjs";
+
+function varName(key, i) {
+  return i === undefined ? `--ct-${key}` : `--ct-${key}-${i}`;
+}
+
+// A palette shaped like `like` whose every colour is a var() reference.
+export function cssVarPalette(like) {
+  const p = {};
+  for (const key of PALETTE_KEYS) {
+    p[key] = key === "grid" ? like.grid.map((_, i) => `var(${varName(key, i)})`) : `var(${varName(key)})`;
+  }
+  return p;
+}
+
+function declarations(p, indent) {
+  const lines = [];
+  for (const key of PALETTE_KEYS) {
+    if (key === "grid") p.grid.forEach((c, i) => lines.push(`${indent}${varName(key, i)}: ${c};`));
+    else lines.push(`${indent}${varName(key)}: ${p[key]};`);
+  }
+  return lines.join("\n");
+}
+
+export function adaptiveCss(light, dark) {
+  if (light.grid.length !== dark.grid.length) {
+    throw new Error("Adaptive themes must have the same number of grid levels");
+  }
+  return `svg {
+${declarations(light, "  ")}
+}
+@media (prefers-color-scheme: dark) {
+  svg {
+${declarations(dark, "    ")}
+  }
+}`;
+}
+
+// Some renderers ignore var() in presentation attributes (fill="var(--x)"),
+// so move those into a style attribute, where custom properties always apply.
+export function inlineCssVars(svg) {
+  return svg.replace(/<[a-zA-Z][^>]*>/g, (tag) => {
+    const props = [];
+    const stripped = tag.replace(/\s(fill|stroke|color)="(var\(--ct-[\w-]+\))"/g, (m, attr, value) => {
+      props.push(`${attr}:${value}`);
+      return "";
+    });
+    if (props.length === 0) return tag;
+    const end = stripped.endsWith("/>") ? -2 : -1;
+    return `${stripped.slice(0, end)} style="${props.join(";")}"${stripped.slice(end)}`;
+  });
+}
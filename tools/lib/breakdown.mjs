@@ -0,0 +1,160 @@
+// Contribution-type breakdown (opt-in with --breakdown): what each day's count
+// was made of. GitHub's calendar only has the total, so this pages through the
+// pull request, issue, review and repository contributions of every year in
+// the calendar: several extra requests per year.
+//
+// Stored on the calendar by date (the day each contribution happened on in
+// `timeZone`, UTC by default), days with nothing but commits left out:
+//
+//   calendar.activity = {
+//     "2024-05-02": { commits, pullRequests, mergedPullRequests, issues, reviews, repositories: ["owner/name"] }
+//   }
+//
+// `commits` is what's left of the day's count after the others (GitHub counts
+// commits per repository and day, which would take far more requests to list).
+
+import { calendarDays, splitRange } from "./calendar.mjs";
+import { dateInZone, daysBetween } from "./dates.mjs";
+import { gql, NotFoundError } from "./github.mjs";
+
+// connection on contributionsCollection -> what each node adds to its day
+const CONNECTIONS = {
+  pullRequestContributions: {
+    fields: "occurredAt pullRequest { mergedAt }",
+    add: (activity, node, within) => {
+      entry(activity, node.occurredAt).pullRequests++;
+      // counted on the day it was merged, which may be after the day it was opened
+      const merged = node.pullRequest?.mergedAt;
+      if (merged && within(merged)) entry(activity, merged).mergedPullRequests++;
+    },
+  },
+  issueContributions: {
+    fields: "occurredAt",
+    add: (activity, node) => entry(activity, node.occurredAt).issues++,
+  },
+  pullRequestReviewContributions: {
+    fields: "occurredAt",
+    add: (activity, node) => entry(activity, node.occurredAt).reviews++,
+  },
+  repositoryContributions: {
+    fields: "occurredAt repository { nameWithOwner }",
+    // the repository comes back null when the token can't see it (private, or deleted since)
+    add: (activity, node) => entry(activity, node.occurredAt).repositories.push(node.repository?.nameWithOwner ?? "a private repository"),
+  },
+};
+
+function emptyDay() {
+  return { commits: 0, pullRequests: 0, mergedPullRequests: 0, issues: 0, reviews: 0, repositories: [] };
+}
+
+function entry(activity, timestamp) {
+  const date = dateInZone(timestamp, activity.timeZone);
+  return (activity.days[date] ??= emptyDay());
+}
+
+// "+09:00" for `timeZone` on `date` ("Z" for UTC), so a span covers its days
+// on that timezone's clock
+function offsetOn(date, timeZone) {
+  const name = new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "longOffset" })
+    .formatToParts(new Date(`${date}T12:00:00Z`))
+    .find((p) => p.type === "timeZoneName").value;
+  return name === "GMT" ? "Z" : name.slice(3);
+}
+
+// Every node of one connection over one span, following the pages.
+async function pageThrough(login, span, connection, api, timeZone) {
+  const query = `
+    query($login: String!, $from: DateTime!, $to: DateTime!, $after: String) {
+      user(login: $login) {
+        contributionsCollection(from: $from, to: $to) {
+          ${connection}(first: 100, after: $after) {
+            nodes { ${CONNECTIONS[connection].fields} }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }
+    }
+  `;
+  const variables = {
+    login,
+    from: `${span.from}T00:00:00${offsetOn(span.from, timeZone)}`,
+    to: `${span.to}T23:59:59${offsetOn(span.to, timeZone)}`,
+  };
+  const nodes = [];
+  let after = null;
+  do {
+    const data = await gql(query, { ...variables, after }, api);
+    if (!data.user) throw new NotFoundError([], data, `GitHub user "${login}" not found`);
+    const page = data.user.contributionsCollection[connection];
+    nodes.push(...page.nodes.filter(Boolean));
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+  return nodes;
+}
+
+// Breakdown of `login`'s contributions over the days of `calendar`, each
+// counted on its day in `timeZone`.
+export async function fetchActivity(login, calendar, api, { timeZone = "UTC" } = {}) {
+  const days = calendarDays(calendar);
+  if (days.length === 0) return {};
+  const dates = new Set(days.map((d) => d.date));
+  const within = (timestamp) => dates.has(dateInZone(timestamp, timeZone));
+
+  const activity = { timeZone, days: {} };
+  for (const span of dateRuns([...dates].sort()).flatMap((r) => splitRange(r.from, r.to))) {
+    for (const [connection, { add }] of Object.entries(CONNECTIONS)) {
+      for (const node of await pageThrough(login, span, connection, api, timeZone)) add(activity, node, within);
+    }
+  }
+  return withCommits(activity.days, days);
+}
+
+// Sorted dates -> [{ from, to }] of consecutive days, so gaps between the
+// selected years aren't fetched.
+function dateRuns(dates) {
+  const runs = [];
+  for (const date of dates) {
+    const last = runs.at(-1);
+    if (last && daysBetween(last.to, date) === 1) last.to = date;
+    else runs.push({ from: date, to: date });
+  }
+  return runs;
+}
+
+// Fill in `commits` from each day's total; drop days outside the calendar.
+function withCommits(activity, days) {
+  const out = {};
+  for (const d of days) {
+    const a = activity[d.date];
+    const others = a ? a.pullRequests + a.issues + a.reviews + a.repositories.length : 0;
+    const commits = Math.max(0, d.contributionCount - others);
+    if (a) out[d.date] = { ...a, commits };
+  }
+  return out;
+}
+
+// Several users' breakdowns added up per day, for team trails.
+export function sumActivity(list) {
+  const out = {};
+  for (const activity of list) {
+    for (const [date, a] of Object.entries(activity)) {
+      const sum = (out[date] ??= emptyDay());
+      for (const key of ["commits", "pullRequests", "mergedPullRequests", "issues", "reviews"]) sum[key] += a[key] ?? 0;
+      sum.repositories.push(...(a.repositories ?? []));
+    }
+  }
+  return out;
+}
+
+// "9 commits, 2 pull requests, 1 pull request merged, 1 review, created acme/tool"
+export function describeDay(a, locale = "en-US") {
+  const n = (v, word) => `${v.toLocaleString(locale)} ${word}${v === 1 ? "" : "s"}`;
+  const parts = [];
+  if (a.commits) parts.push(n(a.commits, "commit"));
+  if (a.pullRequests) parts.push(n(a.pullRequests, "pull request"));
+  if (a.mergedPullRequests) parts.push(`${n(a.mergedPullRequests, "pull request")} merged`);
+  if (a.issues) parts.push(n(a.issues, "issue"));
+  if (a.reviews) parts.push(n(a.reviews, "review"));
+  if (a.repositories?.length) parts.push(`created ${a.repositories.join(", ")}`);
+  return parts.join(", ");
+}
@@ -0,0 +1,46 @@
+// On-disk cache of the last calendar fetched successfully, so a failed fetch can
+// still publish something (marked "data as of ...") and an unchanged calendar
+// can skip rewriting the outputs.
+//
+//   { fetchedAt: ISO time, hash: sha256 of the calendar + render options, calendar }
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { calendarDays } from "./calendar.mjs";
+
+// Stable digest of what a render depends on: the days (and team members'
+// days), the contribution breakdown when there is one, plus whatever options
+// are passed as `extra`.
+export function calendarHash(calendar, extra = {}) {
+  const days = (c) => calendarDays(c).map((d) => [d.date, d.contributionCount]);
+  const members = Object.entries(calendar.members ?? {})
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([login, c]) => [login, days(c)]);
+  const activity = calendar.activity && Object.entries(calendar.activity).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const digest = { days: days(calendar), members, ...(activity && { activity }), extra };
+  return crypto.createHash("sha256").update(JSON.stringify(digest)).digest("hex");
+}
+
+// -> { fetchedAt, hash, calendar } or null when missing or unreadable
+export function readCache(file) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, "utf8"));
+    return entry && Array.isArray(entry.calendar?.weeks) && entry.fetchedAt ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+export function writeCache(file, { calendar, hash, fetchedAt = new Date().toISOString() }) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  // write then rename, so a crash never leaves half a cache behind
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ fetchedAt, hash, calendar }) + "\n", "utf8");
+  fs.renameSync(tmp, file);
+}
+
+// "2024-05-01 06:00 UTC"
+export function formatAsOf(iso) {
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
@@ -0,0 +1,278 @@
+// Getting a contribution calendar: from the GitHub GraphQL API or a local JSON file.
+// A calendar is { weeks: [{ contributionDays: [{ date, contributionCount, weekday?, contributionLevel? }] }] }.
+// A flat list of { date, count } is accepted too (see ./normalize.mjs).
+
+import fs from "fs";
+import path from "path";
+import { addDays, daysBetween, formatDate, parseDate, weekdayOf, weekStartOf, yearOf } from "./dates.mjs";
+import { gql, NotFoundError } from "./github.mjs";
+import { normalizeDays } from "./normalize.mjs";
+
+// Functions that talk to GitHub take `api`: { token, endpoint, timeoutMs, retries, ... },
+// passed through to gql() in ./github.mjs.
+
+const CALENDAR_FIELDS = `
+  contributionCalendar {
+    weeks {
+      contributionDays {
+        date
+        contributionCount
+        contributionLevel
+        weekday
+      }
+    }
+  }
+`;
+
+// Split [from, to] into spans a single contributionsCollection accepts (at most a year).
+export function splitRange(from, to) {
+  if (daysBetween(from, to) < 0) throw new Error(`--from ${from} is after --to ${to}`);
+  const spans = [];
+  let start = from;
+  while (daysBetween(start, to) >= 0) {
+    const yearEnd = `${yearOf(start)}-12-31`;
+    const end = daysBetween(yearEnd, to) < 0 ? to : yearEnd;
+    spans.push({ from: start, to: end });
+    start = addDays(end, 1);
+  }
+  return spans;
+}
+
+// Run `fields` (a selection on User) for many logins, `batchSize` users per
+// request as aliased `user(login:)` lookups. -> Map login -> user data
+export async function batchUsers(logins, fields, { batchSize = 10, ...api }) {
+  const out = new Map();
+  for (let i = 0; i < logins.length; i += batchSize) {
+    const batch = logins.slice(i, i + batchSize);
+    const query = `
+    query(${batch.map((_, k) => `$l${k}: String!`).join(", ")}) {${batch
+      .map(
+        (_, k) => `
+      u${k}: user(login: $l${k}) {${fields}
+      }`,
+      )
+      .join("")}
+    }
+  `;
+    const variables = Object.fromEntries(batch.map((login, k) => [`l${k}`, login]));
+    let data;
+    try {
+      data = await gql(query, variables, api);
+    } catch (e) {
+      throw e instanceof NotFoundError ? unknownUsers(e, batch) : e;
+    }
+    batch.forEach((login, k) => {
+      if (!data[`u${k}`]) throw new NotFoundError([], data, `GitHub user "${login}" not found`);
+      out.set(login, data[`u${k}`]);
+    });
+  }
+  return out;
+}
+
+// GitHub answers an unknown login with a NOT_FOUND error whose path is the
+// alias (u0, u1, ...); name the logins instead.
+function unknownUsers(error, batch) {
+  const logins = error.errors.map((e) => batch[Number(String(e.path?.[0] ?? "").slice(1))]).filter(Boolean);
+  if (logins.length === 0) return error;
+  const names = logins.map((l) => `"${l}"`).join(", ");
+  return new NotFoundError(error.errors, error.data, `GitHub user${logins.length > 1 ? "s" : ""} ${names} not found`);
+}
+
+// Calendars for several users -> Map login -> calendar. `ranges` ([{ from, to }])
+// selects the days, one aliased collection per calendar year; without it each
+// user gets GitHub's trailing year.
+export async function fetchCalendars(logins, ranges, api) {
+  const spans = ranges ? ranges.flatMap((r) => splitRange(r.from, r.to)) : [null];
+  const fields = spans
+    .map(
+      (s, i) => `
+        c${i}: contributionsCollection${s ? `(from: "${s.from}T00:00:00Z", to: "${s.to}T23:59:59Z")` : ""} {
+          ${CALENDAR_FIELDS}
+        }`,
+    )
+    .join("");
+
+  const users = await batchUsers(logins, fields, api);
+  const out = new Map();
+  for (const [login, user] of users) {
+    if (!ranges) {
+      out.set(login, user.c0.contributionCalendar);
+      continue;
+    }
+    out.set(login, mergeCalendars(spans.map((s, i) => sliceCalendar(user[`c${i}`].contributionCalendar, s))));
+  }
+  return out;
+}
+
+// The default collection: GitHub's trailing year.
+export async function fetchCalendar(login, api) {
+  return (await fetchCalendars([login], null, api)).get(login);
+}
+
+// Calendar for one or more date ranges, fetched in a single request and merged by date.
+export async function fetchCalendarRanges(login, ranges, api) {
+  return (await fetchCalendars([login], ranges, api)).get(login);
+}
+
+// Years with any contributions, newest first.
+export async function fetchContributionYears(login, api) {
+  return (await fetchContributionYearsFor([login], api)).get(login);
+}
+
+export async function fetchContributionYearsFor(logins, api) {
+  const fields = `
+        contributionsCollection {
+          contributionYears
+        }`;
+  const users = await batchUsers(logins, fields, api);
+  return new Map([...users].map(([login, user]) => [login, user.contributionsCollection.contributionYears]));
+}
+
+// Logins of an organization's members, or of one team when `team` (its slug) is given.
+export async function fetchMembers(org, { team, ...api }) {
+  const connection = team
+    ? `team(slug: $team) { members(first: 100, after: $after) { nodes { login } pageInfo { hasNextPage endCursor } } }`
+    : `membersWithRole(first: 100, after: $after) { nodes { login } pageInfo { hasNextPage endCursor } }`;
+  const query = `
+    query($org: String!, ${team ? "$team: String!, " : ""}$after: String) {
+      organization(login: $org) {
+        ${connection}
+      }
+    }
+  `;
+
+  const logins = [];
+  let after = null;
+  do {
+    const data = await gql(query, { org, team, after }, api);
+    if (!data.organization) throw new NotFoundError([], data, `Organization "${org}" not found`);
+    if (team && !data.organization.team) throw new NotFoundError([], data, `Team "${org}/${team}" not found`);
+    const page = team ? data.organization.team.members : data.organization.membersWithRole;
+    logins.push(...page.nodes.map((n) => n.login));
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+  return logins;
+}
+
+export function calendarDays(calendar) {
+  const days = [];
+  for (const w of calendar.weeks || []) {
+    for (const d of w.contributionDays || []) {
+      if (d && typeof d.contributionCount === "number") days.push(d);
+    }
+  }
+  return days;
+}
+
+// Rebuild weeks from a list of days, Sunday-first unless `weekStart` says
+// otherwise (1 = Monday, ...). Each day carries its `weekday` (0 = Sunday), so
+// partial first/last weeks keep their real rows, and GitHub's
+// `contributionLevel` when it has one.
+export function calendarFromDays(days, { weekStart = 0 } = {}) {
+  const sorted = [...days].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  const weeks = [];
+  let current = null;
+  for (const d of sorted) {
+    const start = weekStartOf(d.date, weekStart);
+    if (!current || current.start !== start) {
+      current = { start, days: [] };
+      weeks.push(current);
+    }
+    const day = { date: d.date, contributionCount: d.contributionCount, weekday: weekdayOf(d.date) };
+    if (d.contributionLevel) day.contributionLevel = d.contributionLevel;
+    current.days.push(day);
+  }
+  return { weeks: weeks.map((w) => ({ contributionDays: w.days })) };
+}
+
+// A dense calendar from a calendar or a list of { date, count } (see
+// normalizeDays() in ./normalize.mjs for `timeZone`, `from` and `to`), its
+// weeks starting on `weekStart`. A breakdown is kept.
+export function normalizeCalendar(input, { weekStart, timeZone, from, to } = {}) {
+  const entries = Array.isArray(input) ? input : calendarDays(input);
+  const calendar = calendarFromDays(normalizeDays(entries, { timeZone, from, to }), { weekStart });
+  return input.activity ? { ...calendar, activity: input.activity } : calendar;
+}
+
+// Union of several calendars; a date present in more than one keeps the last value.
+export function mergeCalendars(calendars) {
+  const byDate = new Map();
+  for (const c of calendars) for (const d of calendarDays(c)) byDate.set(d.date, d);
+  return calendarFromDays([...byDate.values()]);
+}
+
+// Keep only the days within [from, to] (either bound optional).
+export function sliceCalendar(calendar, { from, to } = {}) {
+  if (from) parseDate(from);
+  if (to) parseDate(to);
+  const days = calendarDays(calendar).filter((d) => (!from || d.date >= from) && (!to || d.date <= to));
+  return calendarFromDays(days);
+}
+
+// Only the days inside any of `ranges` ([{ from, to }]).
+export function selectRanges(calendar, ranges) {
+  return mergeCalendars(ranges.map((r) => sliceCalendar(calendar, r)));
+}
+
+// A calendar year, up to today for the current one.
+export function yearRange(year, today = formatDate(new Date())) {
+  const to = `${year}-12-31` < today ? `${year}-12-31` : today;
+  return { from: `${year}-01-01`, to };
+}
+
+// Every year the user has contributed in, oldest first.
+export async function fetchLifetimeCalendar(login, api) {
+  return (await fetchLifetimeCalendars([login], api)).get(login);
+}
+
+// Lifetime calendars for several users over the union of their active years,
+// so they share one grid.
+export async function fetchLifetimeCalendars(logins, api) {
+  const years = new Set();
+  for (const list of (await fetchContributionYearsFor(logins, api)).values()) list.forEach((y) => years.add(y));
+  if (years.size === 0) return fetchCalendars(logins, null, api);
+  return fetchCalendars(logins, [...years].sort((a, b) => a - b).map((y) => yearRange(y)), api);
+}
+
+// Combine members' calendars into one: counts added up per date.
+export function sumCalendars(calendars) {
+  const byDate = new Map();
+  for (const c of calendars) {
+    for (const d of calendarDays(c)) byDate.set(d.date, (byDate.get(d.date) ?? 0) + d.contributionCount);
+  }
+  return calendarFromDays([...byDate].map(([date, contributionCount]) => ({ date, contributionCount })));
+}
+
+// Accept the bare calendar ({ weeks: [...] }) or a raw GraphQL response wrapping it,
+// so a saved API payload can be used as-is, or a list of { date, count } (dates
+// or timestamps, bucketed in `timeZone`).
+export function extractCalendar(json, { timeZone } = {}) {
+  if (Array.isArray(json)) return normalizeCalendar(json, { timeZone });
+  const calendar =
+    json?.data?.user?.contributionsCollection?.contributionCalendar ??
+    json?.user?.contributionsCollection?.contributionCalendar ??
+    json?.contributionCalendar ??
+    json;
+  if (!calendar || !Array.isArray(calendar.weeks)) {
+    throw new Error("Calendar JSON must contain weeks[].contributionDays[] or be a list of { date, count }");
+  }
+  return calendar;
+}
+
+// `file` may be "-" for stdin; `timeZone` is passed to extractCalendar().
+export async function readCalendarFile(file, { timeZone } = {}) {
+  let text;
+  if (file === "-") {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    text = Buffer.concat(chunks).toString("utf8");
+  } else {
+    text = fs.readFileSync(file, "utf8");
+  }
+  return extractCalendar(JSON.parse(text), { timeZone });
+}
+
+export function writeCalendarFile(file, calendar) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(calendar, null, 2) + "\n", "utf8");
+}
@@ -0,0 +1,586 @@
+// Command-line parsing for tools/generate-camping-caravan.mjs and
+// tools/serve-camping-trail.mjs.
+// Kept apart from the entry script so it can be exercised without running anything.
+
+import path from "path";
+import { parseArgs } from "util";
+import { yearRange } from "./calendar.mjs";
+import { applyConfigSprites, applyConfigThemes, readConfigFile, readSpriteFile } from "./config.mjs";
+import { addDays, checkTimeZone, parseDate, todayIn } from "./dates.mjs";
+import { DEFAULT_ENDPOINT } from "./github.mjs";
+import { pathAlgorithms } from "./paths.mjs";
+import { RASTER_FORMATS } from "./raster/index.mjs";
+import { parseWeekStart } from "./normalize.mjs";
+import { LAYOUTS, THRESHOLD_MODES } from "./render.mjs";
+import { SCENERY_LAYERS } from "./scenery.mjs";
+import { checkScaling, SCALES } from "./thresholds.mjs";
+import { MERGE_MODES, sources } from "./sources/index.mjs";
+import { registerSprite, sprites } from "./sprites.mjs";
+import { styles } from "./styles/index.mjs";
+import { themes } from "./themes.mjs";
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1; // fetching or rendering failed (bad token, unknown user, rate limit, ...)
+export const EXIT_USAGE = 2; // bad flags, unknown theme, missing token
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+const styleHelp = [...styles]
+  .map(([name, style]) => `  ${name.padEnd(24)}  ${style.description}`)
+  .join("\n");
+
+const spriteHelp = [...sprites]
+  .map(([name, sprite]) => `  ${name.padEnd(24)}  ${sprite.description}`)
+  .join("\n");
+
+export const HELP = `Usage: node tools/generate-camping-caravan.mjs [options]
+
+Renders the camping trail SVGs for a GitHub contribution calendar.
+
+Options:
+  --login <list>            GitHub user(s) to fetch, comma-separated
+                            (env GITHUB_LOGIN, default: lakisicaslt)
+  --org <org>               every member of an organization (token needs read:org)
+  --team <org/slug>         every member of a team (token needs read:org)
+  --aggregate <mode>        several users: sum (one grid, one walker, default) or
+                            overlay (summed grid, one coloured walker per member
+                            and a legend)
+  --source <list>           where the activity comes from: github (default),
+                            gitlab, gitea, git; several make one trail
+  --merge <mode>            combining sources: sum (default) adds their counts per
+                            day, max keeps the highest (for mirrored history)
+  --gitlab-url <url>        GitLab instance (env GITLAB_URL, default: https://gitlab.com)
+  --gitlab-user <name>      GitLab username (default: --login); token in env GITLAB_TOKEN
+  --gitea-url <url>         Gitea or Forgejo instance, needed for gitea (env GITEA_URL)
+  --gitea-user <name>       Gitea username (default: --login); token in env GITEA_TOKEN
+  --git-repo <list>         local repositories, or directories holding them (default: .)
+  --git-email <list>        author emails to count (default: git config user.email)
+  --out-dir <dir>           directory for the SVGs (default: dist/assets)
+  --style <name>            animation style (default: hiker), see below
+  --sprite <list>           what travels the route instead of the style's own
+                            character: sprite names or .svg files, leader first
+  --convoy-gap <seconds>    time between sprites following each other (default: 1)
+  --path <name>             route: snake, recent, peaks, wander
+                            (default: the style's own, snake for hiker, recent for caravan)
+  --seed <value>            seed for random choices; same calendar + seed = same SVG
+  --theme <list>            comma-separated themes (default: dark,light)
+                            built-in: dark, light, halloween, winter, high-contrast,
+                            colorblind, colorblind-light
+  --adaptive                write one SVG that switches between the two --theme
+                            entries (dark first, light second) with
+                            prefers-color-scheme; {theme} becomes "adaptive"
+  --config <file>           JSON or YAML file defining extra themes
+  --name-template <name>    output file name; {theme}, {style}, {login} and {ext} are
+                            replaced (default: camping-caravan-{theme}.svg; without
+                            {ext}, other formats swap the extension)
+  --format <list>           comma-separated: svg, html (interactive page), png (poster
+                            frame), gif, apng, mp4 (default: svg; mp4 needs ffmpeg
+                            on PATH)
+  --fps <n>                 frames per second for gif/apng/mp4 (default: 10)
+  --scale <n>               pixel scale for raster formats (default: 1)
+  --poster-time <seconds>   moment of the animation used for png (default: 0)
+  --from <YYYY-MM-DD>       first day to include (default: a year before --to)
+  --to <YYYY-MM-DD>         last day to include (default: today)
+  --year <list>             comma-separated calendar years, e.g. 2023,2024
+  --lifetime                every year the user has contributions in
+  --timezone <zone>         IANA timezone that gitlab, gitea and git activity, the
+                            --breakdown (and timestamps in --input) are counted
+                            in, and "today" is taken in (default: UTC; git: each
+                            commit's own)
+  --layout <name>           wide (one long strip, default) or stacked (one band per year)
+  --week-start <day>        weekday of the top row: sunday (default), monday, ...
+  --thresholds <mode>       global (default) or per-year: what colour levels are
+                            relative to
+  --scaling <mode>          how counts map to colour levels: quantile (default),
+                            github (GitHub's own levels), linear, log, or fixed
+  --breakpoints <list>      fixed scaling: the highest count of each level but the
+                            busiest, e.g. 2,5,10 (implies --scaling fixed)
+  --levels <n>              number of colour levels, 2-10, counting the empty one
+                            (default: the theme's, 5 for the built-in ones)
+  --labels                  month and weekday names around the grid, and a
+                            "Less ... More" legend of the colour levels
+  --locale <tag>            language for month and weekday names (default: en-US)
+  --patterns                texture each colour level as well, for colour-blind
+                            readers and greyscale prints
+  --a11y-table              expose the grid to screen readers as a table of days
+  --scenery <list|none>     scene layers instead of the theme's: seasons, snow,
+                            terrain, sky (comma-separated)
+  --minify                  write the smallest SVG that draws the same, and report
+                            the size saved
+  --stats                   add a band with totals, streaks and the busiest day,
+                            and flag the longest streak on the grid
+  --stats-json <file>       also write those numbers as JSON ("-" = stdout)
+  --breakdown               also fetch pull requests, issues, reviews and new
+                            repositories (extra API requests): campfires mark
+                            merged pull requests, landmarks new repositories
+  --api-url <url>           GraphQL endpoint; for GitHub Enterprise Server use
+                            https://HOST/api/graphql (env GITHUB_GRAPHQL_URL,
+                            default: https://api.github.com/graphql)
+  --timeout <seconds>       per-request timeout (default: 30)
+  --retries <n>             retries after network errors, 5xx and rate limits (default: 3)
+  --cache <file>            last good calendar, used when GitHub fails and to skip
+                            re-rendering an unchanged one (env CALENDAR_CACHE,
+                            default: .cache/camping-trail-calendar.json)
+  --no-cache                neither read nor write the cache
+  --force                   render even if nothing changed since the cached run
+  --input <file>            render from a calendar JSON instead of the API ("-" = stdin):
+                            GitHub's weeks, or a list of { date, count }
+                            (env CALENDAR_INPUT)
+  --dump-calendar <file>    save the fetched calendar JSON (env CALENDAR_DUMP)
+  -h, --help                show this help
+
+GITHUB_TOKEN must be set unless --input is given or github isn't a --source.
+
+Styles:
+${styleHelp}
+
+Sprites (more in --config under "sprites"):
+${spriteHelp}
+
+Exit codes: 0 ok, 1 fetch/render failed, 2 usage error.
+`;
+
+const OPTIONS = {
+  login: { type: "string" },
+  org: { type: "string" },
+  team: { type: "string" },
+  aggregate: { type: "string" },
+  source: { type: "string" },
+  merge: { type: "string" },
+  "gitlab-url": { type: "string" },
+  "gitlab-user": { type: "string" },
+  "gitea-url": { type: "string" },
+  "gitea-user": { type: "string" },
+  "git-repo": { type: "string" },
+  "git-email": { type: "string" },
+  style: { type: "string" },
+  sprite: { type: "string" },
+  "convoy-gap": { type: "string" },
+  path: { type: "string" },
+  seed: { type: "string" },
+  "out-dir": { type: "string" },
+  theme: { type: "string" },
+  config: { type: "string" },
+  adaptive: { type: "boolean" },
+  "name-template": { type: "string" },
+  format: { type: "string" },
+  fps: { type: "string" },
+  scale: { type: "string" },
+  "poster-time": { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  year: { type: "string" },
+  lifetime: { type: "boolean" },
+  timezone: { type: "string" },
+  layout: { type: "string" },
+  "week-start": { type: "string" },
+  thresholds: { type: "string" },
+  scaling: { type: "string" },
+  breakpoints: { type: "string" },
+  levels: { type: "string" },
+  labels: { type: "boolean" },
+  locale: { type: "string" },
+  patterns: { type: "boolean" },
+  "a11y-table": { type: "boolean" },
+  scenery: { type: "string" },
+  minify: { type: "boolean" },
+  stats: { type: "boolean" },
+  "stats-json": { type: "string" },
+  breakdown: { type: "boolean" },
+  "api-url": { type: "string" },
+  timeout: { type: "string" },
+  retries: { type: "string" },
+  cache: { type: "string" },
+  "no-cache": { type: "boolean" },
+  force: { type: "boolean" },
+  input: { type: "string" },
+  "dump-calendar": { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+export const AGGREGATE_MODES = ["sum", "overlay"];
+// formats written from the SVG as it is; the raster ones render it (./raster/)
+export const DOCUMENT_FORMATS = ["svg", "html"];
+
+function list(value) {
+  return value
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function number(flag, value, fallback, { min = 0, max = Infinity, exclusiveMin = true } = {}) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || (exclusiveMin ? n <= min : n < min) || n > max) {
+    throw new UsageError(`${flag} must be a number ${exclusiveMin ? ">" : ">="} ${min}${max < Infinity ? ` and <= ${max}` : ""}`);
+  }
+  return n;
+}
+
+function date(flag, value) {
+  if (value === undefined) return undefined;
+  try {
+    parseDate(value);
+  } catch {
+    throw new UsageError(`${flag} must be a date like 2024-01-31`);
+  }
+  return value;
+}
+
+// Which days to render: null for GitHub's default trailing year, "lifetime",
+// or a list of { from, to } ranges (also used to filter --input).
+function dateSelection(values, today) {
+  const given = ["from", "to", "year", "lifetime"].filter((k) => values[k] !== undefined);
+  if (values.year !== undefined && given.length > 1) throw new UsageError("--year can't be combined with --from/--to/--lifetime");
+  if (values.lifetime && given.length > 1) throw new UsageError("--lifetime can't be combined with --from/--to/--year");
+
+  if (values.lifetime) return "lifetime";
+  if (values.year !== undefined) {
+    const years = list(values.year);
+    if (years.length === 0 || years.some((y) => !/^\d{4}$/.test(y))) {
+      throw new UsageError("--year takes comma-separated years, e.g. 2023,2024");
+    }
+    return [...new Set(years)].sort().map((y) => yearRange(Number(y), today));
+  }
+  if (values.from === undefined && values.to === undefined) return null;
+
+  const to = date("--to", values.to) ?? today;
+  const from = date("--from", values.from) ?? addDays(to, -364);
+  if (from > to) throw new UsageError("--from must not be after --to");
+  return [{ from, to }];
+}
+
+export function parseCli(argv, env = {}) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: false }));
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+
+  if (values.help) return { help: true };
+
+  const style = values.style ?? "hiker";
+  if (!styles.has(style)) {
+    throw new UsageError(`Unknown style "${style}" (expected one of: ${[...styles.keys()].join(", ")})`);
+  }
+
+  if (values.path !== undefined && !pathAlgorithms.has(values.path)) {
+    throw new UsageError(`Unknown path "${values.path}" (expected one of: ${[...pathAlgorithms.keys()].join(", ")})`);
+  }
+
+  const themeNames = list(values.theme ?? "dark,light");
+  if (themeNames.length === 0) throw new UsageError("--theme needs at least one theme");
+
+  if (values.adaptive && themeNames.length !== 2) {
+    throw new UsageError("--adaptive needs exactly two themes: --theme <dark>,<light>");
+  }
+
+  const formats = list(values.format ?? "svg");
+  for (const format of formats) {
+    if (!DOCUMENT_FORMATS.includes(format) && !RASTER_FORMATS.includes(format)) {
+      throw new UsageError(`Unknown format "${format}" (expected one of: ${[...DOCUMENT_FORMATS, ...RASTER_FORMATS].join(", ")})`);
+    }
+  }
+  if (values.adaptive && formats.some((f) => RASTER_FORMATS.includes(f))) {
+    throw new UsageError("--adaptive only applies to SVG and HTML output");
+  }
+
+  const nameTemplate = values["name-template"] ?? "camping-caravan-{theme}.svg";
+  if (themeNames.length > 1 && !values.adaptive && !nameTemplate.includes("{theme}")) {
+    throw new UsageError("--name-template must contain {theme} when rendering more than one theme");
+  }
+
+  const logins = list(values.login ?? env.GITHUB_LOGIN ?? "lakisicaslt");
+  if (logins.length === 0) throw new UsageError("--login needs at least one user");
+  if (values.org !== undefined && values.team !== undefined) throw new UsageError("Use either --org or --team, not both");
+  if (values.team !== undefined && !/^[^/\s]+\/[^/\s]+$/.test(values.team)) {
+    throw new UsageError('--team must look like "org/team-slug"');
+  }
+  if ((values.org !== undefined || values.team !== undefined) && values.login !== undefined) {
+    throw new UsageError("--login can't be combined with --org/--team");
+  }
+  const aggregate = values.aggregate ?? "sum";
+  if (!AGGREGATE_MODES.includes(aggregate)) {
+    throw new UsageError(`Unknown aggregate mode "${aggregate}" (expected one of: ${AGGREGATE_MODES.join(", ")})`);
+  }
+  const [org, team] = values.team !== undefined ? values.team.split("/") : [values.org, undefined];
+  const isTeam = org !== undefined || logins.length > 1;
+
+  const layout = values.layout ?? "wide";
+  if (!LAYOUTS.includes(layout)) throw new UsageError(`Unknown layout "${layout}" (expected one of: ${LAYOUTS.join(", ")})`);
+  const thresholds = values.thresholds ?? "global";
+  if (!THRESHOLD_MODES.includes(thresholds)) {
+    throw new UsageError(`Unknown thresholds mode "${thresholds}" (expected one of: ${THRESHOLD_MODES.join(", ")})`);
+  }
+
+  const breakpoints = values.breakpoints === undefined ? undefined : list(values.breakpoints).map(Number);
+  const scaling = values.scaling ?? (breakpoints ? "fixed" : "quantile");
+  const levels = values.levels === undefined ? undefined : Number(values.levels);
+  try {
+    checkScaling({ scale: scaling, levels, breakpoints });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+
+  const locale = values.locale ?? "en-US";
+  try {
+    new Intl.DateTimeFormat(locale);
+  } catch {
+    throw new UsageError(`Invalid --locale "${locale}" (expected a language tag like en-US or de)`);
+  }
+
+  let scenery;
+  if (values.scenery !== undefined) {
+    scenery = values.scenery.trim() === "none" ? [] : list(values.scenery);
+    const unknown = scenery.find((layer) => !SCENERY_LAYERS.includes(layer));
+    if (unknown !== undefined) {
+      throw new UsageError(`Unknown scenery layer "${unknown}" (expected "none" or some of: ${SCENERY_LAYERS.join(", ")})`);
+    }
+  }
+
+  let timeZone;
+  if (values.timezone !== undefined) {
+    try {
+      timeZone = checkTimeZone(values.timezone);
+    } catch (e) {
+      throw new UsageError(e.message);
+    }
+  }
+  let weekStart;
+  try {
+    weekStart = parseWeekStart(values["week-start"] ?? "sunday");
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+
+  const dates = dateSelection(values, todayIn(timeZone));
+
+  if (values["no-cache"] && values.cache !== undefined) throw new UsageError("Use either --cache or --no-cache, not both");
+
+  const input = values.input ?? env.CALENDAR_INPUT;
+  if (input && values.breakdown) {
+    throw new UsageError("--breakdown fetches from GitHub; a calendar dumped with it keeps its breakdown for --input");
+  }
+
+  const sourceNames = list(values.source ?? "github");
+  if (sourceNames.length === 0) throw new UsageError("--source needs at least one source");
+  for (const name of sourceNames) {
+    if (name !== "github" && !sources.has(name)) {
+      throw new UsageError(`Unknown source "${name}" (expected one of: github, ${[...sources.keys()].join(", ")})`);
+    }
+  }
+  const github = sourceNames.includes("github");
+  if (input && values.source !== undefined) throw new UsageError("--source fetches; --input reads a saved calendar instead");
+  if (isTeam && (!github || sourceNames.length > 1)) {
+    throw new UsageError("Team trails (several --login, --org, --team) only come from --source github");
+  }
+  if (values.breakdown && !github) throw new UsageError("--breakdown needs github among the sources");
+  const merge = values.merge ?? "sum";
+  if (!MERGE_MODES.includes(merge)) throw new UsageError(`Unknown merge mode "${merge}" (expected one of: ${MERGE_MODES.join(", ")})`);
+  const giteaUrl = values["gitea-url"] ?? env.GITEA_URL;
+  if (sourceNames.includes("gitea") && !giteaUrl) throw new UsageError("--source gitea needs --gitea-url (or env GITEA_URL)");
+  const gitlabUrl = values["gitlab-url"] ?? env.GITLAB_URL ?? "https://gitlab.com";
+  for (const [flag, url] of [["--gitlab-url", gitlabUrl], ["--gitea-url", giteaUrl]]) {
+    if (url !== undefined && !/^https?:\/\//.test(url)) throw new UsageError(`${flag} must be an http(s) URL`);
+  }
+
+  const token = env.GITHUB_TOKEN;
+  if (!input && github && !token) {
+    throw new UsageError("Missing GITHUB_TOKEN env var (or pass --input to render offline).");
+  }
+
+  const endpoint = values["api-url"] ?? env.GITHUB_GRAPHQL_URL ?? DEFAULT_ENDPOINT;
+  if (!/^https?:\/\//.test(endpoint)) throw new UsageError("--api-url must be an http(s) URL");
+  const retries = number("--retries", values.retries, 3, { max: 10, exclusiveMin: false });
+  if (!Number.isInteger(retries)) throw new UsageError("--retries must be a whole number");
+  const timeoutMs = number("--timeout", values.timeout, 30, { max: 600 }) * 1000;
+
+  return {
+    help: false,
+    // what the banner is for: the user, "org", "org/team" or "a, b, c"
+    login: values.team ?? org ?? logins.join(", "),
+    logins,
+    org,
+    team,
+    isTeam,
+    aggregate,
+    token,
+    // options for the GitHub client (see ./github.mjs)
+    api: {
+      token,
+      endpoint,
+      timeoutMs,
+      retries,
+    },
+    sources: sourceNames,
+    merge,
+    // options for the other sources (see ./sources/), by name
+    sourceOptions: {
+      gitlab: { url: gitlabUrl, user: values["gitlab-user"] ?? logins[0], token: env.GITLAB_TOKEN, timeoutMs, retries, timeZone },
+      gitea: { url: giteaUrl, user: values["gitea-user"] ?? logins[0], token: env.GITEA_TOKEN, timeoutMs, retries, timeZone },
+      git: { repos: list(values["git-repo"] ?? "."), emails: list(values["git-email"] ?? ""), timeZone },
+    },
+    style,
+    // names or .svg files; files are registered by loadConfig()
+    sprites: values.sprite === undefined ? undefined : list(values.sprite),
+    convoyGap: number("--convoy-gap", values["convoy-gap"], 1, { max: 60, exclusiveMin: false }),
+    path: values.path,
+    seed: values.seed,
+    outDir: values["out-dir"] ?? "dist/assets",
+    themes: themeNames,
+    config: values.config,
+    adaptive: Boolean(values.adaptive),
+    nameTemplate,
+    formats,
+    fps: number("--fps", values.fps, 10, { max: 50 }),
+    scale: number("--scale", values.scale, 1, { max: 8 }),
+    posterTime: number("--poster-time", values["poster-time"], 0, { exclusiveMin: false }),
+    dates,
+    // undefined = UTC (git: each commit's own)
+    timeZone,
+    layout,
+    weekStart,
+    thresholds,
+    scaling,
+    // undefined = the theme's number of levels
+    levels,
+    breakpoints,
+    labels: Boolean(values.labels),
+    locale,
+    patterns: Boolean(values.patterns),
+    table: Boolean(values["a11y-table"]),
+    // undefined = each theme's own layers
+    scenery,
+    minify: Boolean(values.minify),
+    stats: Boolean(values.stats),
+    statsJson: values["stats-json"],
+    breakdown: Boolean(values.breakdown),
+    cache: values["no-cache"] ? null : (values.cache ?? env.CALENDAR_CACHE ?? ".cache/camping-trail-calendar.json"),
+    force: Boolean(values.force),
+    input,
+    dumpCalendar: values["dump-calendar"] ?? env.CALENDAR_DUMP,
+  };
+}
+
+// Load --config (registering its themes and sprites) and the .svg files given
+// to --sprite, then check every requested theme and sprite exists. Names can
+// only be validated here because the config may define them. Sprite files are
+// registered under their base name, which replaces the path in opts.sprites;
+// the paths are kept in opts.spriteFiles.
+export function loadConfig(opts) {
+  try {
+    if (opts.config) {
+      const config = readConfigFile(opts.config);
+      applyConfigThemes(config);
+      applyConfigSprites(config, path.dirname(opts.config));
+    }
+    opts.spriteFiles = [];
+    opts.sprites = opts.sprites?.map((entry) => {
+      if (!entry.toLowerCase().endsWith(".svg")) return entry;
+      const name = path.basename(entry).slice(0, -4);
+      registerSprite(name, readSpriteFile(entry));
+      opts.spriteFiles.push(entry);
+      return name;
+    });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  for (const sprite of opts.sprites ?? []) {
+    if (!sprites.has(sprite)) {
+      throw new UsageError(`Unknown sprite "${sprite}" (expected one of: ${[...sprites.keys()].join(", ")}, or an .svg file)`);
+    }
+  }
+  for (const theme of opts.themes) {
+    if (!themes.has(theme)) {
+      throw new UsageError(`Unknown theme "${theme}" (expected one of: ${[...themes.keys()].join(", ")})`);
+    }
+  }
+}
+
+export function outputName(template, vars) {
+  const name = template.replace(/\{(\w+)\}/g, (m, key) => (key in vars ? String(vars[key]) : m));
+  // templates written for SVG (no {ext}) still work for the other formats
+  if (vars.ext && vars.ext !== "svg" && !template.includes("{ext}")) {
+    return name.replace(/\.svg$/i, "") + `.${vars.ext}`;
+  }
+  return name;
+}
+
+export const SERVE_HELP = `Usage: node tools/serve-camping-trail.mjs [options]
+
+Serves trails rendered on demand:
+
+  GET  /trail.svg?login=<user>&theme=dark&style=hiker   calendar fetched from GitHub
+  POST /trail.svg?theme=light&labels=1                 calendar JSON in the body
+  GET  /trail.html?login=<user>                        interactive page (POST works too)
+
+Query parameters: login, theme, style, path, seed, layout, week-start,
+thresholds, scaling, breakpoints, levels, year, aggregate, labels, locale,
+stats, patterns, scenery, sprite, convoy-gap, minify (SVG only), timezone
+(flags take 1 or 0). See tools/lib/server.mjs.
+
+Options:
+  --port <n>                port to listen on (env PORT, default: 8787)
+  --host <address>          address to bind (default: 127.0.0.1)
+  --ttl <seconds>           how long fetched calendars are kept, and the
+                            Cache-Control max-age of GET responses (default: 600)
+  --config <file>           JSON or YAML with custom themes and sprites
+  --api-url <url>           GraphQL endpoint (env GITHUB_GRAPHQL_URL,
+                            default: https://api.github.com/graphql)
+  --timeout <seconds>       per-request timeout (default: 30)
+  --retries <n>             retries after network errors, 5xx and rate limits (default: 3)
+  -h, --help                show this help
+
+GITHUB_TOKEN is needed for GET; without it only POST works.
+
+Exit codes: 0 ok, 1 server failed, 2 usage error.
+`;
+
+const SERVE_OPTIONS = {
+  port: { type: "string" },
+  host: { type: "string" },
+  ttl: { type: "string" },
+  config: { type: "string" },
+  "api-url": { type: "string" },
+  timeout: { type: "string" },
+  retries: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+export function parseServeCli(argv, env = {}) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: SERVE_OPTIONS, strict: true, allowPositionals: false }));
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  if (values.help) return { help: true };
+
+  const port = number("--port", values.port ?? env.PORT, 8787, { max: 65535, exclusiveMin: false });
+  if (!Number.isInteger(port)) throw new UsageError("--port must be a whole number");
+  const endpoint = values["api-url"] ?? env.GITHUB_GRAPHQL_URL ?? DEFAULT_ENDPOINT;
+  if (!/^https?:\/\//.test(endpoint)) throw new UsageError("--api-url must be an http(s) URL");
+  const retries = number("--retries", values.retries, 3, { max: 10, exclusiveMin: false });
+  if (!Number.isInteger(retries)) throw new UsageError("--retries must be a whole number");
+
+  return {
+    help: false,
+    port,
+    host: values.host ?? "127.0.0.1",
+    ttlMs: number("--ttl", values.ttl, 600, { max: 7 * 24 * 3600, exclusiveMin: false }) * 1000,
+    config: values.config,
+    api: {
+      token: env.GITHUB_TOKEN,
+      endpoint,
+      timeoutMs: number("--timeout", values.timeout, 30, { max: 600 }) * 1000,
+      retries,
+    },
+  };
+}
@@ -0,0 +1,78 @@
+// Config file (JSON or YAML) with user-defined themes and sprites:
+//
+//   themes:
+//     forest:
+//       extends: dark          # start from a registered theme (default: dark)
+//       bg: "#0b1a12"
+//       grid: ["#13261b", "#1d4d2f", "#2f7d4a", "#4caf6a", "#8be28f"]
+//       tentFill: "rgba(139,226,143,0.30)"
+//   sprites:
+//     kayak:
+//       file: sprites/kayak.svg   # relative to the config file
+//       anchor: [12, 8]           # in the file's own coordinates
+//       scale: 0.75
+//       rotate: true
+//
+// Theme keys are the palette keys documented in ./themes.mjs; sprite keys are
+// described in ./sprites.mjs.
+
+import fs from "fs";
+import path from "path";
+import { registerSprite, spriteFromSvg } from "./sprites.mjs";
+import { registerTheme } from "./themes.mjs";
+import { parseYaml } from "./yaml.mjs";
+
+export function parseConfig(text, file = "config") {
+  const ext = path.extname(file).toLowerCase();
+  const config = ext === ".json" ? JSON.parse(text) : parseYaml(text);
+  if (config === null) return {};
+  if (typeof config !== "object" || Array.isArray(config)) throw new Error("config must be a mapping");
+  return config;
+}
+
+export function readConfigFile(file) {
+  try {
+    return parseConfig(fs.readFileSync(file, "utf8"), file);
+  } catch (e) {
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+// Register every theme in config.themes, in file order so a theme can extend
+// one defined above it. Returns the registered names.
+export function applyConfigThemes(config) {
+  const defined = config.themes ?? {};
+  if (typeof defined !== "object" || Array.isArray(defined)) throw new Error("themes must be a mapping of name -> palette");
+
+  for (const [name, spec] of Object.entries(defined)) {
+    try {
+      registerTheme(name, spec ?? {});
+    } catch (e) {
+      throw new Error(`theme "${name}": ${e.message}`);
+    }
+  }
+  return Object.keys(defined);
+}
+
+// A sprite drawn by an SVG file (see spriteFromSvg in ./sprites.mjs).
+export function readSpriteFile(file, options = {}) {
+  try {
+    return spriteFromSvg(fs.readFileSync(file, "utf8"), options);
+  } catch (e) {
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+// Register every sprite in config.sprites, reading files relative to `dir`
+// (the config file's directory). Returns the registered names.
+export function applyConfigSprites(config, dir = ".") {
+  const defined = config.sprites ?? {};
+  if (typeof defined !== "object" || Array.isArray(defined)) throw new Error("sprites must be a mapping of name -> sprite");
+
+  for (const [name, spec] of Object.entries(defined)) {
+    if (typeof spec?.file !== "string") throw new Error(`sprite "${name}" needs a file`);
+    const { file, ...options } = spec;
+    registerSprite(name, readSpriteFile(path.resolve(dir, file), options));
+  }
+  return Object.keys(defined);
+}
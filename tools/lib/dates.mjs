@@ -0,0 +1,72 @@
+// Calendar-date helpers. Dates are "YYYY-MM-DD" strings handled in UTC so that
+// arithmetic never trips over the local timezone or DST.
+
+const DAY_MS = 86400000;
+
+export function parseDate(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s));
+  if (!m) throw new Error(`Invalid date "${s}" (expected YYYY-MM-DD)`);
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  if (d.getUTCMonth() !== Number(m[2]) - 1) throw new Error(`Invalid date "${s}"`);
+  return d;
+}
+
+export function formatDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+export function addDays(date, n) {
+  return formatDate(new Date(parseDate(date).getTime() + n * DAY_MS));
+}
+
+export function daysBetween(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / DAY_MS);
+}
+
+// 0 = Sunday .. 6 = Saturday
+export function weekdayOf(date) {
+  return parseDate(date).getUTCDay();
+}
+
+export function yearOf(date) {
+  return Number(String(date).slice(0, 4));
+}
+
+// Row of `date` in weeks starting on `weekStart` (0 = Sunday, 1 = Monday, ...)
+export function weekRow(date, weekStart = 0) {
+  return (weekdayOf(date) - weekStart + 7) % 7;
+}
+
+// First day of the week holding `date`
+export function weekStartOf(date, weekStart = 0) {
+  return addDays(date, -weekRow(date, weekStart));
+}
+
+// Canonical name of the IANA timezone `timeZone`; throws for unknown zones.
+export function checkTimeZone(timeZone) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    throw new Error(`Unknown timezone "${timeZone}" (expected an IANA name like Europe/Berlin)`);
+  }
+}
+
+const zoneFormats = new Map();
+
+// The date on the wall clock of `timeZone` at instant `t` (a Date, milliseconds
+// since the epoch or an ISO timestamp).
+export function dateInZone(t, timeZone = "UTC") {
+  const instant = t instanceof Date ? t : typeof t === "number" || typeof t === "string" ? new Date(t) : null;
+  if (!instant || Number.isNaN(instant.getTime())) throw new Error(`Invalid timestamp "${t}"`);
+  if (!zoneFormats.has(timeZone)) {
+    checkTimeZone(timeZone);
+    zoneFormats.set(timeZone, new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }));
+  }
+  const parts = Object.fromEntries(zoneFormats.get(timeZone).formatToParts(instant).map((p) => [p.type, p.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Today's date in `timeZone`
+export function todayIn(timeZone = "UTC") {
+  return dateInZone(new Date(), timeZone);
+}
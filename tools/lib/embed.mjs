@@ -0,0 +1,262 @@
+// Interactive HTML export: the trail SVG inline in a page with a hover card
+// per day (date, count and, with a breakdown, what it was made of), play/pause,
+// speed and a scrubber for the animation, and a date range whose stretch of
+// the route is highlighted. Styles, script and data are all inlined, so the
+// page needs nothing from elsewhere and works offline and on intranets.
+//
+// Playback drives the SVG's own clock (pauseAnimations() + setCurrentTime()),
+// so every layer, scenery included, stays in step at any speed.
+
+import { describeDay } from "./breakdown.mjs";
+import { renderTrailScene } from "./render.mjs";
+import { defineTheme, getTheme } from "./themes.mjs";
+import { escapeXml } from "./xml.mjs";
+
+const FONT = "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial";
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Chrome colours (controls, hover card) from the theme; an adaptive page
+// switches them with the SVG.
+function chromeCss(light, dark) {
+  const vars = (p, indent) => `${indent}--ct-page-bg: ${p.bg};\n${indent}--ct-page-text: ${p.text};`;
+  const base = `.ct-page, .ct-embed {\n${vars(light, "  ")}\n}`;
+  return dark ? `${base}\n@media (prefers-color-scheme: dark) {\n  .ct-page, .ct-embed {\n${vars(dark, "    ")}\n  }\n}` : base;
+}
+
+const CSS = `.ct-embed {
+  display: inline-block;
+  max-width: 100%;
+  margin: 0;
+  color: var(--ct-page-text);
+  font: 13px/1.4 ${FONT};
+}
+.ct-embed .ct-stage { position: relative; }
+.ct-embed svg { display: block; max-width: 100%; height: auto; }
+.ct-embed .ct-card {
+  position: absolute;
+  max-width: 260px;
+  padding: 6px 8px;
+  border: 1px solid color-mix(in srgb, var(--ct-page-text) 25%, transparent);
+  border-radius: 6px;
+  background: var(--ct-page-bg);
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.25);
+  pointer-events: none;
+}
+.ct-embed .ct-card[hidden] { display: none; }
+.ct-embed .ct-card strong { display: block; }
+.ct-embed .ct-card p { margin: 0; }
+.ct-embed .ct-card .ct-kinds { opacity: 0.75; }
+.ct-embed .ct-controls {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 6px 12px;
+  padding: 8px 4px;
+}
+.ct-embed .ct-controls input[type="range"] { flex: 1 1 120px; }`;
+
+// Runs once per figure: finds its own elements from document.currentScript,
+// so the markup carries no ids of its own.
+const SCRIPT = `(() => {
+  const root = document.currentScript.closest(".ct-embed");
+  const $ = (name) => root.querySelector('[data-ct="' + name + '"]');
+  const data = JSON.parse($("data").textContent);
+  const svg = root.querySelector("svg");
+  const stage = root.querySelector(".ct-stage");
+  const card = root.querySelector(".ct-card");
+  const play = $("play");
+  const speed = $("speed");
+  const time = $("time");
+  const from = $("from");
+  const to = $("to");
+  const NS = "http://www.w3.org/2000/svg";
+
+  // Playback
+  let t = 0;
+  let last = null;
+  let playing = !matchMedia("(prefers-reduced-motion: reduce)").matches;
+  svg.pauseAnimations();
+  // a toggle named "Play" is pressed while it plays; the visible text says what a click does
+  const showState = () => {
+    play.textContent = playing ? "Pause" : "Play";
+    play.setAttribute("aria-pressed", String(playing));
+  };
+  const tick = (now) => {
+    if (playing && last !== null) {
+      t += ((now - last) / 1000) * Number(speed.value);
+      svg.setCurrentTime(t);
+      time.value = String(t % data.duration);
+    }
+    last = now;
+    requestAnimationFrame(tick);
+  };
+  play.addEventListener("click", () => {
+    playing = !playing;
+    showState();
+  });
+  time.addEventListener("input", () => {
+    t = Number(time.value);
+    svg.setCurrentTime(t);
+  });
+  showState();
+  requestAnimationFrame(tick);
+
+  // Hover card, in place of the cells' own tooltips
+  const cells = data.days.map(([x, y, date, count, level, kinds]) => ({ x, y, date, count, level, kinds }));
+  const dayAt = new Map(cells.map((c) => [c.x + "," + c.y, c]));
+  for (const title of svg.querySelectorAll("rect > title")) {
+    const rect = title.parentNode;
+    if (dayAt.has(rect.getAttribute("x") + "," + rect.getAttribute("y"))) title.remove();
+  }
+  const dateFormat = new Intl.DateTimeFormat(data.locale, { dateStyle: "full", timeZone: "UTC" });
+  const line = (text, className) => {
+    const p = document.createElement("p");
+    p.textContent = text;
+    if (className) p.className = className;
+    return p;
+  };
+  svg.addEventListener("pointermove", (e) => {
+    const at = new DOMPoint(e.clientX, e.clientY).matrixTransform(svg.getScreenCTM().inverse());
+    const c = cells.find((c) => at.x >= c.x && at.x < c.x + data.cell && at.y >= c.y && at.y < c.y + data.cell);
+    if (!c) {
+      card.hidden = true;
+      return;
+    }
+    const strong = document.createElement("strong");
+    strong.textContent = dateFormat.format(new Date(c.date + "T00:00:00Z"));
+    const count = c.count.toLocaleString(data.locale) + " contribution" + (c.count === 1 ? "" : "s");
+    card.replaceChildren(strong, line(count + " · level " + c.level));
+    if (c.kinds) card.append(line(c.kinds, "ct-kinds"));
+    card.hidden = false;
+    const box = stage.getBoundingClientRect();
+    const left = Math.min(e.clientX - box.left + 12, box.width - card.offsetWidth);
+    card.style.left = Math.max(0, left) + "px";
+    card.style.top = e.clientY - box.top + 12 + "px";
+  });
+  svg.addEventListener("pointerleave", () => {
+    card.hidden = true;
+  });
+
+  // Date range: outline its days and draw over the route between them
+  const marks = document.createElementNS(NS, "g");
+  marks.setAttribute("pointer-events", "none");
+  svg.append(marks);
+  const mark = (name, attrs) => {
+    const el = document.createElementNS(NS, name);
+    for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+    el.style.stroke = data.highlight;
+    marks.append(el);
+  };
+  const highlight = () => {
+    marks.replaceChildren();
+    const a = from.value;
+    const b = to.value;
+    if (!a && !b) return;
+    const inRange = (date) => Boolean(date) && (!a || date >= a) && (!b || date <= b);
+    for (const route of data.routes) {
+      let d = "";
+      route.forEach(([x, y, date], i) => {
+        if (!inRange(date)) return;
+        d += (i > 0 && inRange(route[i - 1][2]) ? "L" : "M") + x + " " + y + " ";
+      });
+      if (d) mark("path", { d, fill: "none", "stroke-width": 4, "stroke-linecap": "round", "stroke-linejoin": "round", opacity: 0.85 });
+    }
+    for (const c of cells) {
+      if (!inRange(c.date)) continue;
+      mark("rect", { x: c.x - 1, y: c.y - 1, width: data.cell + 2, height: data.cell + 2, rx: 3.5, fill: "none", "stroke-width": 1.5 });
+    }
+  };
+  from.addEventListener("change", highlight);
+  to.addEventListener("change", highlight);
+  $("clear").addEventListener("click", () => {
+    from.value = "";
+    to.value = "";
+    highlight();
+  });
+})();`;
+
+// What the script needs: each day's cell and hover text, each layer's route
+// as points (cell centres, with the day's date where the cell has one).
+function embedData(scene, layers, locale) {
+  const dateAt = new Map(scene.days.map((d) => [`${d.x},${d.y}`, d.date]));
+  const days = scene.days.map((d) => {
+    const { rx, ry } = scene.cellPos(d.x, d.y);
+    return [rx, ry, d.date, d.count, d.lvl, d.activity ? describeDay(d.activity, locale) : ""];
+  });
+  const routes = layers
+    .filter((l) => l.route?.length)
+    .map((l) => l.route.map((c) => {
+      const { px, py } = scene.center(c.x, c.y);
+      return [px, py, dateAt.get(`${c.x},${c.y}`) ?? null];
+    }));
+  return {
+    locale,
+    cell: scene.cell,
+    duration: layers[0].duration ?? 30,
+    highlight: scene.p.fire1,
+    days,
+    routes,
+  };
+}
+
+// Render the trail as an interactive HTML page. Takes renderTrail()'s options
+// (see ./render.mjs), plus `fragment` to get just the <figure> (with its own
+// <style> and <script>) for pasting into a page of your own. The figure's ids
+// come from the SVG, so put one per page (or each in an iframe). Pure: returns
+// the HTML as a string.
+export function renderEmbed(calendar, { fragment = false, ...options } = {}) {
+  const locale = options.locale ?? "en-US";
+  const { svg, scene, layers } = renderTrailScene(calendar, { ...options, locale });
+  const palette = (theme) => (typeof theme === "string" ? getTheme(theme) : defineTheme(theme));
+  const { adaptive } = options;
+  const css = adaptive
+    ? chromeCss(palette(adaptive.light ?? "light"), palette(adaptive.dark ?? "dark"))
+    : chromeCss(scene.p);
+
+  const days = scene.days.map((d) => d.date);
+  const range = `min="${days[0] ?? ""}" max="${days.at(-1) ?? ""}"`;
+  const data = embedData(scene, layers, locale);
+  // "</script>" can't appear in the JSON
+  const json = JSON.stringify(data).replaceAll("<", "\\u003c");
+  const speeds = SPEEDS.map((s) => `<option value="${s}"${s === 1 ? " selected" : ""}>${s}×</option>`).join("");
+
+  const figure = `<figure class="ct-embed">
+<style>
+${css}
+${CSS}
+</style>
+<div class="ct-stage">
+${svg.replace(/^<\?xml[^>]*>\n/, "")}<div class="ct-card" role="status" hidden></div>
+</div>
+<figcaption class="ct-controls">
+  <button type="button" data-ct="play" aria-label="Play" aria-pressed="true">Pause</button>
+  <label>Speed <select data-ct="speed">${speeds}</select></label>
+  <input type="range" data-ct="time" min="0" max="${data.duration}" step="0.1" value="0" aria-label="Animation time">
+  <label>From <input type="date" data-ct="from" ${range}></label>
+  <label>To <input type="date" data-ct="to" ${range}></label>
+  <button type="button" data-ct="clear">Clear range</button>
+</figcaption>
+<script type="application/json" data-ct="data">${json}</script>
+<script>
+${SCRIPT}
+</script>
+</figure>
+`;
+  if (fragment) return figure;
+
+  const title = options.login ? `${options.login} • camping trail` : "camping trail";
+  return `<!DOCTYPE html>
+<html lang="${escapeXml(locale.split("-")[0])}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(title)}</title>
+<style>
+body { margin: 16px; background: var(--ct-page-bg); }
+</style>
+</head>
+<body class="ct-page">
+${figure}</body>
+</html>
+`;
+}
@@ -0,0 +1,140 @@
+// GitHub GraphQL client: configurable endpoint (github.com or GitHub Enterprise
+// Server), per-request timeout, retries with exponential backoff, and waiting
+// out primary and secondary rate limits when the wait is short enough.
+// Failures surface as the typed errors below, never as a TypeError on missing data.
+
+import { request, retryAfterMs } from "./http.mjs";
+
+export const DEFAULT_ENDPOINT = "https://api.github.com/graphql";
+
+export class GitHubError extends Error {
+  constructor(message, { status, cause } = {}) {
+    super(message, { cause });
+    this.name = "GitHubError";
+    this.status = status;
+  }
+}
+
+// 401: missing, expired or revoked token
+export class BadCredentialsError extends GitHubError {
+  constructor(message = "GitHub rejected the token (bad credentials)", opts) {
+    super(message, { status: 401, ...opts });
+    this.name = "BadCredentialsError";
+  }
+}
+
+// Primary or secondary rate limit that would take longer than `maxWaitMs` to clear.
+export class RateLimitError extends GitHubError {
+  constructor(message, { resetAt, ...opts } = {}) {
+    super(message, opts);
+    this.name = "RateLimitError";
+    this.resetAt = resetAt; // Date, when known
+  }
+}
+
+// The response carried GraphQL `errors`. `data` holds whatever did resolve.
+export class GraphQLError extends GitHubError {
+  constructor(errors, data) {
+    super(`GitHub GraphQL error: ${errors.map((e) => e.message).join("; ")}`);
+    this.name = "GraphQLError";
+    this.errors = errors;
+    this.data = data;
+  }
+}
+
+// A user, organization or team that doesn't exist (or isn't visible to the token).
+export class NotFoundError extends GraphQLError {
+  constructor(errors, data, message) {
+    super(errors, data);
+    this.name = "NotFoundError";
+    if (message) this.message = message;
+  }
+}
+
+// How long to wait before retrying a rate-limited response, or null if it isn't one.
+function rateLimitWait(res, body, now) {
+  const refused = res.status === 403 || res.status === 429;
+  const retryAfter = retryAfterMs(res.headers.get("retry-after"), now);
+  const reset = Number(res.headers.get("x-ratelimit-reset"));
+
+  if (refused && retryAfter !== null) return { ms: retryAfter, resetAt: new Date(now + retryAfter) };
+  // GitHub's advice when a secondary limit comes without Retry-After
+  if (refused && /secondary rate limit|abuse/i.test(body?.message ?? "")) return { ms: 60_000 };
+  const limited =
+    (refused && (res.headers.get("x-ratelimit-remaining") === "0" || res.status === 429)) ||
+    body?.errors?.some((e) => e.type === "RATE_LIMITED");
+  if (limited && reset > 0) return { ms: Math.max(0, reset * 1000 - now), resetAt: new Date(reset * 1000) };
+  if (limited) return { ms: 60_000 };
+  return null;
+}
+
+function parseBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { message: text.slice(0, 200) };
+  }
+}
+
+// Run one GraphQL query and return its `data`.
+//
+//   token        required
+//   endpoint     GraphQL URL (default api.github.com; GHES: https://HOST/api/graphql)
+//   timeoutMs    per attempt (default 30s)
+//   retries      extra attempts after network errors, timeouts, 5xx and rate limits (default 3)
+//   backoffMs    first retry delay, doubled each time with jitter (default 1s)
+//   maxWaitMs    longest rate-limit wait worth sitting out (default 2 min)
+//   log          warning sink (default console.warn)
+export async function gql(
+  query,
+  variables,
+  {
+    token,
+    endpoint = DEFAULT_ENDPOINT,
+    timeoutMs = 30_000,
+    retries = 3,
+    backoffMs = 1000,
+    maxWaitMs = 120_000,
+    log = console.warn,
+  },
+) {
+  const { res, text, limit } = await request(
+    endpoint,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `bearer ${token}`,
+        "User-Agent": "camping-hiker-generator",
+      },
+      body: JSON.stringify({ query, variables }),
+    },
+    {
+      label: "GitHub",
+      timeoutMs,
+      retries,
+      backoffMs,
+      maxWaitMs,
+      rateLimit: (r, t, now) => rateLimitWait(r, parseBody(t), now),
+      fail: (reason, cause) => new GitHubError(`GitHub API ${reason} at ${endpoint}`, { cause }),
+      log,
+    },
+  );
+  const body = parseBody(text);
+
+  if (res.status === 401) throw new BadCredentialsError(undefined, { cause: body?.message });
+  if (limit) {
+    const when = limit.resetAt ? ` until ${limit.resetAt.toISOString()}` : "";
+    throw new RateLimitError(`GitHub API rate limit exceeded${when}`, { status: res.status, resetAt: limit.resetAt });
+  }
+  if (!res.ok) {
+    throw new GitHubError(`GitHub API returned HTTP ${res.status}: ${body?.message ?? ""}`.trim(), { status: res.status });
+  }
+
+  if (body?.errors?.length) {
+    if (body.errors.every((e) => e.type === "NOT_FOUND")) throw new NotFoundError(body.errors, body.data);
+    throw new GraphQLError(body.errors, body.data);
+  }
+  if (!body?.data) throw new GitHubError("GitHub API response has no data");
+  return body.data;
+}
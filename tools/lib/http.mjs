@@ -0,0 +1,67 @@
+// Retrying HTTP requests, shared by the GitHub client and the REST sources.
+// One attempt is the fetch and reading the body, under a single timeout.
+// Network errors, timeouts and 5xx are retried with exponential backoff and
+// jitter; rate limits are waited out when the wait is short enough.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After, as seconds ("120") or an HTTP date -> ms from `now`, or null
+export function retryAfterMs(value, now) {
+  if (value === null || value.trim() === "") return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+// The usual rate limit: 429, or 503 with Retry-After -> { ms, resetAt } (no
+// `ms`: back off as after an error), or null when `res` isn't one.
+export function retryAfterWait(res, now) {
+  const retryAfter = retryAfterMs(res.headers.get("retry-after"), now);
+  if ((res.status === 429 || res.status === 503) && retryAfter !== null) {
+    return { ms: retryAfter, resetAt: new Date(now + retryAfter) };
+  }
+  return res.status === 429 ? {} : null;
+}
+
+// Fetch `url` until there's a response worth handing back -> { res, text, limit }.
+// `limit` is set when `res` is a rate limit that wasn't waited out (too long,
+// or no retries left); 5xx comes back once the retries are used up.
+//
+//   label      API name for messages ("GitHub", "GitLab")
+//   timeoutMs  per attempt, body included
+//   retries    extra attempts
+//   backoffMs  first retry delay, doubled each time with jitter
+//   maxWaitMs  longest rate-limit wait worth sitting out
+//   rateLimit  (res, text, now) -> { ms?, resetAt? } or null (default retryAfterWait)
+//   fail       (reason, cause) -> the Error to throw when no response came
+//   log        warning sink
+export async function request(url, init, { label, timeoutMs, retries, backoffMs, maxWaitMs = 120_000, rateLimit, fail, log }) {
+  for (let attempt = 0; ; attempt++) {
+    const backoff = backoffMs * 2 ** attempt * (1 + Math.random() * 0.25);
+    const retry = async (reason, ms = backoff) => {
+      if (attempt >= retries) return false;
+      log(`${label} API: ${reason}; retrying in ${(ms / 1000).toFixed(1)}s (${attempt + 1}/${retries})`);
+      await sleep(ms);
+      return true;
+    };
+
+    let res;
+    let text;
+    try {
+      res = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+      text = await res.text();
+    } catch (e) {
+      const reason = e.name === "TimeoutError" ? `no response after ${timeoutMs / 1000}s` : `request failed (${e.cause?.code ?? e.message})`;
+      if (await retry(reason)) continue;
+      throw fail(reason, e);
+    }
+
+    const limit = (rateLimit ?? ((r, _, now) => retryAfterWait(r, now)))(res, text, Date.now());
+    if (limit) {
+      if ((limit.ms ?? backoff) <= maxWaitMs && (await retry("rate limited", limit.ms))) continue;
+      return { res, text, limit };
+    }
+    if (res.status >= 500 && (await retry(`HTTP ${res.status}`))) continue;
+    return { res, text, limit: null };
+  }
+}
@@ -0,0 +1,102 @@
+// Public API of the camping trail renderer. Importing this module has no side
+// effects; everything that touches the network, disk or process lives in the CLI.
+//
+//   import { renderTrail } from "./tools/lib/index.mjs";
+//   const svg = renderTrail(calendar, { style: "hiker", theme: "dark", login: "octocat" });
+
+export { buildScene, LAYOUTS, memberScene, renderTrail, renderTrailScene, THRESHOLD_MODES } from "./render.mjs";
+export { renderEmbed } from "./embed.mjs";
+export {
+  defineTheme,
+  getTheme,
+  MEMBER_COLORS,
+  palettes,
+  PALETTE_KEYS,
+  registerTheme,
+  themes,
+  withLevels,
+} from "./themes.mjs";
+export { applyConfigSprites, applyConfigThemes, parseConfig, readConfigFile, readSpriteFile } from "./config.mjs";
+export { parseYaml } from "./yaml.mjs";
+export { getStyle, registerStyle, styles } from "./styles/index.mjs";
+export { getSprite, registerSprite, spriteFromSvg, sprites, spritesSvg } from "./sprites.mjs";
+export { pickCampfires } from "./styles/hiker.mjs";
+export { buildRoute, pathAlgorithms, pathData } from "./paths.mjs";
+export { createRng } from "./random.mjs";
+export {
+  buildThresholds,
+  checkScaling,
+  DEFAULT_LEVELS,
+  GITHUB_LEVELS,
+  levelDays,
+  levelFor,
+  levelRanges,
+  quantile,
+  SCALES,
+  thresholdsFromLevels,
+} from "./thresholds.mjs";
+export { describeActivity, patternDefs, REDUCED_MOTION_CSS } from "./a11y.mjs";
+export { axisLabelsSvg, intensityLegendSvg, monthStarts } from "./labels.mjs";
+export { computeStats } from "./stats.mjs";
+export { quietStretches, SCENERY_LAYERS, scenerySvg } from "./scenery.mjs";
+export { escapeXml, parseXml } from "./xml.mjs";
+export { minifyPathData, minifySvg } from "./minify.mjs";
+export { RASTER_FORMATS, renderAnimation, renderPoster } from "./raster/index.mjs";
+export {
+  batchUsers,
+  calendarDays,
+  calendarFromDays,
+  extractCalendar,
+  fetchCalendar,
+  fetchCalendarRanges,
+  fetchCalendars,
+  fetchContributionYears,
+  fetchContributionYearsFor,
+  fetchLifetimeCalendar,
+  fetchLifetimeCalendars,
+  fetchMembers,
+  mergeCalendars,
+  normalizeCalendar,
+  readCalendarFile,
+  selectRanges,
+  sliceCalendar,
+  splitRange,
+  sumCalendars,
+  writeCalendarFile,
+  yearRange,
+} from "./calendar.mjs";
+export {
+  BadCredentialsError,
+  DEFAULT_ENDPOINT,
+  GitHubError,
+  GraphQLError,
+  gql,
+  NotFoundError,
+  RateLimitError,
+} from "./github.mjs";
+export { calendarHash, formatAsOf, readCache, writeCache } from "./cache.mjs";
+export {
+  combineCalendars,
+  fetchSourceCalendar,
+  getSource,
+  MERGE_MODES,
+  registerSource,
+  SourceError,
+  sources,
+} from "./sources/index.mjs";
+export { createTrailServer, HttpError, trailOptions } from "./server.mjs";
+export { describeDay, fetchActivity, sumActivity } from "./breakdown.mjs";
+export {
+  addDays,
+  checkTimeZone,
+  dateInZone,
+  daysBetween,
+  formatDate,
+  parseDate,
+  todayIn,
+  weekdayOf,
+  weekRow,
+  weekStartOf,
+  yearOf,
+} from "./dates.mjs";
+export { dayOf, normalizeDays, parseWeekStart, weekGrid, WEEKDAYS } from "./normalize.mjs";
@@ -0,0 +1,114 @@
+// Optional axis labels (month names over the columns, Mon/Wed/Fri beside the
+// rows) and the "Less ... More" intensity legend. Names come from Intl, so any
+// locale Node knows works.
+
+import { patternId } from "./a11y.mjs";
+import { daysBetween, weekRow } from "./dates.mjs";
+import { levelRanges } from "./thresholds.mjs";
+import { escapeXml } from "./xml.mjs";
+
+const FONT = "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial";
+
+// Space buildScene reserves for the labels
+export const LABEL_MARGIN = { left: 28, top: 14 };
+
+function monthName(date, locale) {
+  return new Intl.DateTimeFormat(locale, { month: "short", timeZone: "UTC" }).format(new Date(`${date}T00:00:00Z`));
+}
+
+function weekdayName(weekday, locale) {
+  // 2023-01-01 was a Sunday
+  return new Intl.DateTimeFormat(locale, { weekday: "short", timeZone: "UTC" }).format(
+    new Date(Date.UTC(2023, 0, 1 + weekday)),
+  );
+}
+
+// [{ x, date }]: the column holding each month's first day, dropping any that
+// would crowd the previous label or the right edge.
+export function monthStarts(scene) {
+  let firsts;
+  const band = scene.bands[0];
+  if (band.year !== null) {
+    // stacked: columns are weeks of the year, so one year's months fit every band
+    const jan1 = `${band.year}-01-01`;
+    firsts = [...Array(12)].map((_, m) => {
+      const date = `${band.year}-${String(m + 1).padStart(2, "0")}-01`;
+      return { x: Math.floor((daysBetween(jan1, date) + weekRow(jan1, scene.weekStart)) / 7), date };
+    });
+  } else {
+    firsts = scene.days.filter((d) => d.date.endsWith("-01")).map((d) => ({ x: d.x, date: d.date }));
+  }
+
+  const out = [];
+  for (const m of firsts) {
+    if (m.x > scene.W - 2) continue;
+    if (out.length && m.x - out.at(-1).x < 3) continue;
+    out.push(m);
+  }
+  return out;
+}
+
+export function axisLabelsSvg(scene, { locale = "en-US" } = {}) {
+  const { p, left, top, gap } = scene;
+  const text = (x, y, s, anchor = "start") =>
+    `<text x="${x}" y="${y}" text-anchor="${anchor}" font-family="${FONT}" font-size="10" fill="${p.text}" opacity="0.6">${escapeXml(s)}</text>`;
+
+  const months = monthStarts(scene).map((m) => text(scene.cellPos(m.x, 0).rx, top - 5, monthName(m.date, locale)));
+  const weekdays = scene.bands.flatMap((band) =>
+    [1, 3, 5].map((wd) => {
+      const row = band.row0 + ((wd - scene.weekStart + 7) % 7);
+      return text(left - gap - 2, scene.center(0, row).py + 3.5, weekdayName(wd, locale), "end");
+    }),
+  );
+  return `
+  <!-- Axis labels -->
+  <g>
+    ${[...months, ...weekdays].join("\n    ")}
+  </g>
+`;
+}
+
+// "Less [] [] [] [] [] More", right-aligned so it ends at `right`; each swatch's
+// tooltip gives its count range. -> { svg, width }
+export function intensityLegendSvg(scene, { right, y, locale = "en-US", patterns = false }) {
+  const { p } = scene;
+  const size = 10;
+  const step = size + 3;
+  const less = "Less";
+  const more = "More";
+  const ranges = levelRanges(scene.thresholds);
+  const width = (less.length + more.length) * 6 + 12 + ranges.length * step;
+  let x = right - width;
+
+  const fmt = (n) => n.toLocaleString(locale);
+  const range = ({ level, min, max }) => {
+    if (level === 0) return "No contributions";
+    if (max === Infinity) return `${fmt(min)}+ contributions`;
+    return min === max ? `${fmt(min)} contribution${min === 1 ? "" : "s"}` : `${fmt(min)}–${fmt(max)} contributions`;
+  };
+
+  const parts = [
+    `<text x="${x}" y="${y}" font-family="${FONT}" font-size="10" fill="${p.text}" opacity="0.6">${less}</text>`,
+  ];
+  x += less.length * 6 + 6;
+  for (const r of ranges) {
+    parts.push(`<rect x="${x}" y="${y - size + 1}" width="${size}" height="${size}" rx="2" ry="2" fill="${p.grid[r.level]}">
+      <title>${escapeXml(range(r))}</title>
+    </rect>`);
+    if (patterns && r.level > 0) {
+      parts.push(`<rect x="${x}" y="${y - size + 1}" width="${size}" height="${size}" rx="2" ry="2" fill="url(#${patternId(r.level)})"/>`);
+    }
+    x += step;
+  }
+  parts.push(`<text x="${x + 3}" y="${y}" font-family="${FONT}" font-size="10" fill="${p.text}" opacity="0.6">${more}</text>`);
+
+  return {
+    svg: `
+  <!-- Intensity legend -->
+  <g>
+    ${parts.join("\n    ")}
+  </g>
+`,
+    width,
+  };
+}
@@ -0,0 +1,204 @@
+// --minify: rewrite a rendered SVG to be as small as it can be while drawing
+// (and animating) exactly the same. Works on the finished document, so styles
+// don't need to know about it:
+//
+//   - comments, indentation and the XML declaration go; text is collapsed
+//   - grid cells sharing a size and corner radius become <use> of one <rect>
+//   - paths repeating a `d` become <use> of one <path> in <defs>
+//   - path data is rewritten with relative and h/v commands and short numbers
+//
+// Output uses SVG 2 `href` for the new references (every current browser);
+// references the styles already write keep their xlink:href fallback.
+
+import { parseXml } from "./xml.mjs";
+
+// shapes inside these are templates, not drawn in place
+const TEMPLATES = new Set(["defs", "pattern", "symbol", "clipPath", "mask", "marker"]);
+const TEXT = new Set(["text", "tspan", "title", "desc"]);
+// a rect needs this many twins (same size, corners and fill) before a shared
+// template pays off
+const MIN_SHARED = 4;
+
+// 24.00 -> 24, 0.50 -> .5, -0.25 -> -.25 (SMIL clock values need the 0: "0.5s")
+export function shortNumber(n, digits = 2, { leadingZero = false } = {}) {
+  const s = String(Number(Number(n).toFixed(digits)));
+  return leadingZero ? s : s.replace(/^(-?)0\./, "$1.");
+}
+
+// attributes holding lists of numbers, and those that are times
+const NUMBER_LISTS = new Set(["transform", "values", "keyTimes", "keySplines", "points", "stroke-dasharray", "viewBox"]);
+const TIMES = new Set(["dur", "begin"]);
+
+// Join path tokens with the fewest separators: none next to a command letter,
+// before a minus sign, or before ".5" when the previous number already has a dot.
+function joinPath(tokens) {
+  let out = "";
+  let prev = "";
+  for (const t of tokens) {
+    const letter = /^[a-zA-Z]$/.test(t);
+    const needsSpace = prev && !letter && !/^[a-zA-Z]$/.test(prev) && t[0] !== "-" && !(t[0] === "." && prev.includes("."));
+    out += (needsSpace ? " " : "") + t;
+    prev = t;
+  }
+  return out;
+}
+
+// Shortest equivalent of a path's `d`. Plain polylines (M then L, which is
+// what pathData() writes) switch to relative moves and h/v; anything else
+// keeps its commands and only gets shorter numbers. Points in the middle of a
+// straight run stay: dashes are laid out per segment by some renderers.
+export function minifyPathData(d) {
+  const tokens = String(d).match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) ?? [];
+  const letters = tokens.filter((t) => /^[a-zA-Z]$/.test(t));
+  const polyline = letters[0] === "M" && letters.slice(1).every((c) => c === "L");
+  if (!polyline) return joinPath(tokens.map((t) => (/^[a-zA-Z]$/.test(t) ? t : shortNumber(t))));
+
+  const nums = tokens.filter((t) => !/^[a-zA-Z]$/.test(t)).map(Number);
+  const points = [];
+  for (let i = 0; i + 1 < nums.length; i += 2) points.push([nums[i], nums[i + 1]]);
+  if (points.length === 0) return "";
+
+  const round = (v) => Number(v.toFixed(2));
+  const rounded = points.map(([x, y]) => [round(x), round(y)]);
+
+  const out = ["M", shortNumber(rounded[0][0]), shortNumber(rounded[0][1])];
+  let [cx, cy] = rounded[0];
+  let last = "M";
+  for (const [x, y] of rounded.slice(1)) {
+    const [dx, dy] = [x - cx, y - cy];
+    let step;
+    if (dy === 0) step = ["h", shortNumber(dx)];
+    else if (dx === 0) step = ["v", shortNumber(dy)];
+    else step = ["l", shortNumber(dx), shortNumber(dy)];
+    // a repeated command letter may be left out
+    out.push(...(step[0] === last ? step.slice(1) : step));
+    last = step[0];
+    [cx, cy] = [x, y];
+  }
+  return joinPath(out);
+}
+
+function minifyCss(css) {
+  return css
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/\s+/g, " ")
+    .replace(/\s*([{}:;,])\s*/g, "$1")
+    .replace(/;}/g, "}")
+    .trim();
+}
+
+const escapeText = (s) => s.replaceAll("&", "&amp;").replaceAll("<", "&lt;");
+const escapeAttr = (s) => escapeText(s).replaceAll('"', "&quot;");
+
+function serialize(node) {
+  if (node.name === "#text") return escapeText(node.text);
+  const attrs = Object.entries(node.attrs)
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => ` ${k}="${escapeAttr(v)}"`)
+    .join("");
+  const inner = node.children.map(serialize).join("");
+  return inner ? `<${node.name}${attrs}>${inner}</${node.name}>` : `<${node.name}${attrs}/>`;
+}
+
+// Drop whitespace-only text between elements and collapse the rest; numeric
+// attributes lose trailing zeros, path data and CSS get their own passes.
+function tidy(node, inText = false) {
+  const textual = inText || TEXT.has(node.name);
+  for (const [k, v] of Object.entries(node.attrs)) {
+    const short = (n) => shortNumber(n, 3, { leadingZero: TIMES.has(k) });
+    if (k === "d") node.attrs[k] = minifyPathData(v);
+    else if (/^-?\d*\.\d+$/.test(v)) node.attrs[k] = short(v);
+    else if (NUMBER_LISTS.has(k) || TIMES.has(k)) node.attrs[k] = v.replace(/-?\d*\.\d+/g, short).replace(/\s*;\s*/g, ";");
+  }
+  node.children = node.children.flatMap((child) => {
+    if (child.name !== "#text") return [tidy(child, textual)];
+    if (node.name === "style") return [{ ...child, text: minifyCss(child.text) }];
+    if (!textual || child.text.trim() === "") {
+      // a lone space between two <tspan>s is part of the text
+      return textual && child.text.length > 0 && node.children.length > 1 ? [{ ...child, text: " " }] : [];
+    }
+    return [{ ...child, text: child.text.replace(/\s+/g, " ") }];
+  });
+  if (TEXT.has(node.name) && !inText) trimEnds(node);
+  return node;
+}
+
+function trimEnds(node) {
+  const first = node.children[0];
+  const last = node.children.at(-1);
+  if (first?.name === "#text") first.text = first.text.trimStart();
+  if (last?.name === "#text") last.text = last.text.trimEnd();
+  node.children = node.children.filter((c) => c.name !== "#text" || c.text !== "");
+}
+
+// Visit drawn (non-template) elements, with their parent.
+function* drawn(node) {
+  for (const child of node.children) {
+    if (child.name === "#text" || TEMPLATES.has(child.name)) continue;
+    yield [child, node];
+    yield* drawn(child);
+  }
+}
+
+function shareRects(root, defs) {
+  const groups = new Map();
+  for (const [el] of drawn(root)) {
+    if (el.name !== "rect" || el.attrs.id || el.children.some((c) => c.name.startsWith("animate") || c.name === "set")) continue;
+    const { width, height, rx, ry, fill } = el.attrs;
+    if (width === undefined || height === undefined || String(width).endsWith("%")) continue;
+    // a userSpaceOnUse pattern would move with the <use> offset
+    if (String(fill).startsWith("url(")) continue;
+    const key = JSON.stringify([width, height, rx, ry, fill]);
+    if (!groups.has(key)) groups.set(key, { shape: { width, height, rx, ry, fill }, rects: [] });
+    groups.get(key).rects.push(el);
+  }
+
+  let n = 0;
+  for (const { shape, rects } of groups.values()) {
+    if (rects.length < MIN_SHARED) continue;
+    const { width, height, rx, ry, fill } = shape;
+    const id = `ct-r${n++}`;
+    // ry defaults to rx, so an equal ry can go
+    defs.children.push({ name: "rect", attrs: { id, width, height, rx, ry: ry === rx ? undefined : ry, fill }, children: [] });
+    for (const el of rects) {
+      const { width: _w, height: _h, rx: _rx, ry: _ry, fill: _fill, ...rest } = el.attrs;
+      el.name = "use";
+      el.attrs = { href: `#${id}`, ...rest };
+    }
+  }
+}
+
+function sharePaths(root, defs) {
+  const byD = new Map();
+  for (const el of defs.children) {
+    if (el.name === "path" && el.attrs.id && Object.keys(el.attrs).length === 2) byD.set(el.attrs.d, el.attrs.id);
+  }
+  const counts = new Map();
+  for (const [el] of drawn(root)) if (el.name === "path" && !el.attrs.id) counts.set(el.attrs.d, (counts.get(el.attrs.d) ?? 0) + 1);
+
+  let n = 0;
+  for (const [el] of drawn(root)) {
+    if (el.name !== "path" || el.attrs.id) continue;
+    const { d, ...rest } = el.attrs;
+    if (!byD.has(d)) {
+      if (counts.get(d) < 2) continue;
+      const id = `ct-d${n++}`;
+      defs.children.push({ name: "path", attrs: { id, d }, children: [] });
+      byD.set(d, id);
+    }
+    el.name = "use";
+    el.attrs = { href: `#${byD.get(d)}`, ...rest };
+  }
+}
+
+export function minifySvg(svg) {
+  const root = tidy(parseXml(svg, { textNodes: true }));
+  let defs = root.children.find((c) => c.name === "defs");
+  if (!defs) {
+    defs = { name: "defs", attrs: {}, children: [] };
+    root.children.unshift(defs);
+  }
+  shareRects(root, defs);
+  sharePaths(root, defs);
+  return serialize(root) + "\n";
+}
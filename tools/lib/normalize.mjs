@@ -0,0 +1,75 @@
+// Turning activity in whatever shape it comes (GitHub's weeks, a flat list of
+// { date, count }, timestamps of single events) into a dense grid of days.
+// normalizeDays() buckets entries into calendar dates in one timezone and fills
+// the gaps with empty days; weekGrid() lays days out in week columns starting
+// on any weekday. buildScene (./render.mjs) places days with weekGrid(), so a
+// partial first or last week, or a calendar that isn't Sunday-first, needs no
+// special case there.
+
+import { addDays, dateInZone, parseDate, weekStartOf } from "./dates.mjs";
+
+export const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// "monday", "Mon" or 1 -> 1 (0 = Sunday .. 6 = Saturday)
+export function parseWeekStart(value) {
+  if (Number.isInteger(value) && value >= 0 && value < 7) return value;
+  const name = String(value).trim().toLowerCase();
+  const index = name.length >= 3 ? WEEKDAYS.findIndex((day) => day.startsWith(name)) : -1;
+  if (index < 0) throw new Error(`Unknown week start "${value}" (expected a weekday: ${WEEKDAYS.join(", ")})`);
+  return index;
+}
+
+// The calendar day of `value`: a "YYYY-MM-DD" date as it is, a timestamp (an
+// ISO string with a time, a Date or milliseconds since the epoch) as the date
+// it was in `timeZone`.
+export function dayOf(value, timeZone = "UTC") {
+  if (typeof value === "string" && value.length === 10) {
+    parseDate(value);
+    return value;
+  }
+  return dateInZone(value, timeZone);
+}
+
+// Every day from `from` to `to` with the summed counts of `entries`
+// ([{ date, count }] or [{ date, contributionCount }], dates as for dayOf()),
+// 0 where there are none. Entries outside the span are dropped, and so are
+// counts that aren't numbers. `from` and `to` default to the first and last
+// day with an entry. -> [{ date, contributionCount }]
+export function normalizeDays(entries, { timeZone = "UTC", from, to } = {}) {
+  const counts = new Map();
+  for (const entry of entries) {
+    const count = entry?.count ?? entry?.contributionCount;
+    if (!Number.isFinite(count)) continue;
+    const date = dayOf(entry.date, timeZone);
+    counts.set(date, (counts.get(date) ?? 0) + count);
+  }
+  const dates = [...counts.keys()].sort();
+  from ??= dates[0] ?? to;
+  to ??= dates.at(-1) ?? from;
+  if (!from || from > to) return [];
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) days.push({ date, contributionCount: counts.get(date) ?? 0 });
+  return days;
+}
+
+// Days in week columns starting on `weekStart` (0 = Sunday, 1 = Monday, ...).
+// Weeks without any day are left out, so calendars covering separate ranges
+// (--year 2022,2024) sit side by side. Within the weeks kept, every date from
+// the first day to the last is a cell (missing ones with count 0); the dates
+// before the first and after the last have none.
+// -> { columns: [first date of each week], cells: [{ x, y, date, count }] }
+export function weekGrid(days, { weekStart = 0 } = {}) {
+  const counts = new Map(days.map((d) => [d.date, d.contributionCount]));
+  const dates = [...counts.keys()].sort();
+  const columns = [...new Set(dates.map((date) => weekStartOf(date, weekStart)))];
+  const cells = [];
+  columns.forEach((start, x) => {
+    for (let y = 0; y < 7; y++) {
+      const date = addDays(start, y);
+      if (date < dates[0] || date > dates.at(-1)) continue;
+      cells.push({ x, y, date, count: counts.get(date) ?? 0 });
+    }
+  });
+  return { columns, cells };
+}
@@ -0,0 +1,182 @@
+// Route algorithms: which cells the moving character visits, in order.
+// Each takes the scene (see buildScene) and a seeded rng, and returns cells
+// [{ x, y }]. Styles turn them into pixel paths with pathData().
+//
+//   snake   every cell, column by column (boustrophedon)
+//   recent  the last 90 active days in date order
+//   peaks   shortest walk linking the high-activity cells
+//   wander  seeded random walk that prefers busy days and avoids empty ones
+
+import { pickWeighted } from "./random.mjs";
+
+function cellIndex(scene) {
+  return new Map(scene.days.map((d) => [`${d.x},${d.y}`, d]));
+}
+
+function dist(a, b) {
+  return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+}
+
+// If there is too little activity for a route, do a small loop in the middle
+// so the SVG still animates.
+function fallbackLoop(scene) {
+  const midX = Math.floor(scene.W / 2);
+  return [
+    { x: midX, y: 3 },
+    { x: midX + 1, y: 3 },
+    { x: midX + 1, y: 4 },
+    { x: midX, y: 4 },
+    { x: midX, y: 3 },
+  ];
+}
+
+// Stacked layouts are walked band by band, alternating direction so each band
+// starts where the previous one ended.
+function snake(scene) {
+  const cells = [];
+  for (const [b, band] of scene.bands.entries()) {
+    for (let i = 0; i < scene.W; i++) {
+      const x = b % 2 === 0 ? i : scene.W - 1 - i;
+      const ys = i % 2 === 0 ? [0, 1, 2, 3, 4, 5, 6] : [6, 5, 4, 3, 2, 1, 0];
+      for (const y of ys) {
+        if (scene.isCell(x, band.row0 + y)) cells.push({ x, y: band.row0 + y });
+      }
+    }
+  }
+  return cells;
+}
+
+function recent(scene) {
+  const active = scene.days.filter((d) => d.count > 0);
+  const N = 90;
+  return (active.length > N ? active.slice(active.length - N) : active).map(({ x, y }) => ({ x, y }));
+}
+
+// Walk grid-aligned (no diagonals) from a to b; the rng decides whether to go
+// across or down first.
+function steps(a, b, rng) {
+  const out = [];
+  const horizontalFirst = rng() < 0.5;
+  let { x, y } = a;
+  const moveX = () => {
+    while (x !== b.x) out.push({ x: (x += Math.sign(b.x - x)), y });
+  };
+  const moveY = () => {
+    while (y !== b.y) out.push({ x, y: (y += Math.sign(b.y - y)) });
+  };
+  if (horizontalFirst) {
+    moveX();
+    moveY();
+  } else {
+    moveY();
+    moveX();
+  }
+  return out;
+}
+
+function peaks(scene, rng) {
+  // Busiest cells first; relax the level until there is something to link.
+  let picked = [];
+  for (let lvl = scene.levels - 1; lvl >= 1 && picked.length < 6; lvl--) picked = scene.days.filter((d) => d.lvl >= lvl);
+  picked = [...picked].sort((a, b) => b.count - a.count || (a.date < b.date ? -1 : 1)).slice(0, 40);
+  if (picked.length < 2) return [];
+
+  // Nearest-neighbour order from a seeded start...
+  const left = picked.map(({ x, y, date }) => ({ x, y, date }));
+  const order = left.splice(Math.floor(rng() * left.length), 1);
+  while (left.length) {
+    const last = order[order.length - 1];
+    let best = 0;
+    for (let i = 1; i < left.length; i++) {
+      const d = dist(last, left[i]) - dist(last, left[best]);
+      if (d < 0 || (d === 0 && left[i].date < left[best].date)) best = i;
+    }
+    order.push(left.splice(best, 1)[0]);
+  }
+
+  // ...then 2-opt until no reversal shortens the (open) path.
+  const edge = (i, j) => (i < 0 || j >= order.length ? 0 : dist(order[i], order[j]));
+  for (let improved = true, rounds = 0; improved && rounds < 50; rounds++) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const before = edge(i - 1, i) + edge(j, j + 1);
+        const after = (i > 0 ? dist(order[i - 1], order[j]) : 0) + (j + 1 < order.length ? dist(order[i], order[j + 1]) : 0);
+        if (after < before) {
+          order.splice(i, j - i + 1, ...order.slice(i, j + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+
+  const cells = [{ x: order[0].x, y: order[0].y }];
+  for (let i = 1; i < order.length; i++) cells.push(...steps(order[i - 1], order[i], rng));
+  return cells;
+}
+
+function wander(scene, rng) {
+  const byCell = cellIndex(scene);
+  const active = scene.days.filter((d) => d.count > 0);
+  if (active.length === 0) return [];
+
+  const length = Math.min(scene.W * scene.rows, Math.max(40, active.length * 2));
+  const visits = new Map();
+  let cur = { x: active[0].x, y: active[0].y };
+  let prev = null;
+  const cells = [cur];
+
+  for (let i = 1; i < length; i++) {
+    const options = [
+      { x: cur.x + 1, y: cur.y },
+      { x: cur.x - 1, y: cur.y },
+      { x: cur.x, y: cur.y + 1 },
+      { x: cur.x, y: cur.y - 1 },
+    ].filter((c) => scene.isCell(c.x, c.y));
+    // nowhere to go (a lone cell): stop rather than pick from nothing
+    if (options.length === 0) break;
+
+    const next = pickWeighted(rng, options, (c) => {
+      const key = `${c.x},${c.y}`;
+      const day = byCell.get(key);
+      let w = day && day.count > 0 ? 1 + day.lvl * 2 : 0.15; // avoid empty days
+      w /= 1 + 3 * (visits.get(key) ?? 0); // and places already walked
+      if (c.x > cur.x) w *= 1.6; // drift forward in time
+      if (prev && c.x === prev.x && c.y === prev.y) w *= 0.2; // rarely turn straight back
+      return w;
+    });
+
+    visits.set(`${next.x},${next.y}`, (visits.get(`${next.x},${next.y}`) ?? 0) + 1);
+    prev = cur;
+    cur = next;
+    cells.push(cur);
+  }
+  return cells;
+}
+
+export const pathAlgorithms = new Map([
+  ["snake", snake],
+  ["recent", recent],
+  ["peaks", peaks],
+  ["wander", wander],
+]);
+
+export function buildRoute(name, scene, rng) {
+  const algorithm = pathAlgorithms.get(name);
+  if (!algorithm) {
+    throw new Error(`Unknown path "${name}" (expected one of: ${[...pathAlgorithms.keys()].join(", ")})`);
+  }
+  const cells = algorithm(scene, rng);
+  return cells.length >= 2 ? cells : fallbackLoop(scene);
+}
+
+// "M x y L x y ..." through the cell centres
+export function pathData(scene, cells) {
+  return (
+    "M " +
+    cells
+      .map((c) => scene.center(c.x, c.y))
+      .map((pt) => `${pt.px.toFixed(2)} ${pt.py.toFixed(2)}`)
+      .join(" L ")
+  );
+}
@@ -0,0 +1,38 @@
+// Seeded pseudo-random numbers, so every "random" choice is reproducible for a
+// given calendar and --seed.
+
+// FNV-1a: turns any seed (number or string) into a 32-bit integer.
+export function hashSeed(seed) {
+  const s = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32; returns a function yielding floats in [0, 1).
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// One of `items`, each as likely as its weight; undefined when there are none.
+export function pickWeighted(rng, items, weight) {
+  if (items.length === 0) return undefined;
+  const weights = items.map(weight);
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (total <= 0) return items[Math.floor(rng() * items.length)];
+  let r = rng() * total;
+  for (let i = 0; i < items.length; i++) {
+    r -= weights[i];
+    if (r < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
@@ -0,0 +1,230 @@
+// RGBA drawing surface with anti-aliased polygon filling and stroking.
+// Pixels are stored premultiplied as floats in [0, 1]; toRGBA() converts to
+// straight 8-bit RGBA for the encoders.
+
+const SUBSAMPLES = 4; // vertical samples per pixel row; x coverage is exact
+
+export class Canvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.data = new Float32Array(width * height * 4);
+  }
+
+  clone() {
+    const c = new Canvas(this.width, this.height);
+    c.data.set(this.data);
+    return c;
+  }
+
+  // Fill one or more closed polygons ([[x, y], ...] in pixel space) with the
+  // non-zero winding rule. `color` is { r, g, b, a } with channels in [0, 1].
+  fillPolygons(polygons, color) {
+    if (color.a <= 0) return;
+    const edges = [];
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const poly of polygons) {
+      for (let i = 0; i < poly.length; i++) {
+        const [x0, y0] = poly[i];
+        const [x1, y1] = poly[(i + 1) % poly.length];
+        if (y0 === y1 || !Number.isFinite(x0 + y0 + x1 + y1)) continue;
+        const dir = y1 > y0 ? 1 : -1;
+        const top = dir > 0 ? { x: x0, y: y0 } : { x: x1, y: y1 };
+        const bottom = dir > 0 ? { x: x1, y: y1 } : { x: x0, y: y0 };
+        edges.push({ y0: top.y, y1: bottom.y, x0: top.x, slope: (bottom.x - top.x) / (bottom.y - top.y), dir });
+        minY = Math.min(minY, top.y);
+        maxY = Math.max(maxY, bottom.y);
+      }
+    }
+    if (edges.length === 0) return;
+    edges.sort((a, b) => a.y0 - b.y0);
+
+    const rowStart = Math.max(0, Math.floor(minY));
+    const rowEnd = Math.min(this.height, Math.ceil(maxY));
+    const cov = new Float32Array(this.width + 1);
+    let next = 0;
+    let active = [];
+    const crossings = [];
+
+    for (let py = rowStart; py < rowEnd; py++) {
+      cov.fill(0);
+      let touched = false;
+      let lo = this.width;
+      let hi = 0;
+
+      for (let s = 0; s < SUBSAMPLES; s++) {
+        const sy = py + (s + 0.5) / SUBSAMPLES;
+        while (next < edges.length && edges[next].y0 <= sy) active.push(edges[next++]);
+        active = active.filter((e) => e.y1 > sy);
+
+        crossings.length = 0;
+        for (const e of active) {
+          if (e.y0 <= sy) crossings.push({ x: e.x0 + (sy - e.y0) * e.slope, dir: e.dir });
+        }
+        if (crossings.length < 2) continue;
+        crossings.sort((a, b) => a.x - b.x);
+
+        let winding = 0;
+        for (let i = 0; i < crossings.length - 1; i++) {
+          winding += crossings[i].dir;
+          if (winding === 0) continue;
+          const xa = Math.max(0, crossings[i].x);
+          const xb = Math.min(this.width, crossings[i + 1].x);
+          if (xb <= xa) continue;
+          touched = true;
+          const ia = Math.floor(xa);
+          const ib = Math.floor(xb);
+          lo = Math.min(lo, ia);
+          hi = Math.max(hi, ib);
+          const w = 1 / SUBSAMPLES;
+          if (ia === ib) {
+            cov[ia] += (xb - xa) * w;
+          } else {
+            cov[ia] += (ia + 1 - xa) * w;
+            for (let x = ia + 1; x < ib; x++) cov[x] += w;
+            cov[ib] += (xb - ib) * w;
+          }
+        }
+      }
+
+      if (touched) this.#compositeRow(py, cov, lo, Math.min(hi, this.width - 1), color);
+    }
+  }
+
+  #compositeRow(py, cov, lo, hi, { r, g, b, a }) {
+    const d = this.data;
+    for (let x = lo; x <= hi; x++) {
+      const c = cov[x];
+      if (c <= 0) continue;
+      const sa = a * Math.min(1, c);
+      const i = (py * this.width + x) * 4;
+      const k = 1 - sa;
+      d[i] = r * sa + d[i] * k;
+      d[i + 1] = g * sa + d[i + 1] * k;
+      d[i + 2] = b * sa + d[i + 2] * k;
+      d[i + 3] = sa + d[i + 3] * k;
+    }
+  }
+
+  toRGBA() {
+    const out = new Uint8Array(this.width * this.height * 4);
+    const d = this.data;
+    for (let i = 0; i < d.length; i += 4) {
+      const a = d[i + 3];
+      if (a <= 0) continue;
+      out[i] = Math.round(Math.min(1, d[i] / a) * 255);
+      out[i + 1] = Math.round(Math.min(1, d[i + 1] / a) * 255);
+      out[i + 2] = Math.round(Math.min(1, d[i + 2] / a) * 255);
+      out[i + 3] = Math.round(Math.min(1, a) * 255);
+    }
+    return out;
+  }
+}
+
+function signedArea(poly) {
+  let s = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const [x0, y0] = poly[i];
+    const [x1, y1] = poly[(i + 1) % poly.length];
+    s += x0 * y1 - x1 * y0;
+  }
+  return s / 2;
+}
+
+// Same orientation for every piece, so overlapping pieces of one stroke merge
+// under the non-zero rule instead of being painted twice.
+function oriented(poly) {
+  return signedArea(poly) < 0 ? poly.reverse() : poly;
+}
+
+export function circlePolygon(cx, cy, r, segments = Math.max(10, Math.ceil(r * 4))) {
+  const poly = [];
+  for (let i = 0; i < segments; i++) {
+    const t = (i / segments) * Math.PI * 2;
+    poly.push([cx + Math.cos(t) * r, cy + Math.sin(t) * r]);
+  }
+  return poly;
+}
+
+// Cut a polyline into dashes. `pattern` is [on, off, ...] in the polyline's units.
+export function dashPolyline(points, pattern, offset = 0) {
+  const total = pattern.reduce((a, b) => a + b, 0);
+  if (!(total > 0)) return [points];
+
+  // position inside the pattern at distance 0
+  let phase = ((offset % total) + total) % total;
+  let idx = 0;
+  while (phase >= pattern[idx]) {
+    phase -= pattern[idx];
+    idx = (idx + 1) % pattern.length;
+  }
+  let remaining = pattern[idx] - phase;
+  let on = idx % 2 === 0;
+
+  const dashes = [];
+  let current = on ? [points[0]] : null;
+  for (let i = 1; i < points.length; i++) {
+    let [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    let segLen = Math.hypot(x1 - x0, y1 - y0);
+    while (segLen > 0) {
+      const step = Math.min(segLen, remaining);
+      const t = step / segLen;
+      const nx = x0 + (x1 - x0) * t;
+      const ny = y0 + (y1 - y0) * t;
+      if (on) current.push([nx, ny]);
+      x0 = nx;
+      y0 = ny;
+      segLen -= step;
+      remaining -= step;
+      if (remaining <= 1e-9) {
+        if (on && current.length > 1) dashes.push(current);
+        idx = (idx + 1) % pattern.length;
+        remaining = pattern[idx];
+        on = idx % 2 === 0;
+        current = on ? [[x0, y0]] : null;
+      }
+    }
+  }
+  if (on && current && current.length > 1) dashes.push(current);
+  return dashes;
+}
+
+// Outline of a stroked polyline as polygons: one quad per segment plus round
+// joins/caps (or square caps). Good enough for the thin strokes we draw.
+export function strokePolygons(points, width, { cap = "butt", join = "miter", closed = false } = {}) {
+  const hw = width / 2;
+  const polys = [];
+  const pts = closed ? [...points, points[0]] : points;
+
+  for (let i = 1; i < pts.length; i++) {
+    const [x0, y0] = pts[i - 1];
+    const [x1, y1] = pts[i];
+    const len = Math.hypot(x1 - x0, y1 - y0);
+    if (len === 0) continue;
+    const nx = (-(y1 - y0) / len) * hw;
+    const ny = ((x1 - x0) / len) * hw;
+    let ex = 0;
+    let ey = 0;
+    if (cap === "square" && !closed) {
+      ex = ((x1 - x0) / len) * hw;
+      ey = ((y1 - y0) / len) * hw;
+    }
+    const sx = i === 1 ? x0 - ex : x0;
+    const sy = i === 1 ? y0 - ey : y0;
+    const fx = i === pts.length - 1 ? x1 + ex : x1;
+    const fy = i === pts.length - 1 ? y1 + ey : y1;
+    polys.push(oriented([[sx + nx, sy + ny], [fx + nx, fy + ny], [fx - nx, fy - ny], [sx - nx, sy - ny]]));
+  }
+
+  // Joins are always drawn round; caps only when asked for.
+  const roundCaps = cap === "round" && !closed;
+  for (let i = 0; i < pts.length; i++) {
+    const isEnd = !closed && (i === 0 || i === pts.length - 1);
+    if (isEnd ? roundCaps : join !== "bevel" && pts.length > 2) {
+      polys.push(oriented(circlePolygon(pts[i][0], pts[i][1], hw)));
+    }
+  }
+  return polys;
+}
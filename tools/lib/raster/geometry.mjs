@@ -0,0 +1,242 @@
+// Parsing helpers for the SVG subset the styles emit: colours, transforms and
+// path data (flattened to polylines).
+
+const NAMED = {
+  black: "#000000",
+  white: "#ffffff",
+  red: "#ff0000",
+  green: "#008000",
+  blue: "#0000ff",
+  yellow: "#ffff00",
+  orange: "#ffa500",
+  gray: "#808080",
+  grey: "#808080",
+};
+
+// -> { r, g, b, a } in [0, 1], or null for "none"/unsupported values
+export function parseColor(value) {
+  if (value == null) return null;
+  let s = String(value).trim().toLowerCase();
+  if (s === "none" || s === "transparent" || s.startsWith("url(") || s.startsWith("var(")) return null;
+  s = NAMED[s] ?? s;
+
+  let m = /^#([0-9a-f]{3,8})$/.exec(s);
+  if (m) {
+    let hex = m[1];
+    if (hex.length === 3 || hex.length === 4) hex = [...hex].map((c) => c + c).join("");
+    if (hex.length !== 6 && hex.length !== 8) return null;
+    const n = (i) => parseInt(hex.slice(i, i + 2), 16) / 255;
+    return { r: n(0), g: n(2), b: n(4), a: hex.length === 8 ? n(6) : 1 };
+  }
+
+  m = /^rgba?\(([^)]*)\)$/.exec(s);
+  if (m) {
+    const parts = m[1].split(/[\s,/]+/).filter(Boolean);
+    const channel = (v) => (v.endsWith("%") ? parseFloat(v) / 100 : parseFloat(v) / 255);
+    const alpha = parts[3] === undefined ? 1 : parts[3].endsWith("%") ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+    return { r: channel(parts[0]), g: channel(parts[1]), b: channel(parts[2]), a: alpha };
+  }
+  return null;
+}
+
+// Affine matrices are [a, b, c, d, e, f] as in SVG.
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+export function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+export function translate(x, y) {
+  return [1, 0, 0, 1, x, y];
+}
+
+export function rotate(deg, cx = 0, cy = 0) {
+  const r = (deg * Math.PI) / 180;
+  const cos = Math.cos(r);
+  const sin = Math.sin(r);
+  const m = [cos, sin, -sin, cos, 0, 0];
+  return cx || cy ? multiply(translate(cx, cy), multiply(m, translate(-cx, -cy))) : m;
+}
+
+export function apply(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+// how much the matrix scales lengths, for stroke widths
+export function scaleOf(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+}
+
+const NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+export function numbers(s) {
+  return (String(s).match(NUMBER) ?? []).map(Number);
+}
+
+export function parseTransform(s) {
+  let m = IDENTITY;
+  if (!s) return m;
+  for (const [, fn, args] of String(s).matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+    const v = numbers(args);
+    let t = IDENTITY;
+    if (fn === "translate") t = translate(v[0] ?? 0, v[1] ?? 0);
+    else if (fn === "scale") t = [v[0] ?? 1, 0, 0, v[1] ?? v[0] ?? 1, 0, 0];
+    else if (fn === "rotate") t = rotate(v[0] ?? 0, v[1] ?? 0, v[2] ?? 0);
+    else if (fn === "matrix" && v.length === 6) t = v;
+    else if (fn === "skewX") t = [1, 0, Math.tan(((v[0] ?? 0) * Math.PI) / 180), 1, 0, 0];
+    else if (fn === "skewY") t = [1, Math.tan(((v[0] ?? 0) * Math.PI) / 180), 0, 1, 0, 0];
+    m = multiply(m, t);
+  }
+  return m;
+}
+
+function cubic(out, p0, p1, p2, p3, steps = 12) {
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    const u = 1 - t;
+    out.push([
+      u * u * u * p0[0] + 3 * u * u * t * p1[0] + 3 * u * t * t * p2[0] + t * t * t * p3[0],
+      u * u * u * p0[1] + 3 * u * u * t * p1[1] + 3 * u * t * t * p2[1] + t * t * t * p3[1],
+    ]);
+  }
+}
+
+function quadratic(out, p0, p1, p2, steps = 10) {
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    const u = 1 - t;
+    out.push([u * u * p0[0] + 2 * u * t * p1[0] + t * t * p2[0], u * u * p0[1] + 2 * u * t * p1[1] + t * t * p2[1]]);
+  }
+}
+
+// Path data -> [{ points: [[x, y], ...], closed }]. Arcs are approximated by
+// straight lines to their end point (none of the built-in artwork uses them).
+export function parsePath(d) {
+  const subpaths = [];
+  const tokens = String(d).match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) ?? [];
+  let i = 0;
+  let cmd = null;
+  let cur = [0, 0];
+  let start = [0, 0];
+  let lastCtrl = null;
+  let lastCmd = null;
+  let sub = null;
+
+  const num = () => Number(tokens[i++]);
+  const hasNumber = () => i < tokens.length && !/^[a-zA-Z]$/.test(tokens[i]);
+
+  while (i < tokens.length) {
+    if (/^[a-zA-Z]$/.test(tokens[i])) cmd = tokens[i++];
+    else if (cmd === null) break;
+    const rel = cmd === cmd.toLowerCase();
+    const C = cmd.toUpperCase();
+    const at = (x, y) => (rel ? [cur[0] + x, cur[1] + y] : [x, y]);
+
+    if (C === "Z") {
+      if (sub) {
+        sub.closed = true;
+        cur = start;
+      }
+      lastCmd = "Z";
+      lastCtrl = null;
+      continue;
+    }
+    if (!hasNumber()) {
+      i++;
+      continue;
+    }
+
+    if (C === "M") {
+      cur = at(num(), num());
+      start = cur;
+      sub = { points: [cur], closed: false };
+      subpaths.push(sub);
+      cmd = rel ? "l" : "L"; // further pairs are implicit line-tos
+      lastCtrl = null;
+    } else {
+      if (!sub || sub.closed) {
+        sub = { points: [cur], closed: false };
+        subpaths.push(sub);
+      }
+      if (C === "L") {
+        cur = at(num(), num());
+        sub.points.push(cur);
+        lastCtrl = null;
+      } else if (C === "H") {
+        const x = num();
+        cur = [rel ? cur[0] + x : x, cur[1]];
+        sub.points.push(cur);
+        lastCtrl = null;
+      } else if (C === "V") {
+        const y = num();
+        cur = [cur[0], rel ? cur[1] + y : y];
+        sub.points.push(cur);
+        lastCtrl = null;
+      } else if (C === "C") {
+        const c1 = at(num(), num());
+        const c2 = at(num(), num());
+        const end = at(num(), num());
+        cubic(sub.points, cur, c1, c2, end);
+        lastCtrl = c2;
+        cur = end;
+      } else if (C === "S") {
+        const c1 = lastCtrl && /[CS]/.test(lastCmd) ? [2 * cur[0] - lastCtrl[0], 2 * cur[1] - lastCtrl[1]] : cur;
+        const c2 = at(num(), num());
+        const end = at(num(), num());
+        cubic(sub.points, cur, c1, c2, end);
+        lastCtrl = c2;
+        cur = end;
+      } else if (C === "Q") {
+        const c = at(num(), num());
+        const end = at(num(), num());
+        quadratic(sub.points, cur, c, end);
+        lastCtrl = c;
+        cur = end;
+      } else if (C === "T") {
+        const c = lastCtrl && /[QT]/.test(lastCmd) ? [2 * cur[0] - lastCtrl[0], 2 * cur[1] - lastCtrl[1]] : cur;
+        const end = at(num(), num());
+        quadratic(sub.points, cur, c, end);
+        lastCtrl = c;
+        cur = end;
+      } else if (C === "A") {
+        i += 5;
+        cur = at(num(), num());
+        sub.points.push(cur);
+        lastCtrl = null;
+      } else {
+        i++;
+      }
+    }
+    lastCmd = C;
+  }
+  return subpaths;
+}
+
+// Polyline helpers for motion along a path
+export function measure(points) {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+  }
+  return lengths;
+}
+
+// -> { x, y, angle } at `fraction` (0..1) of the polyline's length
+export function pointAt(points, lengths, fraction) {
+  const total = lengths[lengths.length - 1];
+  const target = Math.min(1, Math.max(0, fraction)) * total;
+  let lo = 1;
+  while (lo < lengths.length - 1 && lengths[lo] < target) lo++;
+  const [x0, y0] = points[lo - 1] ?? points[0];
+  const [x1, y1] = points[lo] ?? points[0];
+  const seg = lengths[lo] - lengths[lo - 1] || 1;
+  const t = (target - lengths[lo - 1]) / seg;
+  return { x: x0 + (x1 - x0) * t, y: y0 + (y1 - y0) * t, angle: (Math.atan2(y1 - y0, x1 - x0) * 180) / Math.PI };
+}
@@ -0,0 +1,190 @@
+// Animated GIF encoder for 8-bit RGBA frames. One global palette (built from
+// sample frames up front), frames after the first store only the changed
+// rectangle with unchanged pixels left transparent.
+
+const TRANSPARENT = 255; // palette index reserved for "keep what's there"
+
+function key15(r, g, b) {
+  return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+// Popularity palette over 15-bit colour buckets; fine for flat artwork with
+// anti-aliased edges, which is all we draw.
+export function buildPalette(frames, size = 255) {
+  const buckets = new Map();
+  for (const rgba of frames) {
+    for (let i = 0; i < rgba.length; i += 4) {
+      if (rgba[i + 3] < 128) continue;
+      const k = key15(rgba[i], rgba[i + 1], rgba[i + 2]);
+      let b = buckets.get(k);
+      if (!b) buckets.set(k, (b = { n: 0, r: 0, g: 0, b: 0 }));
+      b.n++;
+      b.r += rgba[i];
+      b.g += rgba[i + 1];
+      b.b += rgba[i + 2];
+    }
+  }
+  const top = [...buckets.values()].sort((a, b) => b.n - a.n).slice(0, size);
+  const palette = top.map((b) => [Math.round(b.r / b.n), Math.round(b.g / b.n), Math.round(b.b / b.n)]);
+  if (palette.length === 0) palette.push([0, 0, 0]);
+  return palette;
+}
+
+class Quantizer {
+  constructor(palette) {
+    this.palette = palette;
+    this.cache = new Int16Array(32768).fill(-1);
+  }
+
+  index(r, g, b) {
+    const k = key15(r, g, b);
+    let idx = this.cache[k];
+    if (idx >= 0) return idx;
+    let best = Infinity;
+    for (let i = 0; i < this.palette.length; i++) {
+      const [pr, pg, pb] = this.palette[i];
+      const d = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+      if (d < best) {
+        best = d;
+        idx = i;
+      }
+    }
+    this.cache[k] = idx;
+    return idx;
+  }
+}
+
+// GIF-flavoured LZW with variable code width, packed LSB-first into sub-blocks.
+function lzw(indices, minCodeSize = 8) {
+  const clear = 1 << minCodeSize;
+  const eoi = clear + 1;
+  const out = [];
+  let bitBuf = 0;
+  let bitLen = 0;
+  let codeSize = minCodeSize + 1;
+  const emit = (code) => {
+    bitBuf |= code << bitLen;
+    bitLen += codeSize;
+    while (bitLen >= 8) {
+      out.push(bitBuf & 0xff);
+      bitBuf >>>= 8;
+      bitLen -= 8;
+    }
+  };
+
+  let dict = new Map();
+  let next = eoi + 1;
+  emit(clear);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = prefix * 4096 + k;
+    const found = dict.get(key);
+    if (found !== undefined) {
+      prefix = found;
+      continue;
+    }
+    emit(prefix);
+    if (next < 4096) {
+      dict.set(key, next++);
+      if (next > 1 << codeSize && codeSize < 12) codeSize++;
+    } else {
+      emit(clear);
+      dict = new Map();
+      next = eoi + 1;
+      codeSize = minCodeSize + 1;
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoi);
+  if (bitLen > 0) out.push(bitBuf & 0xff);
+
+  const blocks = [];
+  for (let i = 0; i < out.length; i += 255) {
+    const part = out.slice(i, i + 255);
+    blocks.push(part.length, ...part);
+  }
+  blocks.push(0);
+  return Buffer.from(blocks);
+}
+
+function u16(n) {
+  return [n & 0xff, (n >> 8) & 0xff];
+}
+
+export class GifEncoder {
+  constructor(width, height, { fps = 10, palette, loops = 0 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.delay = Math.max(2, Math.round(100 / fps)); // centiseconds; browsers clamp below 2
+    this.quantizer = new Quantizer(palette);
+    this.parts = [];
+    this.prev = null;
+
+    const table = Buffer.alloc(256 * 3);
+    palette.forEach(([r, g, b], i) => table.set([r, g, b], i * 3));
+    this.parts.push(
+      Buffer.from("GIF89a", "ascii"),
+      Buffer.from([...u16(width), ...u16(height), 0xf7, TRANSPARENT, 0]), // global table, 256 entries
+      table,
+      // NETSCAPE2.0 looping extension
+      Buffer.from([0x21, 0xff, 0x0b, ...Buffer.from("NETSCAPE2.0", "ascii"), 0x03, 0x01, ...u16(loops), 0x00]),
+    );
+  }
+
+  addFrame(rgba) {
+    const { width, height } = this;
+    const indices = new Uint8Array(width * height);
+    for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+      indices[p] = rgba[i + 3] < 128 ? TRANSPARENT : this.quantizer.index(rgba[i], rgba[i + 1], rgba[i + 2]);
+    }
+
+    let region = { x: 0, y: 0, w: width, h: height };
+    let pixels = indices;
+    if (this.prev) {
+      let x0 = width;
+      let y0 = height;
+      let x1 = -1;
+      let y1 = -1;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const p = y * width + x;
+          if (indices[p] !== this.prev[p]) {
+            if (x < x0) x0 = x;
+            if (x > x1) x1 = x;
+            if (y < y0) y0 = y;
+            y1 = y;
+          }
+        }
+      }
+      if (x1 < 0) {
+        // nothing changed: lengthen the previous frame's delay
+        const gce = this.parts[this.parts.length - 3];
+        const delay = gce.readUInt16LE(4) + this.delay;
+        gce.writeUInt16LE(Math.min(0xffff, delay), 4);
+        return;
+      }
+      region = { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+      pixels = new Uint8Array(region.w * region.h);
+      for (let y = 0; y < region.h; y++) {
+        for (let x = 0; x < region.w; x++) {
+          const p = (region.y + y) * width + region.x + x;
+          pixels[y * region.w + x] = indices[p] === this.prev[p] ? TRANSPARENT : indices[p];
+        }
+      }
+    }
+    this.prev = indices;
+
+    this.parts.push(
+      // graphic control: dispose "do not dispose", transparent index set
+      Buffer.from([0x21, 0xf9, 0x04, 0x05, ...u16(this.delay), TRANSPARENT, 0x00]),
+      Buffer.from([0x2c, ...u16(region.x), ...u16(region.y), ...u16(region.w), ...u16(region.h), 0x00, 8]),
+      lzw(pixels),
+    );
+  }
+
+  finish() {
+    return Buffer.concat([...this.parts, Buffer.from([0x3b])]);
+  }
+}
@@ -0,0 +1,103 @@
+// Raster export of a rendered trail SVG: a PNG poster frame, or the animation
+// sampled into frames and encoded as GIF, APNG or (through ffmpeg) MP4.
+// Everything except MP4 is pure JavaScript, so it runs headless anywhere.
+
+import { spawn } from "child_process";
+import { buildPalette, GifEncoder } from "./gif.mjs";
+import { ApngEncoder, encodePng } from "./png.mjs";
+import { SvgDocument } from "./svg.mjs";
+
+export const RASTER_FORMATS = ["png", "gif", "apng", "mp4"];
+
+// Text isn't rasterised: say so rather than silently dropping the caption,
+// labels and stats.
+function warnSkippedText(doc, log) {
+  const n = doc.skippedText;
+  if (n > 0) log(`Raster output has no text: ${n} text element${n === 1 ? "" : "s"} left out; the SVG keeps them`);
+}
+
+// Single frame at `time` seconds -> PNG buffer. `log` gets a warning when
+// the SVG has text, which the raster renderer skips.
+export function renderPoster(svg, { time = 0, scale = 1, log = console.warn } = {}) {
+  const doc = new SvgDocument(svg);
+  warnSkippedText(doc, log);
+  const canvas = doc.render(time, { scale });
+  return encodePng(canvas.toRGBA(), canvas.width, canvas.height);
+}
+
+// Frame timestamps covering one loop of the animation
+export function frameTimes(doc, { fps = 10, duration } = {}) {
+  const length = duration ?? doc.duration;
+  const count = Math.max(1, Math.round(length * fps));
+  return [...Array(count)].map((_, k) => k / fps);
+}
+
+function encodeMp4(doc, times, { fps, scale }) {
+  const first = doc.render(0, { scale });
+  const { width, height } = first;
+  const args = [
+    "-loglevel", "error", "-y",
+    "-f", "rawvideo", "-pix_fmt", "rgba", "-s", `${width}x${height}`, "-r", String(fps), "-i", "-",
+    // yuv420p needs even dimensions
+    "-vf", "pad=ceil(iw/2)*2:ceil(ih/2)*2",
+    "-pix_fmt", "yuv420p", "-movflags", "+faststart", "-f", "mp4", "pipe:1",
+  ];
+
+  return new Promise((resolve, reject) => {
+    const ff = spawn("ffmpeg", args, { stdio: ["pipe", "pipe", "pipe"] });
+    const out = [];
+    let err = "";
+    ff.on("error", (e) =>
+      reject(e.code === "ENOENT" ? new Error("MP4 export needs ffmpeg on PATH (GIF and APNG work without it)") : e),
+    );
+    ff.stdout.on("data", (d) => out.push(d));
+    ff.stderr.on("data", (d) => (err += d));
+    ff.on("close", (code) => (code === 0 ? resolve(Buffer.concat(out)) : reject(new Error(`ffmpeg exited with ${code}: ${err.trim()}`))));
+    ff.stdin.on("error", () => {}); // reported through "close"
+
+    (async () => {
+      for (const t of times) {
+        const rgba = doc.render(t, { scale }).toRGBA();
+        if (!ff.stdin.write(rgba)) await new Promise((r) => ff.stdin.once("drain", r));
+      }
+      ff.stdin.end();
+    })().catch(reject);
+  });
+}
+
+// Sample the animation and encode it. `duration` defaults to one loop of the
+// longest repeating animation in the SVG; `log` is as for renderPoster().
+export async function renderAnimation(svg, { format = "gif", fps = 10, scale = 1, duration, log = console.warn } = {}) {
+  const doc = new SvgDocument(svg);
+  warnSkippedText(doc, log);
+  const times = frameTimes(doc, { fps, duration });
+
+  if (format === "mp4") return encodeMp4(doc, times, { fps, scale });
+
+  const frame = (t) => {
+    const canvas = doc.render(t, { scale });
+    return { rgba: canvas.toRGBA(), width: canvas.width, height: canvas.height };
+  };
+
+  if (format === "apng") {
+    const first = frame(times[0]);
+    const enc = new ApngEncoder(first.width, first.height, { fps });
+    enc.addFrame(first.rgba);
+    for (const t of times.slice(1)) enc.addFrame(frame(t).rgba);
+    return enc.finish();
+  }
+
+  if (format === "gif") {
+    // palette from a handful of frames spread over the loop
+    const samples = times.filter((_, k) => k % Math.max(1, Math.floor(times.length / 8)) === 0).map((t) => frame(t).rgba);
+    const first = frame(times[0]);
+    const enc = new GifEncoder(first.width, first.height, { fps, palette: buildPalette(samples) });
+    enc.addFrame(first.rgba);
+    for (const t of times.slice(1)) enc.addFrame(frame(t).rgba);
+    return enc.finish();
+  }
+
+  throw new Error(`Unknown animation format "${format}" (expected gif, apng or mp4)`);
+}
+
+export { SvgDocument };
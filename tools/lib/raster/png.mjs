@@ -0,0 +1,145 @@
+// PNG and animated PNG (APNG) encoders for 8-bit RGBA frames, using the
+// built-in zlib for compression.
+
+import zlib from "zlib";
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function ihdr(width, height) {
+  const b = Buffer.alloc(13);
+  b.writeUInt32BE(width, 0);
+  b.writeUInt32BE(height, 4);
+  b[8] = 8; // bit depth
+  b[9] = 6; // RGBA
+  return chunk("IHDR", b);
+}
+
+// Scanlines with the "Sub" filter, which suits flat-coloured artwork well.
+function compress(rgba, width, height, region = { x: 0, y: 0, w: width, h: height }) {
+  const stride = region.w * 4;
+  const raw = Buffer.alloc((stride + 1) * region.h);
+  for (let y = 0; y < region.h; y++) {
+    const out = y * (stride + 1);
+    raw[out] = 1;
+    const src = ((region.y + y) * width + region.x) * 4;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 4 ? rgba[src + i - 4] : 0;
+      raw[out + 1 + i] = (rgba[src + i] - left) & 0xff;
+    }
+  }
+  return zlib.deflateSync(raw, { level: 9 });
+}
+
+export function encodePng(rgba, width, height) {
+  return Buffer.concat([SIGNATURE, ihdr(width, height), chunk("IDAT", compress(rgba, width, height)), chunk("IEND", Buffer.alloc(0))]);
+}
+
+// Bounding box of the pixels that differ between two frames (null if none).
+export function changedRegion(prev, next, width, height) {
+  let x0 = width;
+  let y0 = height;
+  let x1 = -1;
+  let y1 = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (prev[i] !== next[i] || prev[i + 1] !== next[i + 1] || prev[i + 2] !== next[i + 2] || prev[i + 3] !== next[i + 3]) {
+        if (x < x0) x0 = x;
+        if (x > x1) x1 = x;
+        if (y < y0) y0 = y;
+        y1 = y;
+      }
+    }
+  }
+  return x1 < 0 ? null : { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+// Streaming APNG encoder: addFrame() each RGBA frame, then finish().
+// Frames after the first only store the rectangle that changed.
+export class ApngEncoder {
+  constructor(width, height, { fps = 10, loops = 0 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.delay = Math.round(1000 / fps);
+    this.loops = loops;
+    this.parts = [];
+    this.frames = 0;
+    this.seq = 0;
+    this.prev = null;
+  }
+
+  #fctl(region, delay) {
+    const b = Buffer.alloc(26);
+    b.writeUInt32BE(this.seq++, 0);
+    b.writeUInt32BE(region.w, 4);
+    b.writeUInt32BE(region.h, 8);
+    b.writeUInt32BE(region.x, 12);
+    b.writeUInt32BE(region.y, 16);
+    b.writeUInt16BE(delay, 20);
+    b.writeUInt16BE(1000, 22);
+    b[24] = 0; // dispose: none
+    b[25] = 0; // blend: source
+    return chunk("fcTL", b);
+  }
+
+  addFrame(rgba) {
+    const full = { x: 0, y: 0, w: this.width, h: this.height };
+    if (!this.prev) {
+      this.parts.push(this.#fctl(full, this.delay), chunk("IDAT", compress(rgba, this.width, this.height)));
+    } else {
+      const region = changedRegion(this.prev, rgba, this.width, this.height);
+      if (!region) {
+        // nothing moved: stretch the previous frame instead of storing a copy
+        this.lastFctl.writeUInt16BE(this.lastFctl.readUInt16BE(28) + this.delay, 28);
+        this.prev = rgba;
+        this.frames++;
+        return;
+      }
+      const data = compress(rgba, this.width, this.height, region);
+      const seq = Buffer.alloc(4);
+      this.parts.push(this.#fctl(region, this.delay));
+      seq.writeUInt32BE(this.seq++, 0);
+      this.parts.push(chunk("fdAT", Buffer.concat([seq, data])));
+    }
+    this.lastFctl = this.parts[this.parts.length - 2];
+    this.prev = rgba;
+    this.frames++;
+  }
+
+  finish() {
+    const stored = this.parts.filter((p) => p.toString("ascii", 4, 8) === "fcTL").length;
+    const actl = Buffer.alloc(8);
+    actl.writeUInt32BE(stored, 0);
+    actl.writeUInt32BE(this.loops, 4);
+    const parts = this.parts.map((p) => (p.toString("ascii", 4, 8) === "fcTL" ? withCrc(p) : p));
+    return Buffer.concat([SIGNATURE, ihdr(this.width, this.height), chunk("acTL", actl), ...parts, chunk("IEND", Buffer.alloc(0))]);
+  }
+}
+
+// fcTL delays may be patched after the chunk was built; recompute its CRC.
+function withCrc(c) {
+  const len = c.readUInt32BE(0);
+  c.writeUInt32BE(crc32(c.subarray(4, 8 + len)), 8 + len);
+  return c;
+}
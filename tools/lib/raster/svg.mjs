@@ -0,0 +1,383 @@
+// Rasterises the SVG subset our styles emit at a point in time, evaluating the
+// SMIL animations (<animate>, <animateTransform>, <animateMotion>) the same
+// way a browser would play them. Not a general SVG renderer: filters and text
+// are skipped (`skippedText` counts the text that would have been drawn),
+// group opacity is approximated per shape.
+
+import { parseXml } from "../xml.mjs";
+import { Canvas, dashPolyline, strokePolygons } from "./canvas.mjs";
+import {
+  apply,
+  measure,
+  multiply,
+  numbers,
+  parseColor,
+  parsePath,
+  parseTransform,
+  pointAt,
+  rotate,
+  scaleOf,
+  translate,
+} from "./geometry.mjs";
+
+const ANIMATIONS = new Set(["animate", "animateTransform", "animateMotion", "set"]);
+const SKIP = new Set(["defs", "title", "desc", "style", "filter", "mpath", "text", "metadata", "symbol", "linearGradient", "radialGradient", "pattern", "clipPath", "mask"]);
+
+function parseClock(value, fallback = 0) {
+  if (value == null || value === "") return fallback;
+  const s = String(value).trim();
+  if (s === "indefinite") return Infinity;
+  if (s.endsWith("ms")) return parseFloat(s) / 1000;
+  if (s.endsWith("min")) return parseFloat(s) * 60;
+  if (s.endsWith("h")) return parseFloat(s) * 3600;
+  if (s.includes(":")) return s.split(":").reduce((acc, part) => acc * 60 + parseFloat(part), 0);
+  return parseFloat(s);
+}
+
+// cubic-bezier easing as used by keySplines
+function spline(x1, y1, x2, y2, x) {
+  const bez = (t, a, b) => 3 * (1 - t) * (1 - t) * t * a + 3 * (1 - t) * t * t * b + t * t * t;
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 30; i++) {
+    const mid = (lo + hi) / 2;
+    if (bez(mid, x1, x2) < x) lo = mid;
+    else hi = mid;
+  }
+  return bez((lo + hi) / 2, y1, y2);
+}
+
+// Fraction (0..1) of the current repeat of `anim` at time t, or null when it
+// isn't running (before begin, or finished without fill="freeze").
+function progress(anim, t) {
+  const a = anim.attrs;
+  const begin = parseClock(a.begin, 0);
+  const dur = parseClock(a.dur, Infinity);
+  if (!(dur > 0) || dur === Infinity || t < begin) return null;
+  const repeat = a.repeatCount === "indefinite" ? Infinity : a.repeatCount ? parseFloat(a.repeatCount) : 1;
+  const local = t - begin;
+  if (local >= dur * repeat) return a.fill === "freeze" ? 1 : null;
+  return (local % dur) / dur;
+}
+
+// Map a progress fraction onto the keyTimes/values lists: -> { i, f } meaning
+// "between values[i] and values[i + 1], f of the way".
+function interval(anim, count, fraction) {
+  const a = anim.attrs;
+  if (count < 2) return { i: 0, f: 0 };
+  const keyTimes = a.keyTimes ? a.keyTimes.split(";").map(Number) : [...Array(count)].map((_, k) => k / (count - 1));
+  let i = 0;
+  while (i < count - 2 && fraction >= keyTimes[i + 1]) i++;
+  const span = keyTimes[i + 1] - keyTimes[i] || 1;
+  let f = Math.min(1, Math.max(0, (fraction - keyTimes[i]) / span));
+  if (a.calcMode === "discrete") f = 0;
+  if (a.calcMode === "spline" && a.keySplines) {
+    const splines = a.keySplines.split(";").map((s) => numbers(s));
+    const sp = splines[Math.min(i, splines.length - 1)];
+    if (sp.length === 4) f = spline(sp[0], sp[1], sp[2], sp[3], f);
+  }
+  return { i, f };
+}
+
+function lerpLists(from, to, f) {
+  return from.map((v, k) => v + ((to[k] ?? v) - v) * f);
+}
+
+export class SvgDocument {
+  constructor(svgText) {
+    this.root = parseXml(svgText);
+    if (this.root.name !== "svg") throw new Error("Not an SVG document");
+
+    const vb = numbers(this.root.attrs.viewBox ?? "");
+    this.width = parseFloat(this.root.attrs.width) || vb[2] || 300;
+    this.height = parseFloat(this.root.attrs.height) || vb[3] || 150;
+    this.viewBox = vb.length === 4 ? vb : [0, 0, this.width, this.height];
+
+    this.ids = new Map();
+    this.pathCache = new Map();
+    this.skippedText = 0;
+    let maxDur = 0;
+    const walk = (node, hidden = false) => {
+      if (node.attrs.id) this.ids.set(node.attrs.id, node);
+      node.animated = false;
+      if (node.name === "text" && !hidden && node.text.trim()) this.skippedText++;
+      for (const child of node.children) {
+        walk(child, hidden || (SKIP.has(node.name) && node.name !== "text") || node.attrs.display === "none");
+        if (ANIMATIONS.has(child.name) || child.animated) node.animated = true;
+        if (ANIMATIONS.has(child.name) && child.attrs.repeatCount === "indefinite") {
+          maxDur = Math.max(maxDur, parseClock(child.attrs.dur, 0) || 0);
+        }
+      }
+      if (node.name === "use" && this.ids.get(ref(node))?.animated) node.animated = true;
+    };
+    walk(this.root);
+    // <use> may point forward, so resolve its animated flag again
+    const again = (node) => {
+      for (const child of node.children) again(child);
+      if (node.name === "use" && this.ids.get(ref(node))?.animated) node.animated = true;
+      if (node.children.some((c) => c.animated || ANIMATIONS.has(c.name))) node.animated = true;
+    };
+    again(this.root);
+
+    // One loop of the longest repeating animation is the natural cycle length.
+    this.duration = maxDur;
+    this.staticCache = new Map();
+  }
+
+  // Render the document at time t (seconds) into a new Canvas.
+  render(t = 0, { scale = 1 } = {}) {
+    const w = Math.max(1, Math.round(this.width * scale));
+    const h = Math.max(1, Math.round(this.height * scale));
+    const [vx, vy, vw, vh] = this.viewBox;
+    const ctm = multiply([(w / vw), 0, 0, h / vh, 0, 0], translate(-vx, -vy));
+
+    // Everything before the first animated top-level node looks the same in
+    // every frame; draw it once and reuse it.
+    const children = this.root.children;
+    let firstAnimated = children.findIndex((c) => c.animated);
+    if (firstAnimated === -1) firstAnimated = children.length;
+
+    let canvas;
+    const cached = this.staticCache.get(scale);
+    if (cached) {
+      canvas = cached.clone();
+    } else {
+      canvas = new Canvas(w, h);
+      const ctx = { canvas, t, ctm, style: defaultStyle(), opacity: 1 };
+      for (const child of children.slice(0, firstAnimated)) this.#draw(child, ctx);
+      this.staticCache.set(scale, canvas.clone());
+    }
+
+    const ctx = { canvas, t, ctm, style: defaultStyle(), opacity: 1 };
+    for (const child of children.slice(firstAnimated)) this.#draw(child, ctx);
+    return canvas;
+  }
+
+  #animatedAttrs(node, t) {
+    const out = {};
+    let motion = null;
+    for (const anim of node.children) {
+      if (!ANIMATIONS.has(anim.name)) continue;
+      const fraction = progress(anim, t);
+      if (fraction === null) continue;
+      const a = anim.attrs;
+
+      if (anim.name === "set") {
+        out[a.attributeName] = a.to;
+      } else if (anim.name === "animate") {
+        const values = (a.values ?? `${a.from ?? 0};${a.to ?? 0}`).split(";").map((v) => v.trim());
+        const { i, f } = interval(anim, values.length, fraction);
+        const from = numbers(values[i]);
+        const to = numbers(values[Math.min(i + 1, values.length - 1)]);
+        out[a.attributeName] = from.length ? lerpLists(from, to, f).join(" ") : values[i];
+      } else if (anim.name === "animateTransform") {
+        const values = (a.values ?? `${a.from ?? ""};${a.to ?? ""}`).split(";");
+        const { i, f } = interval(anim, values.length, fraction);
+        const v = lerpLists(numbers(values[i]), numbers(values[Math.min(i + 1, values.length - 1)]), f);
+        out.transform = `${a.type ?? "translate"}(${v.join(" ")})`;
+      } else if (anim.name === "animateMotion") {
+        const mpath = anim.children.find((c) => c.name === "mpath");
+        const d = mpath ? this.ids.get(ref(mpath))?.attrs.d : a.path;
+        if (!d) continue;
+        const { points, lengths } = this.#motionPath(d);
+        const { f } = interval(anim, 2, fraction);
+        const pos = pointAt(points, lengths, f);
+        motion = translate(pos.x, pos.y);
+        if (a.rotate === "auto") motion = multiply(motion, rotate(pos.angle));
+        else if (a.rotate === "auto-reverse") motion = multiply(motion, rotate(pos.angle + 180));
+        else if (a.rotate) motion = multiply(motion, rotate(parseFloat(a.rotate) || 0));
+      }
+    }
+    return { attrs: { ...node.attrs, ...styleAttrs(node.attrs.style), ...out }, motion };
+  }
+
+  #motionPath(d) {
+    let entry = this.pathCache.get(`m:${d}`);
+    if (!entry) {
+      const points = parsePath(d).flatMap((s) => s.points);
+      entry = { points, lengths: measure(points) };
+      this.pathCache.set(`m:${d}`, entry);
+    }
+    return entry;
+  }
+
+  #path(d) {
+    let entry = this.pathCache.get(d);
+    if (!entry) {
+      entry = parsePath(d);
+      this.pathCache.set(d, entry);
+    }
+    return entry;
+  }
+
+  #draw(node, parent) {
+    if (SKIP.has(node.name) || ANIMATIONS.has(node.name)) return;
+    const { attrs, motion } = this.#animatedAttrs(node, parent.t);
+    if (attrs.display === "none" || attrs.visibility === "hidden") return;
+
+    let ctm = parent.ctm;
+    if (motion) ctm = multiply(ctm, motion);
+    if (attrs.transform) ctm = multiply(ctm, parseTransform(attrs.transform));
+
+    const style = inherit(parent.style, attrs);
+    const opacity = parent.opacity * (attrs.opacity === undefined ? 1 : parseFloat(attrs.opacity));
+    if (opacity <= 0) return;
+    const ctx = { ...parent, ctm, style, opacity };
+
+    switch (node.name) {
+      case "svg":
+      case "g":
+        for (const child of node.children) this.#draw(child, ctx);
+        break;
+      case "use": {
+        const target = this.ids.get(ref(node));
+        if (!target) break;
+        const offset = translate(parseFloat(attrs.x) || 0, parseFloat(attrs.y) || 0);
+        const useCtx = { ...ctx, ctm: multiply(ctm, offset) };
+        // the referenced element is drawn as if it were a child of <use>
+        this.#draw({ ...target, attrs: { ...target.attrs, id: undefined } }, useCtx);
+        break;
+      }
+      case "rect":
+        this.#shape([{ points: this.#rect(attrs), closed: true }], ctx);
+        break;
+      case "circle":
+      case "ellipse": {
+        const cx = parseFloat(attrs.cx) || 0;
+        const cy = parseFloat(attrs.cy) || 0;
+        const rx = parseFloat(attrs.rx ?? attrs.r) || 0;
+        const ry = parseFloat(attrs.ry ?? attrs.r) || 0;
+        if (rx <= 0 || ry <= 0) break;
+        const n = Math.max(12, Math.ceil(Math.max(rx, ry) * scaleOf(ctm) * 4));
+        const points = [];
+        for (let k = 0; k < n; k++) {
+          const a = (k / n) * Math.PI * 2;
+          points.push([cx + Math.cos(a) * rx, cy + Math.sin(a) * ry]);
+        }
+        this.#shape([{ points, closed: true }], ctx);
+        break;
+      }
+      case "line":
+        this.#shape(
+          [{ points: [[+attrs.x1 || 0, +attrs.y1 || 0], [+attrs.x2 || 0, +attrs.y2 || 0]], closed: false }],
+          { ...ctx, style: { ...style, fill: "none" } },
+        );
+        break;
+      case "polyline":
+      case "polygon": {
+        const v = numbers(attrs.points ?? "");
+        const points = [];
+        for (let k = 0; k + 1 < v.length; k += 2) points.push([v[k], v[k + 1]]);
+        this.#shape([{ points, closed: node.name === "polygon" }], ctx);
+        break;
+      }
+      case "path":
+        if (attrs.d) this.#shape(this.#path(attrs.d), ctx);
+        break;
+      default:
+        for (const child of node.children) this.#draw(child, ctx);
+    }
+  }
+
+  #rect(attrs) {
+    const len = (v, full) => (String(v ?? "0").endsWith("%") ? (parseFloat(v) / 100) * full : parseFloat(v) || 0);
+    const x = len(attrs.x, this.viewBox[2]);
+    const y = len(attrs.y, this.viewBox[3]);
+    const w = len(attrs.width, this.viewBox[2]);
+    const h = len(attrs.height, this.viewBox[3]);
+    let rx = attrs.rx !== undefined ? len(attrs.rx, this.viewBox[2]) : attrs.ry !== undefined ? len(attrs.ry, this.viewBox[3]) : 0;
+    let ry = attrs.ry !== undefined ? len(attrs.ry, this.viewBox[3]) : rx;
+    rx = Math.min(rx, w / 2);
+    ry = Math.min(ry, h / 2);
+    if (!(rx > 0 && ry > 0)) return [[x, y], [x + w, y], [x + w, y + h], [x, y + h]];
+
+    const points = [];
+    const corner = (cx, cy, from) => {
+      for (let k = 0; k <= 6; k++) {
+        const a = ((from + (k / 6) * 90) * Math.PI) / 180;
+        points.push([cx + Math.cos(a) * rx, cy + Math.sin(a) * ry]);
+      }
+    };
+    corner(x + w - rx, y + ry, -90);
+    corner(x + w - rx, y + h - ry, 0);
+    corner(x + rx, y + h - ry, 90);
+    corner(x + rx, y + ry, 180);
+    return points;
+  }
+
+  #shape(subpaths, ctx) {
+    const { style, ctm, canvas, opacity } = ctx;
+    const device = subpaths.map((s) => ({ points: s.points.map(([x, y]) => apply(ctm, x, y)), closed: s.closed }));
+
+    const fill = parseColor(style.fill);
+    if (fill) {
+      fill.a *= opacity * style.fillOpacity;
+      canvas.fillPolygons(
+        device.map((s) => s.points),
+        fill,
+      );
+    }
+
+    const stroke = parseColor(style.stroke);
+    const width = style.strokeWidth * scaleOf(ctm);
+    if (stroke && width > 0) {
+      stroke.a *= opacity * style.strokeOpacity;
+      const k = scaleOf(ctm);
+      const dash = style.dasharray ? numbers(style.dasharray).map((v) => v * k) : null;
+      const polys = [];
+      for (const sub of device) {
+        const pts = sub.closed && dash ? [...sub.points, sub.points[0]] : sub.points;
+        const pieces = dash && dash.some((v) => v > 0) ? dashPolyline(pts, dash.length % 2 ? [...dash, ...dash] : dash, style.dashoffset * k) : [pts];
+        for (const piece of pieces) {
+          polys.push(...strokePolygons(piece, width, { cap: style.linecap, join: style.linejoin, closed: sub.closed && !dash }));
+        }
+      }
+      canvas.fillPolygons(polys, stroke);
+    }
+  }
+}
+
+function ref(node) {
+  return (node.attrs.href ?? node.attrs["xlink:href"] ?? "").replace(/^#/, "");
+}
+
+function styleAttrs(style) {
+  const out = {};
+  if (!style) return out;
+  for (const decl of style.split(";")) {
+    const idx = decl.indexOf(":");
+    if (idx > 0) out[decl.slice(0, idx).trim()] = decl.slice(idx + 1).trim();
+  }
+  return out;
+}
+
+function defaultStyle() {
+  return {
+    color: "#000000",
+    fill: "#000000",
+    stroke: "none",
+    strokeWidth: 1,
+    fillOpacity: 1,
+    strokeOpacity: 1,
+    linecap: "butt",
+    linejoin: "miter",
+    dasharray: null,
+    dashoffset: 0,
+  };
+}
+
+// Inheritable presentation attributes
+function inherit(parent, a) {
+  const s = { ...parent };
+  if (a.color !== undefined) s.color = a.color;
+  if (a.fill !== undefined) s.fill = a.fill === "currentColor" ? s.color : a.fill;
+  if (a.stroke !== undefined) s.stroke = a.stroke === "currentColor" ? s.color : a.stroke;
+  if (a["stroke-width"] !== undefined) s.strokeWidth = parseFloat(a["stroke-width"]) || 0;
+  if (a["fill-opacity"] !== undefined) s.fillOpacity = parseFloat(a["fill-opacity"]);
+  if (a["stroke-opacity"] !== undefined) s.strokeOpacity = parseFloat(a["stroke-opacity"]);
+  if (a["stroke-linecap"] !== undefined) s.linecap = a["stroke-linecap"];
+  if (a["stroke-linejoin"] !== undefined) s.linejoin = a["stroke-linejoin"];
+  if (a["stroke-dasharray"] !== undefined) s.dasharray = a["stroke-dasharray"] === "none" ? null : a["stroke-dasharray"];
+  if (a["stroke-dashoffset"] !== undefined) s.dashoffset = parseFloat(a["stroke-dashoffset"]) || 0;
+  return s;
+}
@@ -0,0 +1,509 @@
+// Shared rendering pipeline: lays out the contribution grid, then hands the
+// scene to the selected style (see ./styles) for the animated layer on top.
+
+import { describeActivity, patternDefs, patternId, REDUCED_MOTION_CSS } from "./a11y.mjs";
+import { adaptiveCss, cssVarPalette, inlineCssVars } from "./adaptive.mjs";
+import { describeDay } from "./breakdown.mjs";
+import { axisLabelsSvg, intensityLegendSvg, LABEL_MARGIN } from "./labels.mjs";
+import { buildRoute } from "./paths.mjs";
+import { calendarDays } from "./calendar.mjs";
+import { addDays, daysBetween, weekRow, yearOf } from "./dates.mjs";
+import { createRng } from "./random.mjs";
+import { scenerySvg } from "./scenery.mjs";
+import { computeStats } from "./stats.mjs";
+import { weekGrid } from "./normalize.mjs";
+import { getStyle } from "./styles/index.mjs";
+import { defineTheme, getTheme, MEMBER_COLORS, withLevels } from "./themes.mjs";
+import { checkScaling, levelDays } from "./thresholds.mjs";
+import { escapeXml } from "./xml.mjs";
+
+const FONT = "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial";
+
+export const LAYOUTS = ["wide", "stacked"];
+export const THRESHOLD_MODES = ["global", "per-year"];
+
+// Geometry and data every style works from. `path` overrides the style's route
+// algorithm (see ./paths.mjs); `seed` drives every random choice, so the same
+// calendar and seed always give the same SVG.
+//
+// `layout` "wide" draws the weeks as one long strip (however many years they
+// span); "stacked" gives each calendar year its own 7-row band, one under the
+// other. `thresholds` "per-year" levels each year against its own activity
+// instead of the whole range. `scale`, `levels` and `breakpoints` pick how
+// counts map to colour levels (see ./thresholds.mjs); the theme's grid colours
+// are stretched or squeezed to that many levels, by default as many as it has.
+// `labels` reserves room for the axis labels.
+// When the calendar has a contribution breakdown (see ./breakdown.mjs), each
+// day carries its `activity` and `scene.breakdown` is true. `sprites` (names,
+// see ./sprites.mjs) replaces the styles' own moving character with a convoy
+// `convoyGap` seconds apart. `weekStart` (0 = Sunday, 1 = Monday, ...) is the
+// weekday of the top row.
+export function buildScene(
+  calendar,
+  {
+    theme = "dark",
+    login,
+    path,
+    seed = "camping-trail",
+    layout = "wide",
+    thresholds: thresholdMode = "global",
+    scale,
+    levels,
+    breakpoints,
+    labels = false,
+    sprites = null,
+    convoyGap = 1,
+    weekStart = 0,
+  } = {},
+) {
+  if (!LAYOUTS.includes(layout)) throw new Error(`Unknown layout "${layout}" (expected one of: ${LAYOUTS.join(", ")})`);
+  if (!THRESHOLD_MODES.includes(thresholdMode)) {
+    throw new Error(`Unknown thresholds mode "${thresholdMode}" (expected one of: ${THRESHOLD_MODES.join(", ")})`);
+  }
+  const activity = calendar.activity ?? null;
+
+  // Sizing
+  const cell = 12;
+  const gap = 3;
+  const pad = 18;
+  const bandGap = 10; // extra space between stacked years
+  const step = cell + gap;
+
+  // `theme` is a registered theme name or a (partial) palette object
+  const scaling = scalingFor(resolvePalette(theme), { scale, levels, breakpoints });
+  const p = withLevels(resolvePalette(theme), scaling.levels);
+
+  // Calendar layout: weeks (columns) x 7 days (rows), `weekStart` at the top
+  // (Sunday, like GitHub, by default). Days are placed by date, see weekGrid();
+  // the dates before the first day and after the last have no cell.
+  const source = calendarDays(calendar);
+  const grid = weekGrid(source, { weekStart });
+  const days = grid.cells.map((d) => (activity?.[d.date] ? { ...d, activity: activity[d.date] } : d));
+  if (scaling.scale === "github") withGithubLevels(days, source);
+  const occupied = new Set(days.map((d) => `${d.x},${d.y}`));
+
+  // Stacked: column = week of the year (Jan 1's week is 0), row = band * 7 + weekday.
+  const years = [...new Set(days.map((d) => yearOf(d.date)))].sort((a, b) => a - b);
+  let bands = [{ label: null, year: null, row0: 0 }];
+  let W = grid.columns.length;
+  if (layout === "stacked" && years.length > 0) {
+    bands = years.map((year, b) => ({ label: String(year), year, row0: b * 7 }));
+    const bandOf = new Map(bands.map((band) => [band.year, band]));
+    W = 0;
+    for (const d of days) {
+      const band = bandOf.get(yearOf(d.date));
+      d.x = weekOfYear(d.date, weekStart);
+      d.y = band.row0 + weekRow(d.date, weekStart);
+      W = Math.max(W, d.x + 1);
+    }
+  }
+  const rows = bands.length * 7;
+
+  // room for the year labels, and the weekday/month labels
+  const left = pad + (layout === "stacked" ? 34 : 0) + (labels ? LABEL_MARGIN.left : 0);
+  const top = pad + (labels ? LABEL_MARGIN.top : 0);
+  const width = left + pad + W * step - gap;
+  const height = top + pad + rows * step - gap + (bands.length - 1) * bandGap;
+
+  const bandIndex = (y) => Math.floor(y / 7);
+  const cellPos = (x, y) => ({ rx: left + x * step, ry: top + y * step + bandIndex(y) * bandGap });
+
+  // Whether (x, y) is a real cell of the grid: a day of the wide strip, or a
+  // date of its own year in a stacked band.
+  const isCell = (x, y) => {
+    if (x < 0 || x >= W || y < 0 || y >= rows) return false;
+    const band = bands[bandIndex(y)];
+    if (band.year === null) return occupied.has(`${x},${y}`);
+    const jan1 = `${band.year}-01-01`;
+    const date = addDays(jan1, x * 7 + (y % 7) - weekRow(jan1, weekStart));
+    return yearOf(date) === band.year;
+  };
+
+  const global = levelDays(days, scaling);
+  const thresholdsByYear = new Map();
+  if (thresholdMode === "per-year") {
+    for (const year of years) {
+      thresholdsByYear.set(year, levelDays(days.filter((d) => yearOf(d.date) === year), scaling));
+    }
+  }
+  days.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  const scene = {
+    theme,
+    login,
+    seed,
+    p,
+    W,
+    rows,
+    cell,
+    gap,
+    pad,
+    left,
+    top,
+    width,
+    height,
+    layout,
+    labels,
+    bands,
+    weekStart,
+    path,
+    scaling,
+    // number of colour levels, 0 = no contributions
+    levels: scaling.levels,
+    thresholds: global,
+    thresholdsByYear,
+    days,
+    breakdown: Boolean(activity),
+    sprites,
+    convoyGap,
+    isCell,
+    // SVG id for a style's element; member layers get their own prefix
+    id: (name) => name,
+    // top-left corner of a cell
+    cellPos,
+    // centre of a cell
+    center: (x, y) => {
+      const { rx, ry } = cellPos(x, y);
+      return { px: rx + cell / 2, py: ry + cell / 2 };
+    },
+    // independent seeded generator per purpose, so adding one doesn't shift the others
+    random: (label) => createRng(`${seed}:${label}`),
+    // cells visited by the moving character: the requested path, else the style's default
+    route: (defaultPath) => buildRoute(path ?? defaultPath, scene, scene.random("path")),
+  };
+  return scene;
+}
+
+// The shared scene as seen by one team member: their own days (placed on the
+// shared grid by date, levelled against their own activity), walker colour,
+// random stream and id prefix.
+export function memberScene(scene, member, index) {
+  const color = MEMBER_COLORS[index % MEMBER_COLORS.length];
+  const pos = new Map(scene.days.map((d) => [d.date, d]));
+  const activity = member.calendar.activity ?? null;
+  const days = calendarDays(member.calendar)
+    .filter((d) => pos.has(d.date))
+    .map((d) => {
+      const day = { x: pos.get(d.date).x, y: pos.get(d.date).y, date: d.date, count: d.contributionCount };
+      if (activity?.[d.date]) day.activity = activity[d.date];
+      return day;
+    });
+  if (scene.scaling.scale === "github") withGithubLevels(days, calendarDays(member.calendar));
+  const thresholds = levelDays(days, scene.scaling);
+  days.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  const view = {
+    ...scene,
+    login: member.login,
+    color,
+    p: { ...scene.p, hiker: color, dash: color, caravan: color, trail: color },
+    thresholds,
+    thresholdsByYear: new Map(),
+    days,
+    breakdown: Boolean(activity),
+    id: (name) => `m${index}-${name}`,
+    random: (label) => createRng(`${scene.seed}:${member.login}:${label}`),
+    route: (defaultPath) => buildRoute(scene.path ?? defaultPath, view, view.random("path")),
+  };
+  return view;
+}
+
+function legendSvg(scene, members, y) {
+  let x = scene.pad;
+  return members
+    .map((m, i) => {
+      const color = MEMBER_COLORS[i % MEMBER_COLORS.length];
+      const item = `<circle cx="${x + 4}" cy="${y - 4}" r="4" fill="${color}"/>
+    <text x="${x + 12}" y="${y}" font-family="${FONT}" font-size="11" fill="${scene.p.text}" opacity="0.85">${escapeXml(m.login)}</text>`;
+      x += 24 + m.login.length * 6.5;
+      return item;
+    })
+    .join("\n    ");
+}
+
+// Legend entries ([{ icon, text }]) on one row, icons in a 12x12 box.
+function marksLegendSvg(scene, items, y) {
+  let x = scene.pad;
+  return items
+    .map(({ icon, text }) => {
+      const item = `<g transform="translate(${x} ${y - 10})">${icon}</g>
+    <text x="${x + 16}" y="${y}" font-family="${FONT}" font-size="11" fill="${scene.p.text}" opacity="0.85">${escapeXml(text)}</text>`;
+      x += 28 + text.length * 6;
+      return item;
+    })
+    .join("\n    ");
+}
+
+// A small peak on the top-right corner of cells where a repository was created
+function landmarkIcon(p) {
+  return `<path d="M1 11L5 3l2.2 4L8.6 5 11 11z" fill="${p.tentFill}" stroke="${p.tent}" stroke-width="1" stroke-linejoin="round"/>`;
+}
+
+function landmarksSvg(scene) {
+  const marks = scene.days
+    .filter((d) => d.activity?.repositories?.length)
+    .map((d) => {
+      const { rx, ry } = scene.cellPos(d.x, d.y);
+      return `<g transform="translate(${rx + scene.cell - 6} ${ry - 6}) scale(0.75)">
+      <title>${escapeXml(d.date)}: created ${escapeXml(d.activity.repositories.join(", "))}</title>
+      ${landmarkIcon(scene.p)}
+    </g>`;
+    });
+  if (marks.length === 0) return "";
+  return `
+  <!-- New repositories -->
+  <g>
+    ${marks.join("\n    ")}
+  </g>
+`;
+}
+
+function plural(n, word, locale) {
+  return `${n.toLocaleString(locale)} ${word}${n === 1 ? "" : "s"}`;
+}
+
+// Label/value pairs flowed left to right, wrapping to more rows on narrow
+// grids. `y` is the first row's baseline. -> { svg, height }
+function statsBandSvg(scene, stats, y, locale = "en-US") {
+  const { p, pad, width } = scene;
+  const streak = (s) => (s.length ? `${plural(s.length, "day", locale)}` : "none");
+  const span = (s) => (s.length > 1 ? `${s.from} – ${s.to}` : s.from ?? "");
+  const items = [
+    { label: "Total", value: stats.total.toLocaleString(locale), title: `${stats.from ?? ""} – ${stats.to ?? ""}` },
+    { label: "Current streak", value: streak(stats.currentStreak), title: span(stats.currentStreak) },
+    { label: "Longest streak", value: streak(stats.longestStreak), title: span(stats.longestStreak) },
+    stats.busiestDay && { label: "Busiest day", value: stats.busiestDay.count.toLocaleString(locale), title: stats.busiestDay.date },
+    { label: "Per active day", value: stats.averagePerActiveDay.toLocaleString(locale), title: plural(stats.activeDays, "active day", locale) },
+  ].filter(Boolean);
+
+  const rowHeight = 16;
+  let x = pad;
+  let row = 0;
+  const out = items.map((item) => {
+    const w = (item.label.length + item.value.length + 1) * 6 + 18; // rough width at 11px
+    if (x > pad && x + w > width - pad) {
+      x = pad;
+      row++;
+    }
+    const text = `<text x="${x}" y="${y + row * rowHeight}" font-family="${FONT}" font-size="11" fill="${p.text}">
+      <title>${escapeXml(item.title)}</title><tspan opacity="0.6">${escapeXml(item.label)}</tspan> <tspan font-weight="600" opacity="0.9">${escapeXml(item.value)}</tspan>
+    </text>`;
+    x += w;
+    return text;
+  });
+  return {
+    svg: `
+  <!-- Stats -->
+  <g>
+    ${out.join("\n    ")}
+  </g>
+`,
+    height: (row + 1) * rowHeight + 4,
+  };
+}
+
+// Small flags on the first and last cell of a streak
+function streakFlagsSvg(scene, streak) {
+  if (streak.length < 2) return "";
+  const byDate = new Map(scene.days.map((d) => [d.date, d]));
+  const flag = (date, label) => {
+    const day = byDate.get(date);
+    if (!day) return "";
+    const { rx, ry } = scene.cellPos(day.x, day.y);
+    return `<g transform="translate(${rx + 2} ${ry - 7})">
+      <title>${escapeXml(label)}: ${escapeXml(date)}</title>
+      <path d="M0.5 0v13" stroke="${scene.p.text}" stroke-width="1" opacity="0.8"/>
+      <path d="M1 0.5h6.5l-1.8 2.2 1.8 2.2H1z" fill="${scene.p.fire2}"/>
+    </g>`;
+  };
+  return `
+  <!-- Longest streak -->
+  <g>
+    ${flag(streak.from, "Longest streak starts")}
+    ${flag(streak.to, "Longest streak ends")}
+  </g>
+`;
+}
+
+function weekOfYear(date, weekStart) {
+  const jan1 = `${yearOf(date)}-01-01`;
+  return Math.floor((daysBetween(jan1, date) + weekRow(jan1, weekStart)) / 7);
+}
+
+// `patterns` overlays each level's texture (see ./a11y.mjs). `table` exposes
+// the grid to assistive tech as a table, one row per week.
+function gridSvg(scene, { patterns = false, table = false, locale } = {}) {
+  const { p, W, cell } = scene;
+  const byCell = new Map(scene.days.map((d) => [`${d.x},${d.y}`, d]));
+
+  let rects = "";
+  for (const band of scene.bands) {
+    if (band.label) {
+      const { ry } = scene.cellPos(0, band.row0);
+      rects += `<text x="${scene.pad}" y="${ry + 3.5 * (cell + scene.gap)}" font-family="${FONT}" font-size="11" fill="${p.text}" opacity="0.7">${escapeXml(band.label)}</text>\n`;
+    }
+    for (let x = 0; x < W; x++) {
+      if (table) rects += `<g role="row">\n`;
+      for (let y = band.row0; y < band.row0 + 7; y++) {
+        if (!scene.isCell(x, y)) continue;
+        const { rx, ry } = scene.cellPos(x, y);
+        const day = byCell.get(`${x},${y}`);
+
+        if (!day) {
+          const hidden = table ? ` aria-hidden="true"` : "";
+          rects += `<rect x="${rx}" y="${ry}" width="${cell}" height="${cell}" rx="3" ry="3" fill="${p.grid[0]}"${hidden}></rect>\n`;
+          continue;
+        }
+
+        const kinds = day.activity ? describeDay(day.activity, locale) : "";
+        const text = `${escapeXml(day.date)} • ${day.count} contributions${kinds ? `: ${escapeXml(kinds)}` : ""}`;
+        const cellRole = table ? ` role="cell" aria-label="${text}"` : "";
+        rects += `<rect x="${rx}" y="${ry}" width="${cell}" height="${cell}" rx="3" ry="3" fill="${p.grid[day.lvl]}"${cellRole}>
+  <title>${text}</title>
+</rect>\n`;
+        if (patterns && day.lvl > 0) {
+          rects += `<rect x="${rx}" y="${ry}" width="${cell}" height="${cell}" rx="3" ry="3" fill="url(#${patternId(day.lvl)})" aria-hidden="true" pointer-events="none"/>\n`;
+        }
+      }
+      if (table) rects += `</g>\n`;
+    }
+  }
+  return rects;
+}
+
+function resolvePalette(theme) {
+  return typeof theme === "string" ? getTheme(theme) : defineTheme(theme);
+}
+
+// Scale options with the number of levels defaulting to the palette's (GitHub's
+// scale and fixed breakpoints bring their own).
+function scalingFor(p, { scale, levels, breakpoints }) {
+  const own = scale === "github" || breakpoints !== undefined;
+  return checkScaling({ scale, levels: levels ?? (own ? undefined : p.grid.length), breakpoints });
+}
+
+// Copy GitHub's contributionLevel from the calendar's days onto `days`.
+function withGithubLevels(days, source) {
+  const given = new Map(source.filter((d) => d.contributionLevel).map((d) => [d.date, d.contributionLevel]));
+  for (const d of days) if (given.has(d.date)) d.contributionLevel = given.get(d.date);
+}
+
+// Render the trail SVG for one theme (or, with `adaptive: { light, dark }`, one
+// that follows prefers-color-scheme). The options mirror the CLI flags; the grid
+// ones are passed to buildScene. Pure: no I/O, returns the SVG as a string.
+export function renderTrail(calendar, options = {}) {
+  return renderTrailScene(calendar, options).svg;
+}
+
+// renderTrail(), also returning what the SVG was drawn from: { svg, scene,
+// layers }, with the scene from buildScene() and each layer's style output.
+export function renderTrailScene(
+  calendar,
+  {
+    style = "hiker",
+    theme = "dark",
+    adaptive,
+    login,
+    path,
+    seed,
+    layout,
+    thresholds,
+    scale,
+    levels,
+    breakpoints,
+    members = [],
+    asOf,
+    stats,
+    labels,
+    locale,
+    patterns = false,
+    table = false,
+    scenery,
+    sprites,
+    convoyGap,
+    weekStart,
+  } = {},
+) {
+  const renderer = getStyle(style);
+
+  const css = [];
+  if (adaptive) {
+    // both themes get the same number of levels
+    const n = scalingFor(resolvePalette(adaptive.light ?? "light"), { scale, levels, breakpoints }).levels;
+    const light = withLevels(resolvePalette(adaptive.light ?? "light"), n);
+    const dark = withLevels(resolvePalette(adaptive.dark ?? "dark"), n);
+    css.push(adaptiveCss(light, dark));
+    scenery ??= light.scenery.filter((layer) => dark.scenery.includes(layer));
+    theme = cssVarPalette(light);
+  }
+  css.push(REDUCED_MOTION_CSS);
+
+  const scene = buildScene(calendar, {
+    ...{ theme, login, path, seed, layout, thresholds, scale, levels, breakpoints },
+    ...{ labels, sprites, convoyGap, weekStart },
+  });
+  const { p, width, pad } = scene;
+  const layers = members.length
+    ? members.map((m, i) => renderer.render(memberScene(scene, m, i)))
+    : [renderer.render(scene)];
+  const label = members.length ? `${layers[0].label} for ${members.map((m) => m.login).join(", ")}` : layers[0].label;
+  const title = login ? `${label} (${login})` : label;
+  const summary = computeStats(calendar);
+  const desc = describeActivity(summary, { weeks: calendar.weeks?.length ?? 0, locale });
+
+  // Below the grid, top to bottom: stats band, caption, legend.
+  const band = stats ? statsBandSvg(scene, summary, scene.height - 8, locale) : { svg: "", height: 0 };
+  const captionY = scene.height - 8 + band.height;
+  const marks = scene.breakdown
+    ? [...(layers[0].legend ?? []), { icon: landmarkIcon(p), text: "new repository" }]
+    : [];
+  const height = captionY + 8 + (members.length ? 16 : 0) + (marks.length ? 16 : 0);
+  const legend = members.length
+    ? `\n  <g>\n    ${legendSvg(scene, members, captionY + 16)}\n  </g>\n`
+    : "";
+  const marksLegend = marks.length
+    ? `\n  <g>\n    ${marksLegendSvg(scene, marks, height - 8)}\n  </g>\n`
+    : "";
+  const landmarks = scene.breakdown ? landmarksSvg(scene) : "";
+  const setting = scenerySvg(scene, { layers: scenery ?? p.scenery ?? [], duration: layers[0].duration });
+  const flags = stats ? streakFlagsSvg(scene, summary.longestStreak) : "";
+  const axes = labels ? axisLabelsSvg(scene, { locale }) : "";
+  const intensity = labels ? intensityLegendSvg(scene, { right: width - pad, y: captionY, locale, patterns }) : { svg: "", width: 0 };
+
+  const caption = login ? `🏕️ ${escapeXml(login)} • camping trail` : "🏕️ camping trail";
+
+  const staleNote = asOf
+    ? `\n  <text x="${width - pad - (intensity.width ? intensity.width + 12 : 0)}" y="${captionY}" text-anchor="end"
+        font-family="${FONT}" font-size="10" fill="${p.text}" opacity="0.55">data as of ${escapeXml(asOf)}</text>`
+    : "";
+
+  const styleBlock = css.length ? `\n  <style>\n${css.join("\n")}\n  </style>\n` : "";
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg"
+     xmlns:xlink="http://www.w3.org/1999/xlink"
+     width="${width}" height="${height}"
+     viewBox="0 0 ${width} ${height}"
+     role="${table ? "figure" : "img"}" aria-labelledby="ct-title" aria-describedby="ct-desc">
+  <title id="ct-title">${escapeXml(title)}</title>
+  <desc id="ct-desc">${escapeXml(desc)}</desc>${styleBlock}
+  <defs>
+${layers.map((l) => l.defs).join("\n")}${patterns ? `\n${patternDefs(p, p.grid.length)}` : ""}
+  </defs>
+
+  <rect width="100%" height="100%" fill="${p.bg}" rx="12" />
+${setting.back}
+  <!-- Contribution grid -->
+  <g${table ? ` role="table" aria-label="Contributions per day, one row per week"` : ""}>
+    ${gridSvg(scene, { patterns, table, locale })}
+  </g>
+${setting.front}${axes}${landmarks}${layers.map((l) => l.body).join("")}${flags}${band.svg}
+  <text x="${pad}" y="${captionY}"
+        font-family="${FONT}"
+        font-size="12" fill="${p.text}" opacity="0.85">
+    ${caption}
+  </text>${staleNote}${intensity.svg}${legend}${marksLegend}
+</svg>
+`;
+  return { svg: adaptive ? inlineCssVars(svg) : svg, scene, layers };
+}
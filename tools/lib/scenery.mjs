@@ -0,0 +1,203 @@
+// Scene layers around the grid, all derived from the calendar so no two
+// profiles get the same landscape:
+//
+//   seasons   ground tint behind each week by the season of its month
+//   snow      flakes on winter weeks, more on quieter ones
+//   terrain   trees and rocks on stretches of a week or more without contributions
+//   sky       a night sky over the grid: a star per active week (brighter for
+//             busier weeks) and a moon crossing once per loop, waxing and waning
+//
+// Themes pick their layers (`scenery` in ./themes.mjs); --scenery overrides.
+// Seasons follow the northern hemisphere.
+
+import { daysBetween } from "./dates.mjs";
+import { createRng } from "./random.mjs";
+import { escapeXml } from "./xml.mjs";
+
+export const SCENERY_LAYERS = ["seasons", "snow", "terrain", "sky"];
+
+// month (0-11) -> palette key
+const SEASON_OF_MONTH = [
+  "tintWinter",
+  "tintWinter",
+  "tintSpring",
+  "tintSpring",
+  "tintSpring",
+  "tintSummer",
+  "tintSummer",
+  "tintSummer",
+  "tintAutumn",
+  "tintAutumn",
+  "tintAutumn",
+  "tintWinter",
+];
+
+// a quiet stretch needs this many empty days for a tree or rock
+const QUIET_DAYS = 7;
+
+function seasonOf(date) {
+  return SEASON_OF_MONTH[Number(date.slice(5, 7)) - 1];
+}
+
+// The grid's week columns, band by band: [{ x, row0, days }], `days` in date order.
+function weekColumns(scene) {
+  const columns = new Map();
+  for (const d of scene.days) {
+    const row0 = d.y - (d.y % 7);
+    const key = `${row0}:${d.x}`;
+    if (!columns.has(key)) columns.set(key, { x: d.x, row0, days: [] });
+    columns.get(key).days.push(d);
+  }
+  return [...columns.values()].sort((a, b) => a.row0 - b.row0 || a.x - b.x);
+}
+
+// Random stream for one element, seeded by the data it stands for.
+function rngFor(scene, label, days) {
+  return createRng(`${scene.seed}:${label}:${days.map((d) => `${d.date}=${d.count}`).join(",")}`);
+}
+
+function seasonsSvg(scene, columns) {
+  const { p, cell, gap } = scene;
+  const step = cell + gap;
+  // neighbouring weeks of the same season share one rect
+  const runs = [];
+  for (const col of columns) {
+    const key = seasonOf(col.days[Math.floor(col.days.length / 2)].date);
+    const last = runs.at(-1);
+    if (last && last.key === key && last.row0 === col.row0 && last.x1 === col.x - 1) last.x1 = col.x;
+    else runs.push({ key, row0: col.row0, x0: col.x, x1: col.x });
+  }
+  return runs
+    .map((r) => {
+      const { rx, ry } = scene.cellPos(r.x0, r.row0);
+      return `<rect x="${rx - gap / 2}" y="${ry - gap / 2}" width="${(r.x1 - r.x0 + 1) * step}" height="${7 * step}" fill="${p[r.key]}"/>`;
+    })
+    .join("\n    ");
+}
+
+function snowSvg(scene, columns) {
+  const { p, cell, gap } = scene;
+  const flakes = [];
+  for (const col of columns) {
+    if (seasonOf(col.days[Math.floor(col.days.length / 2)].date) !== "tintWinter") continue;
+    const rng = rngFor(scene, "snow", col.days);
+    const { rx, ry } = scene.cellPos(col.x, col.row0);
+    const quiet = col.days.filter((d) => d.count === 0).length;
+    for (let k = 0; k < 2 + quiet; k++) {
+      const cx = rx - gap / 2 + rng() * (cell + gap);
+      const cy = ry + rng() * (7 * (cell + gap) - gap);
+      flakes.push(`<circle cx="${cx.toFixed(1)}" cy="${cy.toFixed(1)}" r="${(0.6 + rng() * 0.5).toFixed(2)}"/>`);
+    }
+  }
+  if (flakes.length === 0) return "";
+  return `<g fill="${p.snow}">
+      ${flakes.join("\n      ")}
+    </g>`;
+}
+
+// Runs of consecutive empty days (in date order) at least QUIET_DAYS long.
+export function quietStretches(days) {
+  const runs = [];
+  let run = null;
+  for (const d of days) {
+    const continues = run && d.count === 0 && daysBetween(run.at(-1).date, d.date) === 1;
+    if (continues) run.push(d);
+    else run = d.count === 0 ? [d] : null;
+    if (run && run.length === 1) runs.push(run);
+  }
+  return runs.filter((r) => r.length >= QUIET_DAYS);
+}
+
+function treeIcon(p) {
+  return `<path d="M0 -6L3.6 -1H1.8L4.6 3H-4.6L-1.8 -1H-3.6z" fill="${p.tree}"/>
+        <rect x="-0.8" y="3" width="1.6" height="2.4" fill="${p.rock}"/>`;
+}
+
+function rockIcon(p) {
+  return `<path d="M-4.8 4C-4.8 1-3 -2 -0.4 -2C2.4 -2 4.8 0.6 4.8 4z" fill="${p.rock}"/>
+        <path d="M-1.6 -0.6C-0.6 -1.2 0.6 -1.2 1.4 -0.6" fill="none" stroke="${p.bg}" stroke-width="0.6" opacity="0.5"/>`;
+}
+
+function terrainSvg(scene) {
+  const items = [];
+  for (const run of quietStretches(scene.days)) {
+    const rng = rngFor(scene, "terrain", [run[0], run.at(-1)]);
+    const count = Math.floor(run.length / QUIET_DAYS);
+    const title = `Quiet stretch: ${run.length} days (${run[0].date} – ${run.at(-1).date})`;
+    for (let k = 0; k < count; k++) {
+      const d = run[Math.floor(((k + 0.5) * run.length) / count)];
+      const { px, py } = scene.center(d.x, d.y);
+      const icon = rng() < 0.6 ? treeIcon(scene.p) : rockIcon(scene.p);
+      items.push(`<g transform="translate(${px} ${py}) scale(${(0.85 + rng() * 0.2).toFixed(2)})">
+        <title>${escapeXml(title)}</title>
+        ${icon}
+      </g>`);
+    }
+  }
+  return items.join("\n    ");
+}
+
+function skySvg(scene, columns, duration) {
+  const { p, pad, width, cell, gap } = scene;
+  const maxLevel = p.grid.length - 1;
+  const stars = [];
+  const twinkles = [];
+  // the strip above the first band (and above its month labels)
+  const yMax = pad - 5;
+  for (const col of columns.filter((c) => c.row0 === 0)) {
+    const busiest = Math.max(...col.days.map((d) => d.lvl));
+    if (busiest === 0) continue;
+    const rng = rngFor(scene, "star", col.days);
+    const { rx } = scene.cellPos(col.x, col.row0);
+    const cx = (rx + cell / 2 + (rng() - 0.5) * (cell + gap)).toFixed(1);
+    const cy = (3 + rng() * (yMax - 3)).toFixed(1);
+    const r = (0.45 + (0.55 * busiest) / maxLevel).toFixed(2);
+    stars.push(`<circle cx="${cx}" cy="${cy}" r="${r}" opacity="${(0.45 + (0.5 * busiest) / maxLevel).toFixed(2)}"/>`);
+    if (rng() < 0.35) {
+      const dur = (2 + rng() * 3).toFixed(2);
+      twinkles.push(`<circle cx="${cx}" cy="${cy}" r="${(Number(r) + 0.5).toFixed(2)}" opacity="0">
+        <animate attributeName="opacity" values="0;0.8;0" dur="${dur}s" begin="${(rng() * 3).toFixed(2)}s" repeatCount="indefinite"/>
+      </circle>`);
+    }
+  }
+
+  // moon: crosses the sky once per loop, full -> new -> full as a shadow slides over it
+  const moonR = 4;
+  const moonY = Math.max(moonR + 1, yMax / 2 + 1.5);
+  const [x0, x1] = [pad, width - pad];
+  const moon = `<circle r="${moonR}" fill="${p.moon}"/>`;
+  return `<g fill="${p.star}">
+      ${stars.join("\n      ")}
+      <g class="ct-motion">
+      ${twinkles.join("\n      ")}
+      </g>
+    </g>
+    <g class="ct-still" display="none" transform="translate(${x1} ${moonY})">${moon}</g>
+    <g class="ct-motion">
+      <animateTransform attributeName="transform" type="translate" values="${x0} ${moonY}; ${x1} ${moonY}" dur="${duration}s" repeatCount="indefinite"/>
+      ${moon}
+      <circle r="${moonR + 0.3}" fill="${p.bg}">
+        <animateTransform attributeName="transform" type="translate" values="${-2.4 * moonR} 0; 0 0; ${2.4 * moonR} 0" dur="${duration}s" repeatCount="indefinite"/>
+      </circle>
+    </g>`;
+}
+
+// -> { back, front }: `back` goes between the background and the grid,
+// `front` over the grid, under the styles' layers. `duration` is the style's
+// loop in seconds, which the moon follows.
+export function scenerySvg(scene, { layers = [], duration = 30 } = {}) {
+  const columns = weekColumns(scene);
+  if (columns.length === 0 || layers.length === 0) return { back: "", front: "" };
+  const on = (layer) => layers.includes(layer);
+
+  const back = [
+    on("sky") && `<!-- Night sky -->\n  <g>\n    ${skySvg(scene, columns, duration)}\n  </g>`,
+    on("seasons") && `<!-- Seasons -->\n  <g>\n    ${seasonsSvg(scene, columns)}\n  </g>`,
+  ].filter(Boolean);
+  const front = [
+    on("terrain") && `<!-- Quiet stretches -->\n  <g>\n    ${terrainSvg(scene)}\n  </g>`,
+    on("snow") && `<!-- Snow -->\n  <g>\n    ${snowSvg(scene, columns)}\n  </g>`,
+  ].filter(Boolean);
+  const join = (parts) => (parts.length ? `\n  ${parts.join("\n\n  ")}\n` : "");
+  return { back: join(back), front: join(front) };
+}
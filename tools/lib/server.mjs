@@ -0,0 +1,228 @@
+// On-demand rendering over HTTP, for previewing options without waiting for the
+// scheduled workflow (started by tools/serve-camping-trail.mjs):
+//
+//   GET  /trail.svg?login=octocat&theme=dark&style=hiker   calendar fetched from GitHub
+//   POST /trail.svg?theme=light&labels=1                   calendar JSON in the body
+//   GET  /trail.html?login=octocat                         the interactive page (./embed.mjs)
+//
+// Query parameters follow the CLI flags: login, theme, style, path, seed,
+// layout, week-start, thresholds, scaling, breakpoints, levels, year
+// (comma-separated), aggregate (overlay draws the members of a POSTed team
+// calendar), labels, locale, stats, patterns, scenery, sprite, convoy-gap,
+// minify (SVG only) and timezone (for a POSTed list of timestamped
+// { date, count }).
+// Fetched calendars are kept in memory for `ttlMs` per login and years, and GET
+// responses may be cached for as long.
+
+import http from "http";
+import { extractCalendar, fetchCalendar, fetchCalendarRanges, selectRanges, yearRange } from "./calendar.mjs";
+import { checkTimeZone } from "./dates.mjs";
+import { GitHubError, NotFoundError, RateLimitError } from "./github.mjs";
+import { renderEmbed } from "./embed.mjs";
+import { minifySvg } from "./minify.mjs";
+import { parseWeekStart } from "./normalize.mjs";
+import { pathAlgorithms } from "./paths.mjs";
+import { LAYOUTS, renderTrail, THRESHOLD_MODES } from "./render.mjs";
+import { SCENERY_LAYERS } from "./scenery.mjs";
+import { checkScaling } from "./thresholds.mjs";
+import { sprites } from "./sprites.mjs";
+import { styles } from "./styles/index.mjs";
+import { themes } from "./themes.mjs";
+
+// a POSTed calendar larger than this is refused
+const MAX_BODY = 5 * 1024 * 1024;
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+const list = (value) =>
+  value
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+function oneOf(name, value, allowed) {
+  if (value !== null && !allowed.includes(value)) {
+    throw new HttpError(400, `Unknown ${name} "${value}" (expected one of: ${allowed.join(", ")})`);
+  }
+  return value ?? undefined;
+}
+
+function flag(name, value) {
+  if (value === null) return false;
+  if (["", "1", "true", "yes"].includes(value)) return true;
+  if (["0", "false", "no"].includes(value)) return false;
+  throw new HttpError(400, `${name} must be 1 or 0`);
+}
+
+// URLSearchParams -> { login, years, minify, overlay, timeZone, render: options for renderTrail }
+export function trailOptions(query) {
+  const get = (name) => query.get(name);
+  const years = get("year") === null ? null : list(get("year"));
+  if (years && (years.length === 0 || years.some((y) => !/^\d{4}$/.test(y)))) {
+    throw new HttpError(400, "year takes comma-separated years, e.g. 2023,2024");
+  }
+  const scenery = get("scenery") === null ? undefined : get("scenery") === "none" ? [] : list(get("scenery"));
+  for (const layer of scenery ?? []) oneOf("scenery layer", layer, SCENERY_LAYERS);
+  const spriteNames = get("sprite") === null ? undefined : list(get("sprite"));
+  for (const name of spriteNames ?? []) oneOf("sprite", name, [...sprites.keys()]);
+  const convoyGap = get("convoy-gap") === null ? undefined : Number(get("convoy-gap"));
+  if (convoyGap !== undefined && !(convoyGap >= 0 && convoyGap <= 60)) {
+    throw new HttpError(400, "convoy-gap must be a number of seconds from 0 to 60");
+  }
+  const breakpoints = get("breakpoints") === null ? undefined : list(get("breakpoints")).map(Number);
+  const scale = get("scaling") ?? (breakpoints ? "fixed" : undefined);
+  const levels = get("levels") === null ? undefined : Number(get("levels"));
+  try {
+    checkScaling({ scale, levels, breakpoints });
+  } catch (e) {
+    throw new HttpError(400, e.message);
+  }
+  const locale = get("locale") ?? undefined;
+  if (locale !== undefined) {
+    try {
+      new Intl.DateTimeFormat(locale);
+    } catch {
+      throw new HttpError(400, `Invalid locale "${locale}"`);
+    }
+  }
+  // both throw a message worth passing on
+  const checked = (name, parse) => {
+    if (get(name) === null) return undefined;
+    try {
+      return parse(get(name));
+    } catch (e) {
+      throw new HttpError(400, e.message);
+    }
+  };
+
+  return {
+    login: get("login") ?? undefined,
+    years: years && [...new Set(years)].sort(),
+    minify: flag("minify", get("minify")),
+    overlay: oneOf("aggregate", get("aggregate"), ["sum", "overlay"]) === "overlay",
+    timeZone: checked("timezone", checkTimeZone),
+    render: {
+      theme: oneOf("theme", get("theme"), [...themes.keys()]) ?? "dark",
+      style: oneOf("style", get("style"), [...styles.keys()]),
+      path: oneOf("path", get("path"), [...pathAlgorithms.keys()]),
+      seed: get("seed") ?? undefined,
+      layout: oneOf("layout", get("layout"), LAYOUTS),
+      weekStart: checked("week-start", parseWeekStart),
+      thresholds: oneOf("thresholds", get("thresholds"), THRESHOLD_MODES),
+      scale,
+      levels,
+      breakpoints,
+      labels: flag("labels", get("labels")),
+      locale,
+      stats: flag("stats", get("stats")),
+      patterns: flag("patterns", get("patterns")),
+      scenery,
+      sprites: spriteNames,
+      convoyGap,
+    },
+  };
+}
+
+const yearRanges = (years) => years.map((y) => yearRange(Number(y)));
+
+// Calendars fetched from GitHub, kept for `ttlMs` per login and years.
+function calendarCache({ api, ttlMs, now }) {
+  const entries = new Map();
+  return async (login, years) => {
+    const key = `${login.toLowerCase()}:${years?.join(",") ?? ""}`;
+    const hit = entries.get(key);
+    if (hit && hit.expires > now()) return hit.calendar;
+
+    if (!api.token) throw new HttpError(503, "GITHUB_TOKEN isn't set on the server; POST a calendar instead");
+    const calendar = years ? await fetchCalendarRanges(login, yearRanges(years), api) : await fetchCalendar(login, api);
+    for (const [k, entry] of entries) if (entry.expires <= now()) entries.delete(k);
+    entries.set(key, { calendar, expires: now() + ttlMs });
+    return calendar;
+  };
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) throw new HttpError(413, `Calendar JSON over ${MAX_BODY / 1024 / 1024} MiB`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function postedCalendar(text, timeZone) {
+  try {
+    return extractCalendar(JSON.parse(text), { timeZone });
+  } catch (e) {
+    throw new HttpError(400, e instanceof SyntaxError ? `Invalid JSON: ${e.message}` : e.message);
+  }
+}
+
+// GitHub failures as HTTP statuses
+function statusOf(e) {
+  if (e instanceof HttpError) return e.status;
+  if (e instanceof NotFoundError) return 404;
+  if (e instanceof RateLimitError) return 429;
+  if (e instanceof GitHubError) return 502;
+  return 500;
+}
+
+// -> http.Server (not yet listening). `api` is passed to the GitHub client
+// (see ./github.mjs); `log` gets one line per failed request.
+export function createTrailServer({ api = {}, ttlMs = 10 * 60 * 1000, now = Date.now, log = console.error } = {}) {
+  const calendarFor = calendarCache({ api, ttlMs, now });
+
+  return http.createServer(async (req, res) => {
+    const send = (status, headers, body) => {
+      res.writeHead(status, { "Content-Length": Buffer.byteLength(body), ...headers });
+      res.end(req.method === "HEAD" ? undefined : body);
+    };
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const page = url.pathname === "/trail.html";
+      if (!page && url.pathname !== "/trail.svg") {
+        throw new HttpError(404, "Not found: GET /trail.svg?login=<user>, or POST a calendar to /trail.svg (/trail.html for the interactive page)");
+      }
+      const opts = trailOptions(url.searchParams);
+
+      let calendar;
+      if (req.method === "POST") {
+        calendar = postedCalendar(await readBody(req), opts.timeZone);
+        if (opts.years) calendar = { ...selectRanges(calendar, yearRanges(opts.years)), members: calendar.members };
+      } else if (req.method === "GET" || req.method === "HEAD") {
+        if (!opts.login) throw new HttpError(400, "login is required (or POST a calendar)");
+        calendar = await calendarFor(opts.login, opts.years);
+      } else {
+        throw new HttpError(405, `${req.method} isn't supported; use GET or POST`);
+      }
+
+      const members = opts.overlay
+        ? Object.entries(calendar.members ?? {}).map(([login, c]) => ({ login, calendar: c }))
+        : [];
+      const render = { ...opts.render, login: opts.login, members };
+      let body = page ? renderEmbed(calendar, render) : renderTrail(calendar, render);
+      if (opts.minify && !page) body = minifySvg(body);
+      // a POSTed calendar is the caller's own; only fetched ones may be shared
+      const cacheControl = req.method === "POST" ? "no-store" : `public, max-age=${Math.round(ttlMs / 1000)}`;
+      const type = page ? "text/html; charset=utf-8" : "image/svg+xml; charset=utf-8";
+      send(200, { "Content-Type": type, "Cache-Control": cacheControl }, body);
+    } catch (e) {
+      const status = statusOf(e);
+      if (status >= 500 && !(e instanceof HttpError)) log(status === 500 ? e : e.message);
+      const headers = { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" };
+      if (status === 405) headers.Allow = "GET, HEAD, POST";
+      if (e instanceof RateLimitError && e.resetAt) {
+        headers["Retry-After"] = String(Math.max(0, Math.ceil((e.resetAt.getTime() - now()) / 1000)));
+      }
+      send(status, headers, `${e.message}\n`);
+    }
+  });
+}
@@ -0,0 +1,10 @@
+// A source other than GitHub failed: unreachable server, unknown user, no git
+// repository where one was expected. Like GitHubError, it means "fetching
+// failed" (exit code 1, cached calendar used when there is one).
+export class SourceError extends Error {
+  constructor(message, { status, cause } = {}) {
+    super(message, { cause });
+    this.name = "SourceError";
+    this.status = status;
+  }
+}
@@ -0,0 +1,76 @@
+// Local git history: commits authored under the given emails, across one or
+// more repositories. A directory that isn't a repository is searched for
+// repositories a few levels down (skipping node_modules and dot-directories).
+// A commit reachable from several of them (clones, forks) counts once. Commits
+// are dated by their author date, in the author's own timezone unless
+// `timeZone` is given.
+//
+//   { repos = ["."], emails = [], timeZone? }   no emails: `git config user.email`
+
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+import { SourceError } from "./error.mjs";
+
+const run = promisify(execFile);
+const SEARCH_DEPTH = 3;
+
+async function runGit(args) {
+  try {
+    return (await run("git", args, { maxBuffer: 256 * 1024 * 1024 })).stdout;
+  } catch (e) {
+    if (e.code === "ENOENT") throw new SourceError("git isn't installed (or not on PATH)", { cause: e });
+    throw new SourceError(`git ${args.slice(2).join(" ")} failed: ${String(e.stderr || e.message).trim()}`, { cause: e });
+  }
+}
+
+// Repositories in or under `dir`.
+function findRepos(dir, depth = 0) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    throw new SourceError(`Can't read ${dir}: ${e.message}`, { cause: e });
+  }
+  // .git is a directory, or a file in worktrees and submodules
+  if (entries.some((e) => e.name === ".git")) return [dir];
+  if (depth >= SEARCH_DEPTH) return [];
+  return entries
+    .filter((e) => e.isDirectory() && !e.name.startsWith(".") && e.name !== "node_modules")
+    .flatMap((e) => findRepos(path.join(dir, e.name), depth + 1));
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export const git = {
+  description: "commits in local git repositories, by author email",
+
+  async fetchDays({ repos = ["."], emails = [], timeZone }) {
+    const dirs = [...new Set(repos.flatMap((r) => findRepos(path.resolve(r))))];
+    if (dirs.length === 0) throw new SourceError(`No git repositories found in ${repos.join(", ")}`);
+    if (emails.length === 0) {
+      const email = (await runGit(["-C", dirs[0], "config", "user.email"]).catch(() => "")).trim();
+      if (!email) throw new SourceError("No author email to count: pass --git-email or set git config user.email");
+      emails = [email];
+    }
+    const wanted = new Set(emails.map((e) => e.toLowerCase()));
+    // --since/--until filter on the committer date, so fetchSourceCalendar()
+    // applies the range
+    const filters = emails.map((e) => `--author=<${escapeRegExp(e)}>`);
+
+    const seen = new Set();
+    const out = [];
+    for (const dir of dirs) {
+      const log = await runGit(["-C", dir, "log", "--all", "--regexp-ignore-case", ...filters, "--format=%H %ae %aI"]);
+      for (const line of log.split("\n")) {
+        const [hash, email, time] = line.split(" ");
+        if (!time || seen.has(hash) || !wanted.has(email.toLowerCase())) continue;
+        seen.add(hash);
+        // the ISO author date starts with the author's local date
+        out.push({ date: timeZone ? time : time.slice(0, 10), contributionCount: 1 });
+      }
+    }
+    return out;
+  },
+};
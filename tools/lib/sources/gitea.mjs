@@ -0,0 +1,30 @@
+// Gitea (and Forgejo): the heatmap behind the profile page, which covers the
+// last year of the user's actions.
+//
+//   { url, user, token?, timeoutMs, retries, timeZone? }
+
+import { SourceError } from "./error.mjs";
+import { getJson } from "./rest.mjs";
+
+export const gitea = {
+  description: "Gitea or Forgejo heatmap (last year)",
+
+  async fetchDays(options) {
+    const { url, user, token, ...http } = options;
+    const endpoint = new URL(`api/v1/users/${encodeURIComponent(user)}/heatmap`, url.endsWith("/") ? url : `${url}/`);
+    const headers = token ? { Authorization: `token ${token}` } : {};
+    let body;
+    try {
+      ({ body } = await getJson(String(endpoint), { label: "Gitea", headers, ...http }));
+    } catch (e) {
+      if (e.status === 404) throw new SourceError(`Gitea user "${user}" not found at ${url}`);
+      throw e;
+    }
+    if (!Array.isArray(body)) throw new SourceError("Gitea API returned an unexpected heatmap");
+
+    // entries are per timestamp (several a day), added up by day in fetchSourceCalendar()
+    return body
+      .filter(({ timestamp, contributions }) => Number.isFinite(timestamp) && Number.isFinite(contributions))
+      .map(({ timestamp, contributions }) => ({ date: timestamp * 1000, contributionCount: contributions }));
+  },
+};
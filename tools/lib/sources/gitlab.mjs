@@ -0,0 +1,55 @@
+// GitLab (gitlab.com or self-hosted): the user's events, counted one per event
+// like GitLab's own contribution calendar (pushes, merge requests, issues,
+// comments, ...). GitLab keeps three years of events.
+//
+//   { url = "https://gitlab.com", user, token?, timeoutMs, retries, timeZone? }
+//
+// Without a token only public activity is visible.
+
+import { addDays } from "../dates.mjs";
+import { SourceError } from "./error.mjs";
+import { getJson } from "./rest.mjs";
+
+const PER_PAGE = 100;
+
+async function events(options, range) {
+  const { url, user, token, ...http } = options;
+  const base = new URL(`api/v4/users/${encodeURIComponent(user)}/events`, url.endsWith("/") ? url : `${url}/`);
+  const headers = token ? { "PRIVATE-TOKEN": token } : {};
+  const out = [];
+  for (let page = 1; ; page++) {
+    const query = new URLSearchParams({ per_page: String(PER_PAGE), page: String(page), sort: "asc" });
+    // both bounds are exclusive, and GitLab's days needn't be ours: a day of
+    // slack on each side, trimmed once the events are counted in our timezone
+    if (range) query.set("after", addDays(range.from, -2));
+    if (range) query.set("before", addDays(range.to, 2));
+    let body;
+    try {
+      ({ body } = await getJson(`${base}?${query}`, { label: "GitLab", headers, ...http }));
+    } catch (e) {
+      if (e.status === 404) throw new SourceError(`GitLab user "${user}" not found at ${url}`);
+      throw e;
+    }
+    if (!Array.isArray(body)) throw new SourceError("GitLab API returned an unexpected events list");
+    out.push(...body);
+    if (body.length < PER_PAGE) return out;
+  }
+}
+
+export const gitlab = {
+  description: "GitLab events (gitlab.com or self-hosted)",
+
+  async fetchDays(options, ranges) {
+    const seen = new Set();
+    const out = [];
+    for (const range of ranges ?? [null]) {
+      for (const event of await events(options, range)) {
+        // the slack makes neighbouring ranges overlap
+        if (!event.created_at || (event.id !== undefined && seen.has(event.id))) continue;
+        seen.add(event.id);
+        out.push({ date: event.created_at, contributionCount: 1 });
+      }
+    }
+    return out;
+  },
+};
@@ -0,0 +1,72 @@
+// Activity sources besides GitHub's contribution calendar. A source turns
+// somebody's activity into days:
+//
+//   {
+//     description: "one line for --help",
+//     fetchDays(options, ranges) -> Promise<[{ date, contributionCount }]>,
+//   }
+//
+// `ranges` ([{ from, to }]) selects the days, or null for everything the source
+// has. A `date` is a calendar date or the timestamp of the activity, which
+// fetchSourceCalendar() counts on its day in `options.timeZone` (see
+// normalizeDays() in ../normalize.mjs). Days a source leaves out count as
+// empty and days outside `ranges` are dropped, so every source's calendar has
+// the same shape as GitHub's. "github"
+// itself is fetched by the CLI (see ../calendar.mjs) and combined with the
+// others through combineCalendars().
+
+import { calendarDays, calendarFromDays } from "../calendar.mjs";
+import { todayIn } from "../dates.mjs";
+import { normalizeDays } from "../normalize.mjs";
+import { git } from "./git.mjs";
+import { gitea } from "./gitea.mjs";
+import { gitlab } from "./gitlab.mjs";
+
+export { SourceError } from "./error.mjs";
+
+export const sources = new Map([
+  ["gitlab", gitlab],
+  ["gitea", gitea],
+  ["git", git],
+]);
+
+export function registerSource(name, source) {
+  if (typeof source?.fetchDays !== "function") throw new Error(`Source "${name}" must have a fetchDays(options, ranges) function`);
+  sources.set(name, source);
+}
+
+export function getSource(name) {
+  const source = sources.get(name);
+  if (!source) throw new Error(`Unknown source "${name}" (expected one of: github, ${[...sources.keys()].join(", ")})`);
+  return source;
+}
+
+// how several sources' counts for the same day are combined
+//   sum  different activity in each (work GitLab + personal GitHub)
+//   max  the same activity seen twice (a GitLab repo mirrored to GitHub)
+export const MERGE_MODES = ["sum", "max"];
+
+// Calendar of source `name` over `ranges` (null: from its first active day to
+// `today`).
+export async function fetchSourceCalendar(name, options, ranges, today = todayIn(options.timeZone)) {
+  const entries = await getSource(name).fetchDays(options, ranges);
+  const { timeZone } = options;
+  if (!ranges) {
+    const days = normalizeDays(entries, { timeZone, to: today });
+    return calendarFromDays(days.length ? days : [{ date: today, contributionCount: 0 }]);
+  }
+  return calendarFromDays(ranges.flatMap(({ from, to }) => normalizeDays(entries, { timeZone, from, to })));
+}
+
+// One calendar from several, over the union of their days.
+export function combineCalendars(calendars, mode = "sum") {
+  if (!MERGE_MODES.includes(mode)) throw new Error(`Unknown merge mode "${mode}" (expected one of: ${MERGE_MODES.join(", ")})`);
+  const byDate = new Map();
+  for (const c of calendars) {
+    for (const d of calendarDays(c)) {
+      const prev = byDate.get(d.date) ?? 0;
+      byDate.set(d.date, mode === "sum" ? prev + d.contributionCount : Math.max(prev, d.contributionCount));
+    }
+  }
+  return calendarFromDays([...byDate].map(([date, contributionCount]) => ({ date, contributionCount })));
+}
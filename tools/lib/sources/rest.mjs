@@ -0,0 +1,49 @@
+// Small JSON-over-HTTP client for the REST sources, on ../http.mjs: per-request
+// timeout, retries with backoff after network errors and 5xx, and waiting out
+// 429s. Failures surface as SourceError, named after the source.
+
+import { request } from "../http.mjs";
+import { SourceError } from "./error.mjs";
+
+// GET `url` -> { body, headers }
+//
+//   label      source name for messages ("GitLab")
+//   headers    extra request headers (authorization)
+//   timeoutMs  per attempt (default 30s)
+//   retries    extra attempts (default 3)
+//   backoffMs  first retry delay, doubled each time with jitter (default 1s)
+//   maxWaitMs  longest rate-limit wait worth sitting out (default 2 min)
+//   log        warning sink (default console.warn)
+export async function getJson(
+  url,
+  { label, headers = {}, timeoutMs = 30_000, retries = 3, backoffMs = 1000, maxWaitMs = 120_000, log = console.warn },
+) {
+  const { res, text, limit } = await request(
+    url,
+    { headers: { Accept: "application/json", "User-Agent": "camping-hiker-generator", ...headers } },
+    {
+      label,
+      timeoutMs,
+      retries,
+      backoffMs,
+      maxWaitMs,
+      fail: (reason, cause) => new SourceError(`${label} API ${reason} at ${new URL(url).origin}`, { cause }),
+      log,
+    },
+  );
+  if (limit) {
+    const when = limit.resetAt ? ` until ${limit.resetAt.toISOString()}` : "";
+    throw new SourceError(`${label} API rate limit exceeded${when}`, { status: res.status });
+  }
+  if (!res.ok) {
+    const message = text.length < 200 ? text.trim() : "";
+    throw new SourceError(`${label} API returned HTTP ${res.status} for ${new URL(url).pathname}${message ? `: ${message}` : ""}`, {
+      status: res.status,
+    });
+  }
+  try {
+    return { body: JSON.parse(text), headers: res.headers };
+  } catch {
+    throw new SourceError(`${label} API returned something other than JSON for ${new URL(url).pathname}`);
+  }
+}
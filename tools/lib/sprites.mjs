@@ -0,0 +1,193 @@
+// Sprite registry: the characters that travel a style's route.
+//
+//   {
+//     description: "one line for --help",
+//     anchor: [x, y],   // point of the drawing that sits on the path
+//     scale: 1,         // drawing units -> grid pixels
+//     rotate: false,    // turn with the path (rotate="auto"); upright figures
+//                       // would walk up the columns on their back
+//     draw(p) -> SVG markup in drawing units, coloured from palette p
+//   }
+//
+// Styles pick a default (the hiker walks, the caravan drives); --sprite
+// replaces it with one or more sprites that follow each other along the route,
+// a few seconds apart. Sprites drawn from palette keys (hiker, caravan,
+// caravanRoof) take each team member's colour; SVG files can use currentColor
+// for the same.
+
+import { parseXml } from "./xml.mjs";
+
+function hikerDrawing(p) {
+  return `<g stroke="${p.hiker}" stroke-width="1.7" stroke-linecap="round" stroke-linejoin="round" fill="none">
+        <!-- subtle shadow -->
+        <g opacity="0.18" transform="translate(0.8,0.8)">
+          <circle cx="9" cy="5" r="2.2" fill="${p.hiker}" stroke="none"/>
+          <path d="M9 7.6v5.6" />
+          <path d="M9 10.7l-3.6 2.6" />
+          <path d="M9 10.7l3.4 2.3" />
+          <path d="M9 13.2l-2.9 5.4" />
+          <path d="M9 13.2l3.2 5.4" />
+          <path d="M11.9 9.2c1.5.6 2.3 1.9 2.3 3.6v2.6c0 .6-.5 1.1-1.1 1.1h-1.2" />
+          <path d="M3.6 13.0v7.2" />
+          <path d="M2.9 20.2h1.6" />
+        </g>
+
+        <!-- main -->
+        <circle cx="9" cy="5" r="2.2" fill="${p.hiker}" stroke="none" opacity="0.95"/>
+        <path d="M9 7.6v5.6" />
+        <path d="M9 10.7l-3.6 2.6" />
+        <path d="M9 10.7l3.4 2.3" />
+        <path d="M9 13.2l-2.9 5.4" />
+        <path d="M9 13.2l3.2 5.4" />
+        <!-- backpack -->
+        <path d="M11.9 9.2c1.5.6 2.3 1.9 2.3 3.6v2.6c0 .6-.5 1.1-1.1 1.1h-1.2" />
+        <!-- trekking pole -->
+        <path d="M3.6 13.0v7.2" />
+        <path d="M2.9 20.2h1.6" />
+      </g>`;
+}
+
+// tiny camper van; intentionally simple so it scales cleanly
+function caravanDrawing(p) {
+  return `<path d="M2 8.5c0-1.4 1.1-2.5 2.5-2.5h6.2c1 0 1.9.6 2.3 1.5l.9 2h2.1c1 0 1.9.8 1.9 1.9v2.1c0 .9-.7 1.6-1.6 1.6H17" fill="${p.caravan}" opacity="0.95"/>
+        <path d="M4.2 6h6.3c.7 0 1.3.4 1.6 1l.9 2H3.7V6.5c0-.3.2-.5.5-.5z" fill="${p.caravanRoof}" opacity="0.9"/>
+        <circle cx="6" cy="15" r="1.7" fill="${p.bg}" opacity="0.95"/>
+        <circle cx="6" cy="15" r="1.1" fill="${p.caravan}" opacity="0.95"/>
+        <circle cx="14.2" cy="15" r="1.7" fill="${p.bg}" opacity="0.95"/>
+        <circle cx="14.2" cy="15" r="1.1" fill="${p.caravan}" opacity="0.95"/>
+        <path d="M2.6 13.2h14.8" stroke="${p.bg}" stroke-width="1" opacity="0.35"/>`;
+}
+
+function bikeDrawing(p) {
+  return `<g stroke="${p.hiker}" stroke-width="1.4" stroke-linecap="round" stroke-linejoin="round" fill="none">
+        <circle cx="4.5" cy="14" r="3.3"/>
+        <circle cx="15.5" cy="14" r="3.3"/>
+        <path d="M4.5 14L8 8h6.2l1.3 6M8 8l2.5 6 3.7-6M6.9 6.6h2.4M14.2 8l-.5-2.2h1.9" />
+        <!-- rider -->
+        <circle cx="10.2" cy="1.9" r="1.7" fill="${p.hiker}" stroke="none"/>
+        <path d="M9.8 3.7l-1.4 3.1M9.6 4.4l4.1 1.4M8.4 6.8l2.1 4.4" />
+      </g>`;
+}
+
+function canoeDrawing(p) {
+  return `<path d="M1 9h18c-1.6 2.6-4.6 3.6-9 3.6S2.6 11.6 1 9z" fill="${p.caravan}" opacity="0.95"/>
+        <path d="M2.4 9.9h15.2" stroke="${p.bg}" stroke-width="0.8" opacity="0.35"/>
+        <circle cx="10" cy="3.6" r="1.6" fill="${p.caravanRoof}"/>
+        <path d="M10 5.4v3.4M5.6 3.2l8.8 8.8" stroke="${p.caravanRoof}" stroke-width="1.2" stroke-linecap="round"/>
+        <path d="M12.6 10.2l2.6 2.6" stroke="${p.caravanRoof}" stroke-width="2.2" stroke-linecap="round"/>`;
+}
+
+function dogDrawing(p) {
+  return `<g fill="${p.hiker}">
+        <ellipse cx="7.5" cy="8" rx="5" ry="2.5"/>
+        <circle cx="13" cy="5" r="2.2"/>
+        <path d="M14.2 4.6l2.8.8-.3 1.4-2.6-.2zM11.6 3.4l-.6 3 1.4-.5z"/>
+      </g>
+      <path d="M4 9.6v3.4M6.4 10v3M9.4 10v3M11.4 9.4v3.6M2.8 7.2C1.8 6.6 1.4 5.4 1.6 4.2" stroke="${p.hiker}" stroke-width="1.2" stroke-linecap="round" fill="none"/>`;
+}
+
+export const sprites = new Map([
+  ["hiker", { description: "hiker with a backpack and trekking pole", anchor: [9, 11], scale: 1, rotate: false, draw: hikerDrawing }],
+  ["caravan", { description: "tiny camper van", anchor: [7, 6], scale: 1, rotate: true, draw: caravanDrawing }],
+  ["bike", { description: "cyclist", anchor: [10, 12], scale: 0.9, rotate: false, draw: bikeDrawing }],
+  ["canoe", { description: "canoe with a paddler", anchor: [10, 10], scale: 0.9, rotate: true, draw: canoeDrawing }],
+  ["dog", { description: "dog trotting along", anchor: [8, 9], scale: 0.8, rotate: false, draw: dogDrawing }],
+]);
+
+export function registerSprite(name, sprite) {
+  if (typeof sprite?.draw !== "function") throw new Error(`Sprite "${name}" must have a draw(p) function`);
+  const { anchor = [0, 0], scale = 1, rotate = false } = sprite;
+  if (!Array.isArray(anchor) || anchor.length !== 2 || !anchor.every(Number.isFinite)) {
+    throw new Error(`Sprite "${name}": anchor must be [x, y]`);
+  }
+  if (!(Number.isFinite(scale) && scale > 0)) throw new Error(`Sprite "${name}": scale must be a number > 0`);
+  if (typeof rotate !== "boolean") throw new Error(`Sprite "${name}": rotate must be true or false`);
+  sprites.set(name, { description: "", ...sprite, anchor, scale, rotate });
+}
+
+export function getSprite(name) {
+  const sprite = sprites.get(name);
+  if (!sprite) throw new Error(`Unknown sprite "${name}" (expected one of: ${[...sprites.keys()].join(", ")})`);
+  return sprite;
+}
+
+// A sprite from the text of an SVG file. Its content is drawn in the file's
+// own coordinates (the viewBox, else width x height); by default anchored at
+// the centre and scaled to 18 px across, upright.
+export function spriteFromSvg(text, { description = "", anchor, scale, rotate = false } = {}) {
+  const root = parseXml(text);
+  if (root.name !== "svg") throw new Error("not an SVG document");
+  const box = root.attrs.viewBox
+    ? root.attrs.viewBox.split(/[\s,]+/).map(Number)
+    : [0, 0, parseFloat(root.attrs.width), parseFloat(root.attrs.height)];
+  if (box.length !== 4 || !box.every(Number.isFinite) || box[2] <= 0 || box[3] <= 0) {
+    throw new Error("needs a viewBox or a width and height");
+  }
+  const [x, y, w, h] = box;
+  const open = text.match(/<svg\b[^>]*>/);
+  const inner = text.slice(open.index + open[0].length, text.lastIndexOf("</svg>")).trim();
+  return {
+    description,
+    anchor: anchor ?? [x + w / 2, y + h / 2],
+    scale: scale ?? 18 / Math.max(w, h),
+    rotate,
+    draw: (p) => `<g color="${p.hiker}">${inner}</g>`,
+  };
+}
+
+// The defs and body for the sprites following one style layer's route:
+//
+//   names     sprites in convoy order, the leader first
+//   pathId    id of the motion path (in the style's defs)
+//   points    the route's cell centres [{ px, py }]
+//   rest      index in `points` where the leader waits when motion is reduced
+//   duration  seconds per loop
+//   gap       seconds each sprite runs behind the one before it
+//   motion    extra animateMotion attributes, e.g. easing
+//
+// -> { defs, body }. The followers start the loop `gap` seconds late, so at any
+// moment the whole convoy is on the path.
+export function spritesSvg(scene, { names, pathId, points, rest, duration, gap = 1, motion = {} }) {
+  const { p } = scene;
+  // sprite names from file names may hold characters ids can't
+  const id = (name) => scene.id(`sprite-${name.replace(/[^\w-]/g, "-")}`);
+  const ref = (name) => `href="#${id(name)}" xlink:href="#${id(name)}"`;
+
+  const defs = [...new Set(names)].map((name) => {
+    const { anchor, scale, draw } = getSprite(name);
+    const place = `translate(${-anchor[0]},${-anchor[1]})`;
+    return `
+    <g id="${id(name)}" transform="${scale === 1 ? place : `scale(${scale}) ${place}`}">
+      ${draw(p)}
+    </g>`;
+  });
+
+  const extra = Object.entries(motion)
+    .map(([k, v]) => ` ${k}="${v}"`)
+    .join("");
+  // the leader is drawn last, on top
+  const convoy = names.map((name, k) => ({ name, delay: k * gap })).reverse();
+  const still = convoy.map(({ name, delay }) => {
+    const at = points[Math.max(0, rest - Math.round((delay / duration) * (points.length - 1)))];
+    return `<use ${ref(name)} class="ct-still" display="none"
+       transform="translate(${at.px.toFixed(2)} ${at.py.toFixed(2)})"/>`;
+  });
+  const moving = convoy.map(({ name, delay }) => {
+    // a negative begin starts mid-loop: `delay` seconds behind the leader
+    const begin = delay > 0 ? ` begin="${-(duration - (delay % duration)).toFixed(2)}s"` : "";
+    const rotate = getSprite(name).rotate ? ` rotate="auto"` : "";
+    return `<use ${ref(name)}>
+      <animateMotion dur="${duration}s" repeatCount="indefinite"${begin}${rotate}${extra}>
+        <mpath href="#${pathId}" xlink:href="#${pathId}"/>
+      </animateMotion>
+    </use>`;
+  });
+
+  return {
+    defs: defs.join(""),
+    body: `${still.join("\n  ")}
+  <g class="ct-motion">
+    ${moving.join("\n    ")}
+  </g>`,
+  };
+}
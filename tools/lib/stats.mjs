@@ -0,0 +1,62 @@
+// Summary numbers for a calendar: totals, streaks, busiest day. Used by the
+// stats band under the grid and by --stats-json.
+
+import { calendarDays } from "./calendar.mjs";
+import { daysBetween } from "./dates.mjs";
+
+// -> {
+//   from, to, total, activeDays, averagePerActiveDay,
+//   currentStreak: { length, from, to }, longestStreak: { length, from, to },
+//   busiestDay: { date, count } | null
+// }
+// The current streak may end the day before the last one: the last day (today)
+// isn't over yet, so an empty today doesn't break it.
+export function computeStats(calendar) {
+  const days = [...calendarDays(calendar)].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  const none = { length: 0, from: null, to: null };
+  const stats = {
+    from: days[0]?.date ?? null,
+    to: days.at(-1)?.date ?? null,
+    total: 0,
+    activeDays: 0,
+    averagePerActiveDay: 0,
+    currentStreak: none,
+    longestStreak: none,
+    busiestDay: null,
+  };
+
+  let run = none;
+  let prev = null;
+  for (const d of days) {
+    stats.total += d.contributionCount;
+    if (d.contributionCount > 0) {
+      stats.activeDays++;
+      if (!stats.busiestDay || d.contributionCount > stats.busiestDay.count) {
+        stats.busiestDay = { date: d.date, count: d.contributionCount };
+      }
+      // a gap in the calendar itself also ends a streak
+      const continues = run.length > 0 && prev && daysBetween(prev, d.date) === 1;
+      run = continues ? { ...run, length: run.length + 1, to: d.date } : { length: 1, from: d.date, to: d.date };
+      if (run.length > stats.longestStreak.length) stats.longestStreak = run;
+    } else {
+      run = none;
+    }
+    prev = d.date;
+  }
+
+  const last = days.at(-1);
+  if (run.length > 0) stats.currentStreak = run;
+  else if (last && last.contributionCount === 0 && days.length > 1) {
+    // today is empty: the streak up to yesterday still counts
+    stats.currentStreak = trailingRun(days.slice(0, -1));
+  }
+  stats.averagePerActiveDay = stats.activeDays ? Math.round((stats.total / stats.activeDays) * 10) / 10 : 0;
+  return stats;
+}
+
+function trailingRun(days) {
+  let i = days.length - 1;
+  if (days[i].contributionCount === 0) return { length: 0, from: null, to: null };
+  while (i > 0 && days[i - 1].contributionCount > 0 && daysBetween(days[i - 1].date, days[i].date) === 1) i--;
+  return { length: days.length - i, from: days[i].date, to: days.at(-1).date };
+}
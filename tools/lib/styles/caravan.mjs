@@ -0,0 +1,65 @@
+// "caravan": a tiny camper van driving along the last 90 active days.
+
+import { pathData } from "../paths.mjs";
+import { spritesSvg } from "../sprites.mjs";
+
+export const caravan = {
+  description: "camper van following the last 90 active days",
+
+  render(scene) {
+    const { p, id } = scene;
+
+    // Default: the last 90 active days. Keeps animation nice.
+    const route = scene.route("recent");
+    const pathD = pathData(scene, route);
+
+    // Animation duration scales slightly with path length
+    const durationSec = Math.min(18, Math.max(8, Math.round(route.length * 0.18)));
+
+    const vans = spritesSvg(scene, {
+      names: scene.sprites ?? ["caravan"],
+      pathId: id("motionPath"),
+      points: route.map((c) => scene.center(c.x, c.y)),
+      rest: route.length - 1,
+      duration: durationSec,
+      gap: scene.convoyGap,
+    });
+
+    // Trail line: draw the path with animated dash (gives “moving” feel)
+    // plus the caravan moving along the same path.
+    return {
+      label: "Camping caravan activity trail",
+      defs: `
+    <filter id="${id("glow")}">
+      <feGaussianBlur stdDeviation="1.8" result="coloredBlur"/>
+      <feMerge>
+        <feMergeNode in="coloredBlur"/>
+        <feMergeNode in="SourceGraphic"/>
+      </feMerge>
+    </filter>
+
+    <path id="${id("motionPath")}" d="${pathD}" />${vans.defs}`,
+      body: `
+  <!-- Animated trail; a still dashed line when motion is reduced -->
+  <path d="${pathD}" fill="none" stroke="${p.trail}" stroke-width="2.2" stroke-linecap="round"
+        stroke-dasharray="6 8" class="ct-still" display="none"/>
+  <g class="ct-motion">
+    <path d="${pathD}" fill="none" stroke="${p.trail}" stroke-width="2.2" stroke-linecap="round"
+          stroke-dasharray="6 8">
+      <animate attributeName="stroke-dashoffset" values="0; -56" dur="${durationSec}s" repeatCount="indefinite"/>
+    </path>
+
+    <path d="${pathD}" fill="none" stroke="${p.trailGlow}" stroke-width="3.4" stroke-linecap="round"
+          opacity="0.55" filter="url(#${id("glow")})" stroke-dasharray="10 16">
+      <animate attributeName="stroke-dashoffset" values="0; -104" dur="${durationSec}s" repeatCount="indefinite"/>
+    </path>
+  </g>
+
+  <!-- Caravan moving along trail; parked at the end when motion is reduced -->
+  ${vans.body}
+`,
+      duration: durationSec,
+      route,
+    };
+  },
+};
@@ -0,0 +1,188 @@
+// "hiker": a hiker walking the route (by default a snake through every cell of
+// the grid), with a tent at the final cell + campfires with smoke on recent
+// high-activity days along the way (or, with a contribution breakdown, on
+// recent days with merged pull requests).
+
+import { pathData } from "../paths.mjs";
+import { spritesSvg } from "../sprites.mjs";
+import { escapeXml } from "../xml.mjs";
+
+// pick a few "campfire" cells: prefer the top two of `levels` (lvl>=3 of the
+// usual 5), then the one below. With `breakdown` only days with merged pull
+// requests qualify, whatever their level.
+export function pickCampfires(cells, max = 4, { breakdown = false, levels = 5 } = {}) {
+  const high = Math.max(1, levels - 2);
+  const tiers = breakdown
+    ? [cells.filter((c) => c.activity?.mergedPullRequests > 0)]
+    : [cells.filter((c) => c.lvl >= high), cells.filter((c) => c.lvl > 0 && c.lvl === high - 1)];
+
+  const picked = [];
+  // take from the most recent activity (end of list is recent)
+  for (const tier of tiers) {
+    for (let i = tier.length - 1; i >= 0 && picked.length < max; i--) picked.push(tier[i]);
+  }
+
+  // ensure unique x,y
+  const seen = new Set();
+  return picked.filter((c) => {
+    const k = `${c.x},${c.y}`;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+export const hiker = {
+  description: "hiker snaking through every cell, campfires and a tent",
+
+  render(scene) {
+    const { p, days, center, id } = scene;
+
+    // Default: snake path through every cell (no diagonals)
+    const route = scene.route("snake");
+    const points = route.map((c) => ({ ...center(c.x, c.y), ...c }));
+    const pathD = pathData(scene, route);
+
+    // Slower + smoother
+    const durationSec = Math.min(48, Math.max(28, Math.round(points.length / 12)));
+
+    // Final cell (tent)
+    const end = points[points.length - 1];
+    const tentX = end.px;
+    const tentY = end.py;
+    const walkers = spritesSvg(scene, {
+      names: scene.sprites ?? ["hiker"],
+      pathId: id("motionPath"),
+      points,
+      rest: Math.max(0, points.length - 2),
+      duration: durationSec,
+      gap: scene.convoyGap,
+      motion: { calcMode: "spline", keyTimes: "0;1", keySplines: "0.42 0 0.58 1" },
+    });
+
+    // Pick campfires positions, on the route itself
+    const onRoute = new Set(route.map((c) => `${c.x},${c.y}`));
+    const routeDays = days.filter((d) => onRoute.has(`${d.x},${d.y}`));
+    const fires = pickCampfires(routeDays, 4, { breakdown: scene.breakdown, levels: scene.levels }).map((c, idx) => {
+      const { px, py } = center(c.x, c.y);
+      const merged = c.activity?.mergedPullRequests;
+      const title = scene.breakdown ? `${c.date}: ${merged} pull request${merged === 1 ? "" : "s"} merged` : null;
+      return { cx: px, cy: py, idx, title };
+    });
+
+    // Tent icon at the end (fixed)
+    const tentIcon = `
+      <g id="${id("tent")}" transform="translate(${tentX.toFixed(2)} ${tentY.toFixed(2)}) translate(-11,-10)">
+        <path d="M2 18L11 3l9 15H2z" fill="${p.tentFill}" stroke="${p.tent}" stroke-width="1.2" stroke-linejoin="round"/>
+        <path d="M11 3v15" stroke="${p.tent}" stroke-width="1.2" opacity="0.75"/>
+        <path d="M9.6 18c.3-3.6 1.1-6.2 1.4-6.2s1.1 2.6 1.4 6.2" fill="none" stroke="${p.tent}" stroke-width="1.1" opacity="0.85"/>
+      </g>
+    `;
+
+    // Campfire + smoke
+    function fireGroup(cx, cy, idx, title) {
+      const fireId = id(`fire${idx}`);
+      const delay = (idx * 0.4).toFixed(2);
+      return `
+        <g id="${fireId}" transform="translate(${cx.toFixed(2)} ${cy.toFixed(2)}) translate(-10,-8)">${title ? `
+          <title>${escapeXml(title)}</title>` : ""}
+          <!-- logs -->
+          <path d="M3 15l6-3" stroke="${p.text}" stroke-width="1.2" opacity="0.35" stroke-linecap="round"/>
+          <path d="M17 15l-6-3" stroke="${p.text}" stroke-width="1.2" opacity="0.35" stroke-linecap="round"/>
+          <!-- flame -->
+          <path d="M10.5 5.5c1.2 1.7.9 3.1-.2 4.2.4-.2 1.5-.8 1.8-2 .6 1.2 1.1 3.4-.6 5.0-1.2 1.1-3.3 1.1-4.5-.2-1.3-1.4-1.1-3.7.6-5.5-.2 1.4.6 2.2 1.6 2.6-1.3-1.6-.8-2.9 1.3-4.1z"
+                fill="${p.fire2}" opacity="0.95"/>
+          <path d="M10.4 7.0c.7 1 .5 1.8-.1 2.4.3-.1.8-.4 1.0-1.1.4.7.6 2.0-.3 2.9-.7.6-1.9.6-2.6-.1-.7-.8-.6-2.1.3-3.2-.1.8.3 1.3.9 1.5-.7-.9-.4-1.6.8-2.4z"
+                fill="${p.fire1}" opacity="0.95"/>
+
+          <!-- smoke puffs -->
+          <g class="ct-motion" opacity="0.9">
+            ${[0, 1, 2]
+              .map((k) => {
+                const dx = k === 0 ? -2 : k === 1 ? 0 : 2;
+                const dur = (2.6 + k * 0.4).toFixed(2);
+                const begin = `${delay}s`;
+                return `
+                  <circle cx="${10 + dx}" cy="4" r="${1.6 - k * 0.1}"
+                          fill="${p.smoke}" opacity="0.0">
+                    <animate attributeName="opacity" values="0;0.55;0" dur="${dur}s" begin="${begin}" repeatCount="indefinite"/>
+                    <animateTransform attributeName="transform" type="translate"
+                      values="0 0; ${dx * 0.6} -10" dur="${dur}s" begin="${begin}" repeatCount="indefinite"/>
+                  </circle>
+                `;
+              })
+              .join("\n")}
+          </g>
+        </g>
+      `;
+    }
+
+    // Still campfire for the legend
+    const campfireIcon = `<g transform="translate(0 -1) scale(0.65)">
+        <path d="M3 15l6-3M17 15l-6-3" stroke="${p.text}" stroke-width="1.4" opacity="0.5" stroke-linecap="round"/>
+        <path d="M10.5 5.5c1.2 1.7.9 3.1-.2 4.2.4-.2 1.5-.8 1.8-2 .6 1.2 1.1 3.4-.6 5.0-1.2 1.1-3.3 1.1-4.5-.2-1.3-1.4-1.1-3.7.6-5.5-.2 1.4.6 2.2 1.6 2.6-1.3-1.6-.8-2.9 1.3-4.1z" fill="${p.fire2}"/>
+      </g>`;
+
+    const firesSvg = fires.map((f) => fireGroup(f.cx, f.cy, f.idx, f.title)).join("\n");
+
+    return {
+      label: "Camping trail with hiker, campfires, and tent",
+      // motionPath is in defs for better compatibility
+      defs: `
+    <filter id="${id("softGlow")}">
+      <feGaussianBlur stdDeviation="1.6" result="b"/>
+      <feMerge>
+        <feMergeNode in="b"/>
+        <feMergeNode in="SourceGraphic"/>
+      </feMerge>
+    </filter>
+
+    <path id="${id("motionPath")}" d="${pathD}" />${walkers.defs}`,
+      body: `
+  <!-- Context path (subtle) -->
+  <path d="${pathD}" fill="none" stroke="${p.path}" stroke-width="1.6" stroke-linecap="round" />
+
+  <!-- Animated snake (tail + head) -->
+  <g class="ct-motion" filter="url(#${id("softGlow")})">
+    <!-- tail -->
+    <path d="${pathD}" fill="none" stroke="${p.dashGlow}" stroke-width="3.2" stroke-linecap="round"
+          stroke-dasharray="38 240" opacity="0.9">
+      <animate attributeName="stroke-dashoffset"
+               values="0; -9000"
+               dur="${durationSec}s"
+               repeatCount="indefinite"
+               calcMode="spline"
+               keySplines="0.42 0 0.58 1"/>
+    </path>
+
+    <!-- head -->
+    <path d="${pathD}" fill="none" stroke="${p.dash}" stroke-width="3.0" stroke-linecap="round"
+          stroke-dasharray="16 280" opacity="1.0">
+      <animate attributeName="stroke-dashoffset"
+               values="0; -9000"
+               dur="${durationSec}s"
+               repeatCount="indefinite"
+               calcMode="spline"
+               keySplines="0.42 0 0.58 1"/>
+    </path>
+  </g>
+
+  <!-- Campfires with smoke -->
+  <g>
+    ${firesSvg}
+  </g>
+
+  <!-- Tent at the last cell -->
+  <g>
+    ${tentIcon}
+  </g>
+
+  <!-- Hiker moving along the path (top layer); resting by the tent when motion is reduced -->
+  ${walkers.body}
+`,
+      duration: durationSec,
+      route,
+      legend: scene.breakdown ? [{ icon: campfireIcon, text: "merged pull request" }] : [],
+    };
+  },
+};
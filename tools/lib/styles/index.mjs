@@ -0,0 +1,42 @@
+// Style registry. A style draws the animated layer over the shared grid:
+//
+//   {
+//     description: "one line for --help",
+//     render(scene) -> { label, defs, body, legend?, duration?, route? },
+//   }
+//
+// `scene` comes from buildScene() in ../render.mjs. `label` becomes the SVG
+// <title>, `defs` goes inside <defs>, `body` is drawn between the grid and
+// the caption. `legend` ([{ icon, text }], icon drawn in a 12x12 box) explains
+// marks that carry meaning, e.g. campfires on days with merged pull requests
+// when the calendar has a contribution breakdown (scene.breakdown). `duration`
+// is the length of the style's loop in seconds; scene layers like the moon
+// keep time with it. `route` is the cells the character walks, in order; the
+// interactive page (../embed.mjs) highlights stretches of it. Styles get their
+// route from scene.route(defaultPath), which honours --path/--seed, draw their
+// moving character with spritesSvg() from ../sprites.mjs (scene.sprites, when
+// set, replaces it), and name every id through scene.id(name) so several
+// layers (one per team member) can share a document.
+//
+// For prefers-reduced-motion, put animated parts in class="ct-motion" and a
+// still stand-in in class="ct-still" display="none"; the renderer's CSS swaps
+// them when the viewer asks for less motion.
+
+import { caravan } from "./caravan.mjs";
+import { hiker } from "./hiker.mjs";
+
+export const styles = new Map([
+  ["hiker", hiker],
+  ["caravan", caravan],
+]);
+
+export function registerStyle(name, style) {
+  if (typeof style?.render !== "function") throw new Error(`Style "${name}" must have a render(scene) function`);
+  styles.set(name, style);
+}
+
+export function getStyle(name) {
+  const style = styles.get(name);
+  if (!style) throw new Error(`Unknown style "${name}" (expected one of: ${[...styles.keys()].join(", ")})`);
+  return style;
+}
@@ -0,0 +1,352 @@
+// Colour palettes shared by every style. Every colour that ends up in the SVG
+// comes from one of these keys; nothing is hard-coded in the styles.
+//
+//   bg, text         background and caption/log colour
+//   grid             one colour per intensity level, grid[0] = no contributions
+//                    (5 in the built-in themes, up to 10)
+//   path             subtle context path under the hiker
+//   dash, dashGlow   hiker trail head and tail
+//   trail, trailGlow caravan trail dashes
+//   hiker            hiker figure
+//   caravan          caravan body and wheels, caravanRoof its roof
+//   tent, tentFill   tent outline and canvas
+//   fire1, fire2     inner and outer flame
+//   smoke            smoke puffs
+//   tintWinter ...   ground tint per season (tintWinter, tintSpring, tintSummer, tintAutumn)
+//   snow             snowflakes on winter weeks
+//   tree, rock       terrain on quiet stretches
+//   star, moon       night sky
+//
+// Besides colours a theme lists its `scenery`: the scene layers drawn with it
+// (see ./scenery.mjs). The everyday dark and light themes draw none, so a
+// plain banner stays plain unless a config or --scenery asks for more.
+
+import { SCENERY_LAYERS } from "./scenery.mjs";
+
+export const PALETTE_KEYS = [
+  "bg",
+  "text",
+  "grid",
+  "path",
+  "dash",
+  "dashGlow",
+  "trail",
+  "trailGlow",
+  "hiker",
+  "caravan",
+  "caravanRoof",
+  "tent",
+  "tentFill",
+  "fire1",
+  "fire2",
+  "smoke",
+  "tintWinter",
+  "tintSpring",
+  "tintSummer",
+  "tintAutumn",
+  "snow",
+  "tree",
+  "rock",
+  "star",
+  "moon",
+];
+
+// Built-in presets
+export const palettes = {
+  dark: {
+    bg: "#0d1117",
+    text: "#c9d1d9",
+    grid: ["#161b22", "#0e4429", "#006d32", "#26a641", "#39d353"],
+    path: "rgba(255,255,255,0.10)",
+    dash: "rgba(57,211,83,0.58)",
+    dashGlow: "rgba(57,211,83,0.22)",
+    trail: "rgba(255,255,255,0.22)",
+    trailGlow: "rgba(57,211,83,0.35)",
+    hiker: "#c9d1d9",
+    caravan: "#c9d1d9",
+    caravanRoof: "#1f6feb",
+    tent: "#c9d1d9",
+    tentFill: "rgba(31,111,235,0.35)",
+    fire1: "#ffb74d",
+    fire2: "#ff7043",
+    smoke: "rgba(255,255,255,0.55)",
+    tintWinter: "rgba(121,192,255,0.08)",
+    tintSpring: "rgba(63,185,80,0.07)",
+    tintSummer: "rgba(227,179,65,0.07)",
+    tintAutumn: "rgba(247,129,102,0.08)",
+    snow: "rgba(255,255,255,0.75)",
+    tree: "#2ea043",
+    rock: "#6e7681",
+    star: "#e6edf3",
+    moon: "#f0e6c0",
+    scenery: [],
+  },
+  light: {
+    bg: "#ffffff",
+    text: "#24292f",
+    grid: ["#ebedf0", "#9be9a8", "#40c463", "#30a14e", "#216e39"],
+    path: "rgba(0,0,0,0.10)",
+    dash: "rgba(48,161,78,0.58)",
+    dashGlow: "rgba(48,161,78,0.20)",
+    trail: "rgba(0,0,0,0.18)",
+    trailGlow: "rgba(48,161,78,0.25)",
+    hiker: "#24292f",
+    caravan: "#24292f",
+    caravanRoof: "#0969da",
+    tent: "#24292f",
+    tentFill: "rgba(9,105,218,0.22)",
+    fire1: "#ff9800",
+    fire2: "#ff5722",
+    smoke: "rgba(0,0,0,0.35)",
+    tintWinter: "rgba(9,105,218,0.07)",
+    tintSpring: "rgba(26,127,55,0.06)",
+    tintSummer: "rgba(191,135,0,0.07)",
+    tintAutumn: "rgba(207,34,46,0.06)",
+    snow: "rgba(84,174,255,0.80)",
+    tree: "#1a7f37",
+    rock: "#8c959f",
+    star: "#bf8700",
+    moon: "#d4a72c",
+    scenery: [],
+  },
+  halloween: {
+    bg: "#17111d",
+    text: "#f3e3cf",
+    grid: ["#2a2030", "#631c03", "#bd561d", "#fa7a18", "#fddf68"],
+    path: "rgba(255,255,255,0.10)",
+    dash: "rgba(250,122,24,0.62)",
+    dashGlow: "rgba(250,122,24,0.24)",
+    trail: "rgba(255,255,255,0.22)",
+    trailGlow: "rgba(250,122,24,0.35)",
+    hiker: "#f3e3cf",
+    caravan: "#f3e3cf",
+    caravanRoof: "#8e44ad",
+    tent: "#f3e3cf",
+    tentFill: "rgba(142,68,173,0.40)",
+    fire1: "#fddf68",
+    fire2: "#fa7a18",
+    smoke: "rgba(214,196,255,0.55)",
+    tintWinter: "rgba(142,68,173,0.10)",
+    tintSpring: "rgba(99,28,3,0.12)",
+    tintSummer: "rgba(250,122,24,0.07)",
+    tintAutumn: "rgba(253,223,104,0.07)",
+    snow: "rgba(243,227,207,0.70)",
+    tree: "#5c3d2e",
+    rock: "#6b5b73",
+    star: "#fddf68",
+    moon: "#fddf68",
+    scenery: ["seasons", "terrain", "sky"],
+  },
+  winter: {
+    bg: "#f4f8fb",
+    text: "#1d3447",
+    grid: ["#e1e8ef", "#b6d7f2", "#74b3e6", "#3a86c8", "#17507f"],
+    path: "rgba(23,80,127,0.10)",
+    dash: "rgba(58,134,200,0.60)",
+    dashGlow: "rgba(58,134,200,0.20)",
+    trail: "rgba(29,52,71,0.18)",
+    trailGlow: "rgba(58,134,200,0.25)",
+    hiker: "#1d3447",
+    caravan: "#1d3447",
+    caravanRoof: "#d64541",
+    tent: "#1d3447",
+    tentFill: "rgba(214,69,65,0.25)",
+    fire1: "#ffb74d",
+    fire2: "#e64a19",
+    smoke: "rgba(29,52,71,0.30)",
+    tintWinter: "rgba(58,134,200,0.10)",
+    tintSpring: "rgba(47,107,79,0.06)",
+    tintSummer: "rgba(242,193,78,0.08)",
+    tintAutumn: "rgba(214,69,65,0.06)",
+    snow: "rgba(58,134,200,0.60)",
+    tree: "#2f6b4f",
+    rock: "#7d8b99",
+    star: "#3a86c8",
+    moon: "#f2c14e",
+    scenery: ["seasons", "snow", "terrain"],
+  },
+  "high-contrast": {
+    bg: "#000000",
+    text: "#ffffff",
+    grid: ["#262626", "#0a5c2a", "#1f9e46", "#4be36f", "#c8ffd4"],
+    path: "rgba(255,255,255,0.35)",
+    dash: "#ffff00",
+    dashGlow: "rgba(255,255,0,0.35)",
+    trail: "rgba(255,255,255,0.60)",
+    trailGlow: "rgba(255,255,0,0.50)",
+    hiker: "#ffffff",
+    caravan: "#ffffff",
+    caravanRoof: "#00aaff",
+    tent: "#ffffff",
+    tentFill: "rgba(0,170,255,0.50)",
+    fire1: "#ffff00",
+    fire2: "#ff3b00",
+    smoke: "rgba(255,255,255,0.80)",
+    tintWinter: "rgba(0,170,255,0.14)",
+    tintSpring: "rgba(75,227,111,0.12)",
+    tintSummer: "rgba(255,255,0,0.12)",
+    tintAutumn: "rgba(255,59,0,0.14)",
+    snow: "#ffffff",
+    tree: "#4be36f",
+    rock: "#aaaaaa",
+    star: "#ffff00",
+    moon: "#ffffff",
+    scenery: ["terrain"],
+  },
+  // Blue-to-yellow levels (after cividis) that stay ordered for the common
+  // kinds of colour blindness; trail colours from the Okabe-Ito set.
+  colorblind: {
+    bg: "#0d1117",
+    text: "#c9d1d9",
+    grid: ["#161b22", "#1f3a6b", "#575d6d", "#a59c74", "#fde737"],
+    path: "rgba(255,255,255,0.10)",
+    dash: "rgba(230,159,0,0.70)",
+    dashGlow: "rgba(230,159,0,0.25)",
+    trail: "rgba(255,255,255,0.22)",
+    trailGlow: "rgba(86,180,233,0.40)",
+    hiker: "#c9d1d9",
+    caravan: "#c9d1d9",
+    caravanRoof: "#56b4e9",
+    tent: "#c9d1d9",
+    tentFill: "rgba(86,180,233,0.35)",
+    fire1: "#f0e442",
+    fire2: "#e69f00",
+    smoke: "rgba(255,255,255,0.55)",
+    tintWinter: "rgba(86,180,233,0.08)",
+    tintSpring: "rgba(0,158,115,0.07)",
+    tintSummer: "rgba(240,228,66,0.07)",
+    tintAutumn: "rgba(230,159,0,0.08)",
+    snow: "rgba(255,255,255,0.75)",
+    tree: "#009e73",
+    rock: "#999999",
+    star: "#f0e442",
+    moon: "#f0e442",
+    scenery: ["snow", "terrain"],
+  },
+  "colorblind-light": {
+    bg: "#ffffff",
+    text: "#24292f",
+    grid: ["#ebedf0", "#f4dc5c", "#a59c74", "#575d6d", "#1f3a6b"],
+    path: "rgba(0,0,0,0.10)",
+    dash: "rgba(213,94,0,0.65)",
+    dashGlow: "rgba(213,94,0,0.20)",
+    trail: "rgba(0,0,0,0.18)",
+    trailGlow: "rgba(0,114,178,0.30)",
+    hiker: "#24292f",
+    caravan: "#24292f",
+    caravanRoof: "#0072b2",
+    tent: "#24292f",
+    tentFill: "rgba(0,114,178,0.22)",
+    fire1: "#e69f00",
+    fire2: "#d55e00",
+    smoke: "rgba(0,0,0,0.35)",
+    tintWinter: "rgba(0,114,178,0.07)",
+    tintSpring: "rgba(0,158,115,0.06)",
+    tintSummer: "rgba(240,228,66,0.10)",
+    tintAutumn: "rgba(213,94,0,0.06)",
+    snow: "rgba(86,180,233,0.85)",
+    tree: "#009e73",
+    rock: "#999999",
+    star: "#e69f00",
+    moon: "#e69f00",
+    scenery: ["snow", "terrain"],
+  },
+};
+
+// Walker colours for team trails, one per member (cycled), chosen to read on
+// both dark and light backgrounds.
+export const MEMBER_COLORS = [
+  "#f78166",
+  "#58a6ff",
+  "#d2a8ff",
+  "#e3b341",
+  "#3fb950",
+  "#db61a2",
+  "#79c0ff",
+  "#ffa657",
+  "#56d4dd",
+  "#ff7b72",
+];
+
+// Theme registry: the presets plus anything added with registerTheme().
+export const themes = new Map(Object.entries(palettes));
+
+export function getTheme(name) {
+  const p = themes.get(name);
+  if (!p) throw new Error(`Unknown theme "${name}" (expected one of: ${[...themes.keys()].join(", ")})`);
+  return p;
+}
+
+// Build a complete palette from a partial spec. Missing keys come from
+// `spec.extends` (a registered theme name, default "dark"). Accepts the grid
+// either as `grid: [...]` or as `grid0`..`gridN` keys.
+export function defineTheme(spec) {
+  const { extends: baseName = "dark", scenery, ...rest } = spec;
+  const base = getTheme(baseName);
+
+  const grid = [...(rest.grid ?? base.grid)];
+  for (const [key, value] of Object.entries(rest)) {
+    const m = /^grid(\d+)$/.exec(key);
+    if (m) {
+      grid[Number(m[1])] = value;
+      delete rest[key];
+    }
+  }
+
+  for (const key of Object.keys(rest)) {
+    if (!PALETTE_KEYS.includes(key)) throw new Error(`Unknown palette key "${key}"`);
+  }
+
+  const p = { ...base, ...rest, grid, scenery: checkScenery(scenery ?? base.scenery ?? []) };
+  if (p.grid.length < 2 || p.grid.length > 10 || Array.from(p.grid).some((c) => typeof c !== "string" || !c)) {
+    throw new Error("grid must list 2 to 10 colours, from the empty-day colour to the busiest level");
+  }
+  for (const key of PALETTE_KEYS) {
+    if (key !== "grid" && (typeof p[key] !== "string" || !p[key])) {
+      throw new Error(`Palette key "${key}" must be a colour string`);
+    }
+  }
+  return p;
+}
+
+function checkScenery(layers) {
+  if (!Array.isArray(layers)) throw new Error(`scenery must be a list of layers (${SCENERY_LAYERS.join(", ")})`);
+  for (const layer of layers) {
+    if (!SCENERY_LAYERS.includes(layer)) {
+      throw new Error(`Unknown scenery layer "${layer}" (expected some of: ${SCENERY_LAYERS.join(", ")})`);
+    }
+  }
+  return [...layers];
+}
+
+// "#abc" / "#aabbcc" -> [r, g, b], else null
+function rgb(color) {
+  const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (!m) return null;
+  const hex = m[1].length === 3 ? [...m[1]].map((c) => c + c).join("") : m[1];
+  return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function blend(a, b, t) {
+  const [ca, cb] = [rgb(a), rgb(b)];
+  if (t === 0 || !ca || !cb) return t < 0.5 ? a : b;
+  return `#${ca.map((v, i) => Math.round(v + (cb[i] - v) * t).toString(16).padStart(2, "0")).join("")}`;
+}
+
+// `p` with its grid stretched or squeezed to `levels` colours: the empty-day
+// colour stays, the others are blended along the theme's own ramp (colours
+// other than #rgb/#rrggbb are taken as they are, not blended).
+export function withLevels(p, levels) {
+  if (p.grid.length === levels) return p;
+  const ramp = p.grid.slice(1);
+  const grid = [p.grid[0]];
+  for (let level = 1; level < levels; level++) {
+    const pos = levels === 2 ? ramp.length - 1 : ((level - 1) * (ramp.length - 1)) / (levels - 2);
+    grid.push(blend(ramp[Math.floor(pos)], ramp[Math.ceil(pos)], pos - Math.floor(pos)));
+  }
+  return { ...p, grid };
+}
+
+export function registerTheme(name, spec) {
+  themes.set(name, defineTheme(spec));
+}
@@ -0,0 +1,113 @@
+// Intensity levels for contribution counts (0 = no activity .. levels - 1 =
+// busiest). Thresholds are the highest count of each level but the top one:
+// with 5 levels, [3, 6, 9] puts 1-3 in level 1, 4-6 in 2, 7-9 in 3 and 10+ in 4.
+//
+// How the thresholds follow the calendar is its scale:
+//
+//   quantile  evenly spaced quantiles of the active days (25/50/75% for 5 levels)
+//   github    the level GitHub gave each day (`contributionLevel`); days without
+//             one, e.g. from other sources, are levelled by quantile
+//   linear    equal steps up to the busiest day
+//   log       equal steps on a log scale, so a few huge days don't wash out the rest
+//   fixed     the given `breakpoints`, whatever the calendar
+
+export const SCALES = ["quantile", "github", "linear", "log", "fixed"];
+export const DEFAULT_LEVELS = 5;
+
+// GitHub's contributionLevel values, by level
+export const GITHUB_LEVELS = { NONE: 0, FIRST_QUARTILE: 1, SECOND_QUARTILE: 2, THIRD_QUARTILE: 3, FOURTH_QUARTILE: 4 };
+
+export function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const rest = pos - base;
+  if (sorted[base + 1] === undefined) return sorted[base];
+  return sorted[base] + rest * (sorted[base + 1] - sorted[base]);
+}
+
+// Check a scale and its options: { scale, levels, breakpoints }, as taken by
+// buildThresholds(). Returns them with the defaults filled in.
+export function checkScaling({ scale = "quantile", levels, breakpoints } = {}) {
+  if (!SCALES.includes(scale)) throw new Error(`Unknown scaling "${scale}" (expected one of: ${SCALES.join(", ")})`);
+  if (scale === "fixed") {
+    if (!Array.isArray(breakpoints) || breakpoints.length === 0) throw new Error("Fixed scaling needs breakpoints");
+    if (breakpoints.some((b, i) => !Number.isInteger(b) || b < 1 || b <= (breakpoints[i - 1] ?? 0))) {
+      throw new Error("Breakpoints must be whole numbers from 1 up, each higher than the last");
+    }
+    levels ??= breakpoints.length + 2;
+    if (levels !== breakpoints.length + 2) {
+      throw new Error(`${breakpoints.length} breakpoints make ${breakpoints.length + 2} levels, not ${levels}`);
+    }
+  } else if (breakpoints !== undefined) {
+    throw new Error("Breakpoints only apply to fixed scaling");
+  }
+  levels ??= DEFAULT_LEVELS;
+  if (!Number.isInteger(levels) || levels < 2 || levels > 10) throw new Error("levels must be a whole number from 2 to 10");
+  if (scale === "github" && levels !== 5) throw new Error("GitHub scaling has GitHub's 5 levels");
+  return { scale, levels, breakpoints };
+}
+
+// Thresholds for `counts` (see above). The github scale has nothing to go on
+// here and falls back to quantiles; levelDays() applies GitHub's own levels.
+export function buildThresholds(counts, scaling) {
+  const { scale, levels, breakpoints } = checkScaling(scaling);
+  if (scale === "fixed") return [...breakpoints];
+
+  const nz = counts.filter((c) => c > 0).sort((a, b) => a - b);
+  const max = nz.at(-1);
+  const at = (q) => {
+    if (scale === "linear") return max * q;
+    if (scale === "log") return Math.expm1(Math.log1p(max) * q);
+    return quantile(nz, q);
+  };
+
+  const t = [];
+  for (let i = 1; i < levels - 1; i++) {
+    const prev = t.at(-1) ?? 0;
+    // fallback without activity: 1, 2, 3, ...
+    t.push(nz.length ? Math.max(prev + 1, Math.round(at(i / (levels - 1)))) : prev + 1);
+  }
+  return t;
+}
+
+export function levelFor(count, t) {
+  // 0..t.length + 1
+  if (!(count > 0)) return 0;
+  const i = t.findIndex((max) => count <= max);
+  return i < 0 ? t.length + 1 : i + 1;
+}
+
+// Thresholds that match levels already given (GitHub's): the busiest count
+// seen at each level but the top one.
+export function thresholdsFromLevels(days, levels = DEFAULT_LEVELS) {
+  const t = [];
+  for (let level = 1; level < levels - 1; level++) {
+    const prev = t.at(-1) ?? 0;
+    const counts = days.filter((d) => d.lvl === level).map((d) => d.count);
+    t.push(Math.max(prev + 1, ...counts));
+  }
+  return t;
+}
+
+// Set `lvl` on each of `days` ([{ count, contributionLevel? }]) for `scaling`
+// (see buildThresholds()). -> the thresholds, for legends
+export function levelDays(days, scaling) {
+  const { scale, levels } = checkScaling(scaling);
+  const leveled = (d) => Object.hasOwn(GITHUB_LEVELS, d.contributionLevel ?? "");
+  const given = scale === "github" ? days.filter(leveled) : [];
+  const rest = given.length ? days.filter((d) => !leveled(d)) : days;
+  const t = buildThresholds(rest.map((d) => d.count), scaling);
+  for (const d of rest) d.lvl = levelFor(d.count, t);
+  if (!given.length) return t;
+  for (const d of given) d.lvl = GITHUB_LEVELS[d.contributionLevel];
+  return thresholdsFromLevels(given, levels);
+}
+
+// Count range per level for legends: [{ level, min, max }], max = Infinity for the top level
+export function levelRanges(t) {
+  return [
+    { level: 0, min: 0, max: 0 },
+    ...t.map((max, i) => ({ level: i + 1, min: i ? t[i - 1] + 1 : 1, max })),
+    { level: t.length + 1, min: (t.at(-1) ?? 0) + 1, max: Infinity },
+  ];
+}
@@ -0,0 +1,114 @@
+export function escapeXml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (m, ref) => {
+    if (ref[0] === "#") return String.fromCodePoint(ref[1] === "x" ? parseInt(ref.slice(2), 16) : Number(ref.slice(1)));
+    if (ref in ENTITIES) return ENTITIES[ref];
+    throw new Error(`Unknown entity ${m}`);
+  });
+}
+
+// Small non-validating XML parser, enough for the SVGs we generate (and for
+// checking they are well-formed). Returns the root element as
+// { name, attrs, children, text }; throws on malformed input with the line number.
+// With `textNodes`, text also appears among `children` as { name: "#text", text },
+// in document order, for callers that write the tree back out.
+export function parseXml(src, { textNodes = false } = {}) {
+  let pos = 0;
+  const lineAt = (i) => src.slice(0, i).split("\n").length;
+  const fail = (msg, at = pos) => {
+    throw new Error(`XML line ${lineAt(at)}: ${msg}`);
+  };
+
+  // match a sticky (/y) regex at the current position
+  const sticky = (re) => {
+    re.lastIndex = pos;
+    return re.exec(src);
+  };
+
+  const root = { name: "#document", attrs: {}, children: [], text: "" };
+  const stack = [root];
+
+  while (pos < src.length) {
+    const lt = src.indexOf("<", pos);
+    const textEnd = lt === -1 ? src.length : lt;
+    if (textEnd > pos) {
+      const text = src.slice(pos, textEnd);
+      const top = stack[stack.length - 1];
+      if (top === root) {
+        if (text.trim()) fail("text outside the root element");
+      } else {
+        top.text += decodeEntities(text);
+        if (textNodes) top.children.push({ name: "#text", text: decodeEntities(text) });
+      }
+      pos = textEnd;
+      continue;
+    }
+
+    if (src.startsWith("<!--", pos)) {
+      const end = src.indexOf("-->", pos + 4);
+      if (end === -1) fail("unterminated comment");
+      pos = end + 3;
+    } else if (src.startsWith("<![CDATA[", pos)) {
+      const end = src.indexOf("]]>", pos);
+      if (end === -1) fail("unterminated CDATA");
+      const top = stack[stack.length - 1];
+      top.text += src.slice(pos + 9, end);
+      if (textNodes) top.children.push({ name: "#text", text: src.slice(pos + 9, end) });
+      pos = end + 3;
+    } else if (src.startsWith("<?", pos)) {
+      const end = src.indexOf("?>", pos);
+      if (end === -1) fail("unterminated processing instruction");
+      pos = end + 2;
+    } else if (src.startsWith("<!", pos)) {
+      const end = src.indexOf(">", pos);
+      if (end === -1) fail("unterminated declaration");
+      pos = end + 1;
+    } else if (src.startsWith("</", pos)) {
+      const m = sticky(/<\/([\w:.-]+)\s*>/y);
+      if (!m) fail("malformed closing tag");
+      const open = stack.pop();
+      if (open === root || open.name !== m[1]) fail(`</${m[1]}> does not match <${open?.name}>`);
+      pos += m[0].length;
+    } else {
+      const m = sticky(/<([\w:.-]+)/y);
+      if (!m) fail("malformed tag");
+      const el = { name: m[1], attrs: {}, children: [], text: "" };
+      pos += m[0].length;
+
+      const attrRe = /\s+([\w:.-]+)\s*=\s*("([^"<]*)"|'([^'<]*)')/y;
+      const closeRe = /\s*(\/?)>/y;
+      for (;;) {
+        const a = sticky(attrRe);
+        if (a) {
+          if (a[1] in el.attrs) fail(`duplicate attribute ${a[1]}`);
+          el.attrs[a[1]] = decodeEntities(a[3] ?? a[4]);
+          pos += a[0].length;
+          continue;
+        }
+        const close = sticky(closeRe);
+        if (!close) fail(`malformed attributes in <${el.name}>`);
+        pos += close[0].length;
+
+        const parent = stack[stack.length - 1];
+        if (parent === root && root.children.length) fail("more than one root element");
+        parent.children.push(el);
+        if (!close[1]) stack.push(el);
+        break;
+      }
+    }
+  }
+
+  if (stack.length > 1) fail(`<${stack[stack.length - 1].name}> is never closed`);
+  if (root.children.length !== 1) fail("no root element");
+  return root.children[0];
+}
@@ -0,0 +1,125 @@
+// Minimal YAML reader for config files, so the tool stays dependency-free.
+// Supports the subset a config needs: nested block mappings, block sequences
+// ("- item"), flow sequences ("[a, b]"), quoted/plain scalars, numbers,
+// booleans, null and "#" comments. Anchors, multi-line strings and flow
+// mappings are not supported.
+//
+// Note that, as in YAML proper, an unquoted "#" after a space starts a comment:
+// write colours as `bg: "#0d1117"`.
+
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function splitFlow(inner) {
+  const items = [];
+  let quote = null;
+  let current = "";
+  for (const ch of inner) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === ",") {
+      items.push(current);
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) items.push(current);
+  return items;
+}
+
+function scalar(raw, lineNo) {
+  const s = raw.trim();
+  if (s === "" || s === "~" || s === "null") return null;
+  if (s === "true") return true;
+  if (s === "false") return false;
+  if (s.startsWith("[")) {
+    if (!s.endsWith("]")) throw new Error(`line ${lineNo}: unterminated flow sequence`);
+    return splitFlow(s.slice(1, -1)).map((item) => scalar(item, lineNo));
+  }
+  if (s.startsWith('"')) {
+    if (!s.endsWith('"') || s.length < 2) throw new Error(`line ${lineNo}: unterminated string`);
+    return JSON.parse(s);
+  }
+  if (s.startsWith("'")) {
+    if (!s.endsWith("'") || s.length < 2) throw new Error(`line ${lineNo}: unterminated string`);
+    return s.slice(1, -1).replaceAll("''", "'");
+  }
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) return Number(s);
+  return s;
+}
+
+export function parseYaml(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = stripComment(raw).replace(/\s+$/, "");
+    if (!line.trim() || line.trim() === "---") return;
+    if (/^\s*\t/.test(line)) throw new Error(`line ${i + 1}: tabs are not allowed for indentation`);
+    lines.push({ indent: line.length - line.trimStart().length, text: line.trim(), no: i + 1 });
+  });
+
+  let pos = 0;
+
+  function parseBlock(indent) {
+    const first = lines[pos];
+    if (first.text.startsWith("- ") || first.text === "-") return parseSeq(indent);
+    return parseMap(indent);
+  }
+
+  function parseSeq(indent) {
+    const out = [];
+    while (pos < lines.length && lines[pos].indent === indent && (lines[pos].text.startsWith("- ") || lines[pos].text === "-")) {
+      const line = lines[pos++];
+      const rest = line.text.slice(1).trim();
+      if (rest) {
+        out.push(scalar(rest, line.no));
+      } else if (pos < lines.length && lines[pos].indent > indent) {
+        out.push(parseBlock(lines[pos].indent));
+      } else {
+        out.push(null);
+      }
+    }
+    return out;
+  }
+
+  function parseMap(indent) {
+    const out = {};
+    while (pos < lines.length && lines[pos].indent === indent) {
+      const line = lines[pos++];
+      const m = /^("[^"]*"|'[^']*'|[^:]+?)\s*:(\s+(.*))?$/.exec(line.text);
+      if (!m) throw new Error(`line ${line.no}: expected "key: value"`);
+      const key = String(scalar(m[1], line.no));
+      const rest = m[3] ?? "";
+      if (rest.trim()) {
+        out[key] = scalar(rest, line.no);
+      } else if (pos < lines.length && lines[pos].indent > indent) {
+        out[key] = parseBlock(lines[pos].indent);
+      } else if (pos < lines.length && lines[pos].indent === indent && lines[pos].text.startsWith("- ")) {
+        // sequences may sit at the same indent as their key
+        out[key] = parseSeq(indent);
+      } else {
+        out[key] = null;
+      }
+    }
+    return out;
+  }
+
+  if (lines.length === 0) return null;
+  const result = parseBlock(lines[0].indent);
+  if (pos < lines.length) throw new Error(`line ${lines[pos].no}: unexpected indentation`);
+  return result;
+}
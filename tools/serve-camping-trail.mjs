@@ -0,0 +1,44 @@
+// tools/serve-camping-trail.mjs
+// Local HTTP server rendering trails on demand, to preview options without
+// waiting for the scheduled workflow:
+//
+//   GITHUB_TOKEN=... node tools/serve-camping-trail.mjs
+//   open http://127.0.0.1:8787/trail.svg?login=octocat&theme=light&labels=1
+//
+// Run with --help for options; request handling lives in ./lib/server.mjs.
+
+import { EXIT_FAILURE, EXIT_USAGE, SERVE_HELP, UsageError, loadConfig, parseServeCli } from "./lib/cli.mjs";
+import { createTrailServer } from "./lib/server.mjs";
+
+function main() {
+  const opts = parseServeCli(process.argv.slice(2), process.env);
+  if (opts.help) {
+    process.stdout.write(SERVE_HELP);
+    return;
+  }
+  loadConfig({ config: opts.config, themes: [] });
+  if (!opts.api.token) console.warn("GITHUB_TOKEN isn't set: only POSTed calendars can be rendered.");
+
+  const server = createTrailServer({ api: opts.api, ttlMs: opts.ttlMs });
+  server.on("error", (e) => {
+    console.error(e.message);
+    process.exit(EXIT_FAILURE);
+  });
+  server.listen(opts.port, opts.host, () => {
+    const { address, port } = server.address();
+    console.log(`Serving trails on http://${address.includes(":") ? `[${address}]` : address}:${port}/trail.svg`);
+  });
+  // finish the requests in flight on Ctrl-C / docker stop
+  for (const signal of ["SIGINT", "SIGTERM"]) process.on(signal, () => server.close(() => process.exit(0)));
+}
+
+try {
+  main();
+} catch (e) {
+  if (e instanceof UsageError) {
+    console.error(`${e.message}\nRun with --help for usage.`);
+    process.exit(EXIT_USAGE);
+  }
+  console.error(e);
+  process.exit(EXIT_FAILURE);
+}
@@ -0,0 +1,66 @@
+import assert from "assert/strict";
+import { afterEach, test } from "node:test";
+import { describeDay, fetchActivity } from "../lib/index.mjs";
+import { startServer } from "./helpers.mjs";
+
+const calendar = {
+  weeks: [{ contributionDays: ["2024-05-01", "2024-05-02", "2024-05-03"].map((date) => ({ date, contributionCount: 5 })) }],
+};
+
+// one page of nodes per connection
+const NODES = {
+  pullRequestContributions: [{ occurredAt: "2024-05-01T23:30:00Z", pullRequest: { mergedAt: "2024-05-02T16:00:00Z" } }],
+  issueContributions: [{ occurredAt: "2024-05-02T20:00:00Z" }],
+  pullRequestReviewContributions: [],
+  repositoryContributions: [
+    { occurredAt: "2024-05-01T10:00:00Z", repository: { nameWithOwner: "octocat/tool" } },
+    { occurredAt: "2024-05-01T11:00:00Z", repository: null },
+  ],
+};
+
+let server;
+let variables;
+afterEach(() => server?.close());
+
+async function breakdown(timeZone) {
+  variables = [];
+  server = await startServer((req, res) => {
+    let text = "";
+    req.on("data", (chunk) => (text += chunk));
+    req.on("end", () => {
+      const { query, variables: v } = JSON.parse(text);
+      variables.push(v);
+      const connection = Object.keys(NODES).find((name) => query.includes(`${name}(`));
+      const page = { nodes: NODES[connection], pageInfo: { hasNextPage: false, endCursor: null } };
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ data: { user: { contributionsCollection: { [connection]: page } } } }));
+    });
+  });
+  const api = { token: "test", endpoint: `${server.url}/graphql`, retries: 0, log: () => {} };
+  return fetchActivity("octocat", calendar, api, timeZone ? { timeZone } : undefined);
+}
+
+test("days are UTC by default", async () => {
+  const activity = await breakdown();
+  assert.deepEqual(Object.keys(activity), ["2024-05-01", "2024-05-02"]);
+  assert.equal(activity["2024-05-01"].pullRequests, 1);
+  assert.equal(activity["2024-05-02"].mergedPullRequests, 1);
+  assert.equal(activity["2024-05-02"].issues, 1);
+  assert.deepEqual(variables[0], { login: "octocat", from: "2024-05-01T00:00:00Z", to: "2024-05-03T23:59:59Z", after: null });
+});
+
+test("days and the fetched span follow the timezone", async () => {
+  const activity = await breakdown("Asia/Tokyo");
+  assert.deepEqual(Object.keys(activity), ["2024-05-01", "2024-05-02", "2024-05-03"]);
+  assert.equal(activity["2024-05-02"].pullRequests, 1);
+  assert.equal(activity["2024-05-03"].mergedPullRequests, 1);
+  assert.equal(activity["2024-05-03"].issues, 1);
+  assert.deepEqual(variables[0], { login: "octocat", from: "2024-05-01T00:00:00+09:00", to: "2024-05-03T23:59:59+09:00", after: null });
+});
+
+test("a repository the token can't see counts as private", async () => {
+  const day = (await breakdown())["2024-05-01"];
+  assert.deepEqual(day.repositories, ["octocat/tool", "a private repository"]);
+  assert.equal(day.commits, 2);
+  assert.equal(describeDay(day), "2 commits, 1 pull request, created octocat/tool, a private repository");
+});
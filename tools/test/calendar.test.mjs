@@ -0,0 +1,93 @@
+import assert from "assert/strict";
+import { after, before, describe, test } from "node:test";
+import { extractCalendar, fetchCalendar, normalizeCalendar } from "../lib/calendar.mjs";
+import { NotFoundError } from "../lib/github.mjs";
+import { normalizeDays, weekGrid } from "../lib/normalize.mjs";
+import { startServer } from "./helpers.mjs";
+
+// A GraphQL endpoint answering every query with the next queued response body.
+describe("GitHub user lookups", () => {
+  const replies = [];
+  let server;
+  let api;
+  before(async () => {
+    server = await startServer((req, res) => {
+      req.resume();
+      req.on("end", () => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(replies.shift()));
+      });
+    });
+    api = { token: "test", endpoint: `${server.url}/graphql`, retries: 0, log: () => {} };
+  });
+  after(() => server.close());
+
+  test("a null user is a NotFoundError, not a crash", async () => {
+    replies.push({ data: { u0: null } });
+    await assert.rejects(fetchCalendar("ghost", api), (e) => e instanceof NotFoundError && /"ghost" not found/.test(e.message));
+  });
+
+  test("GitHub's NOT_FOUND error names the login", async () => {
+    replies.push({ data: { u0: null }, errors: [{ type: "NOT_FOUND", path: ["u0"], message: "Could not resolve to a User" }] });
+    await assert.rejects(fetchCalendar("ghost", api), (e) => e instanceof NotFoundError && /"ghost" not found/.test(e.message));
+  });
+
+  test("a found user's calendar", async () => {
+    const calendar = { weeks: [{ contributionDays: [{ date: "2024-05-15", contributionCount: 3, weekday: 3 }] }] };
+    replies.push({ data: { u0: { c0: { contributionCalendar: calendar } } } });
+    assert.deepEqual(await fetchCalendar("octocat", api), calendar);
+  });
+});
+
+describe("extractCalendar", () => {
+  test("a saved response with a null user is refused with a message", () => {
+    assert.throws(() => extractCalendar({ data: { user: null } }), /must contain weeks/);
+    assert.throws(() => extractCalendar(null), /must contain weeks/);
+  });
+
+  test("takes a list of { date, count }", () => {
+    const calendar = extractCalendar([{ date: "2024-05-17", count: 2 }, { date: "2024-05-15", count: 1 }]);
+    assert.deepEqual(
+      calendar.weeks.flatMap((w) => w.contributionDays.map((d) => [d.date, d.contributionCount])),
+      [["2024-05-15", 1], ["2024-05-16", 0], ["2024-05-17", 2]],
+    );
+  });
+});
+
+describe("normalizeDays", () => {
+  test("skips counts that aren't numbers", () => {
+    const days = normalizeDays([
+      { date: "2024-01-01", count: NaN },
+      { date: "2024-01-01", count: 2 },
+      { date: "2024-01-02", count: null },
+      { date: "2024-01-03", contributionCount: "4" },
+    ]);
+    assert.deepEqual(days, [{ date: "2024-01-01", contributionCount: 2 }]);
+  });
+
+  test("nothing in, nothing out", () => {
+    assert.deepEqual(normalizeDays([]), []);
+    assert.deepEqual(normalizeCalendar({ weeks: [] }), { weeks: [] });
+  });
+
+  test("buckets timestamps by timezone", () => {
+    const entries = [{ date: "2024-01-01T23:30:00Z", count: 1 }];
+    assert.equal(normalizeDays(entries)[0].date, "2024-01-01");
+    assert.equal(normalizeDays(entries, { timeZone: "Asia/Tokyo" })[0].date, "2024-01-02");
+  });
+});
+
+describe("weekGrid", () => {
+  test("a partial week keeps its real rows", () => {
+    const days = ["2024-05-15", "2024-05-16", "2024-05-17"].map((date) => ({ date, contributionCount: 1 }));
+    const { columns, cells } = weekGrid(days);
+    assert.deepEqual(columns, ["2024-05-12"]);
+    assert.deepEqual(cells.map((c) => [c.x, c.y]), [[0, 3], [0, 4], [0, 5]]);
+    assert.deepEqual(weekGrid(days, { weekStart: 1 }).cells.map((c) => c.y), [2, 3, 4]);
+  });
+
+  test("separate years sit side by side", () => {
+    const days = ["2022-06-01", "2024-06-05"].map((date) => ({ date, contributionCount: 1 }));
+    assert.equal(weekGrid(days).columns.length, 2);
+  });
+});
@@ -0,0 +1,47 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { pickCampfires } from "../lib/styles/hiker.mjs";
+
+// cells in route order (oldest first), one per column
+const cells = (levels) => levels.map((lvl, x) => ({ x, y: 0, lvl }));
+const xs = (picked) => picked.map((c) => c.x);
+
+test("nothing to pick", () => {
+  assert.deepEqual(pickCampfires([]), []);
+  assert.deepEqual(pickCampfires(cells([0, 0, 0])), []);
+});
+
+test("prefers the top two levels, most recent first", () => {
+  assert.deepEqual(xs(pickCampfires(cells([4, 3, 1, 4, 3, 2, 0]))), [4, 3, 1, 0]);
+});
+
+test("tops up from the level below", () => {
+  assert.deepEqual(xs(pickCampfires(cells([2, 1, 2, 4, 0]))), [3, 2, 0]);
+});
+
+test("never more than max", () => {
+  assert.equal(pickCampfires(cells(Array(20).fill(4)), 4).length, 4);
+  assert.deepEqual(pickCampfires(cells([4, 4]), 0), []);
+});
+
+test("one fire per cell", () => {
+  const twice = [{ x: 1, y: 1, lvl: 4 }, { x: 1, y: 1, lvl: 4 }, { x: 2, y: 1, lvl: 3 }];
+  assert.deepEqual(xs(pickCampfires(twice)), [2, 1]);
+});
+
+test("follows the number of levels", () => {
+  const route = cells([9, 8, 7, 6, 5, 4]);
+  // 10 levels: 8 and up first, then 7
+  assert.deepEqual(xs(pickCampfires(route, 4, { levels: 10 })), [1, 0, 2]);
+  // 3 levels: any activity qualifies
+  assert.deepEqual(xs(pickCampfires(cells([0, 1, 2]), 4, { levels: 3 })), [2, 1]);
+});
+
+test("with a breakdown, only days with merged pull requests", () => {
+  const route = [
+    { x: 0, y: 0, lvl: 4 },
+    { x: 1, y: 0, lvl: 1, activity: { mergedPullRequests: 2 } },
+    { x: 2, y: 0, lvl: 4, activity: { mergedPullRequests: 0 } },
+  ];
+  assert.deepEqual(xs(pickCampfires(route, 4, { breakdown: true })), [1]);
+});
@@ -0,0 +1,95 @@
+import assert from "assert/strict";
+import vm from "vm";
+import { test } from "node:test";
+import { calendarFromDays, renderEmbed } from "../lib/index.mjs";
+
+const calendar = calendarFromDays(
+  ["2024-05-01", "2024-05-02", "2024-05-03"].map((date, i) => ({ date, contributionCount: i * 3 })),
+);
+
+// Just enough of an element for the page's script: attributes, listeners
+// (fired with click()), children and the properties it sets.
+function element(name, props = {}) {
+  const attrs = new Map();
+  const listeners = new Map();
+  return {
+    name,
+    textContent: "",
+    value: "",
+    hidden: false,
+    style: {},
+    children: [],
+    setAttribute: (key, value) => attrs.set(key, String(value)),
+    getAttribute: (key) => attrs.get(key) ?? null,
+    addEventListener: (type, listener) => listeners.set(type, [...(listeners.get(type) ?? []), listener]),
+    click: () => (listeners.get("click") ?? []).forEach((listener) => listener({})),
+    append(...children) {
+      this.children.push(...children);
+    },
+    replaceChildren(...children) {
+      this.children = children;
+    },
+    ...props,
+  };
+}
+
+// The figure's inline script, run against a stub of its markup -> the controls,
+// the SVG's clock calls and the reduced-motion setting it saw.
+function runEmbed(html, { reducedMotion = false } = {}) {
+  const script = html.match(/<script>\n([\s\S]*?)\n<\/script>/)[1];
+  const json = html.match(/<script type="application\/json" data-ct="data">(.*?)<\/script>/)[1];
+
+  const clock = [];
+  const svg = element("svg", {
+    pauseAnimations: () => clock.push("pause"),
+    setCurrentTime: (t) => clock.push(t),
+    querySelectorAll: () => [],
+  });
+  const controls = Object.fromEntries(
+    ["play", "speed", "time", "from", "to", "clear"].map((name) => [name, element(name === "play" ? "button" : "input")]),
+  );
+  controls.data = element("script", { textContent: json });
+  const parts = { svg, ".ct-stage": element("div"), ".ct-card": element("div") };
+  const root = element("figure", {
+    querySelector: (selector) => {
+      const name = selector.match(/^\[data-ct="(\w+)"\]$/)?.[1];
+      return name ? controls[name] : parts[selector];
+    },
+  });
+  const document = {
+    currentScript: { closest: (selector) => (selector === ".ct-embed" ? root : null) },
+    createElement: (name) => element(name),
+    createElementNS: (ns, name) => element(name),
+  };
+  vm.runInNewContext(script, {
+    document,
+    matchMedia: (query) => ({ matches: reducedMotion && query === "(prefers-reduced-motion: reduce)" }),
+    requestAnimationFrame: () => {},
+  });
+  return { ...controls, clock };
+}
+
+const pressed = (play) => [play.textContent, play.getAttribute("aria-pressed")];
+
+test("the play toggle is pressed while the trail plays", () => {
+  const { play, clock } = runEmbed(renderEmbed(calendar));
+  assert.deepEqual(clock, ["pause"]);
+  assert.deepEqual(pressed(play), ["Pause", "true"]);
+  play.click();
+  assert.deepEqual(pressed(play), ["Play", "false"]);
+  play.click();
+  assert.deepEqual(pressed(play), ["Pause", "true"]);
+});
+
+test("with reduced motion the page starts paused", () => {
+  const { play } = runEmbed(renderEmbed(calendar, { fragment: true }), { reducedMotion: true });
+  assert.deepEqual(pressed(play), ["Play", "false"]);
+  play.click();
+  assert.deepEqual(pressed(play), ["Pause", "true"]);
+});
+
+test("the markup's own label and state match a playing page", () => {
+  const button = renderEmbed(calendar).match(/<button[^>]*data-ct="play"[^>]*>[^<]*<\/button>/)[0];
+  assert.match(button, /aria-label="Play"/);
+  assert.match(button, /aria-pressed="true">Pause</);
+});
@@ -0,0 +1,27 @@
+import assert from "assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { test } from "node:test";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const run = promisify(execFile);
+
+test("--stats-json - keeps stdout for the JSON, progress on stderr", async () => {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), "camping-generate-"));
+  try {
+    const args = [path.join(here, "..", "generate-camping-caravan.mjs"), "--input", path.join(here, "fixtures", "sparse.json")];
+    const { stdout, stderr } = await run(process.execPath, [...args, "--no-cache", "--out-dir", out, "--stats-json", "-"], {
+      env: { ...process.env, GITHUB_OUTPUT: "" },
+    });
+    const stats = JSON.parse(stdout);
+    assert.equal(stats.total, 171);
+    assert.match(stderr, /^Generated: .*camping-caravan-dark\.svg$/m);
+    assert.ok(fs.existsSync(path.join(out, "camping-caravan-light.svg")));
+  } finally {
+    fs.rmSync(out, { recursive: true, force: true });
+  }
+});
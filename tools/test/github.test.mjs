@@ -0,0 +1,94 @@
+import assert from "assert/strict";
+import { afterEach, test } from "node:test";
+import { BadCredentialsError, GitHubError, gql, RateLimitError } from "../lib/github.mjs";
+import { startServer } from "./helpers.mjs";
+
+// Each test's server answers attempt n (1, 2, ...) with replies[n - 1], the
+// last one repeating: (req, res) => void.
+let server;
+async function serve(...replies) {
+  server = await startServer((req, res) => {
+    req.resume();
+    req.on("end", () => replies[Math.min(server.requests, replies.length) - 1](req, res));
+  });
+  return { token: "test", endpoint: `${server.url}/graphql`, retries: 2, backoffMs: 1, timeoutMs: 300, log: () => {} };
+}
+afterEach(() => server?.close());
+
+const reply = (status, body, headers = {}) => (req, res) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+};
+const ok = reply(200, { data: { viewer: { login: "octocat" } } });
+
+const query = (api) => gql("query { viewer { login } }", {}, api);
+
+test("retries after 5xx", async () => {
+  const api = await serve(reply(502, { message: "Bad gateway" }), reply(503, {}), ok);
+  assert.deepEqual(await query(api), { viewer: { login: "octocat" } });
+  assert.equal(server.requests, 3);
+});
+
+test("gives up after the last retry", async () => {
+  const api = await serve(reply(500, { message: "Oops" }));
+  await assert.rejects(query(api), (e) => e instanceof GitHubError && e.status === 500);
+  assert.equal(server.requests, 3);
+});
+
+test("bad credentials aren't retried", async () => {
+  const api = await serve(reply(401, { message: "Bad credentials" }));
+  await assert.rejects(query(api), BadCredentialsError);
+  assert.equal(server.requests, 1);
+});
+
+test("waits out a short Retry-After, in seconds or as a date", async () => {
+  let api = await serve(reply(429, {}, { "Retry-After": "0" }), ok);
+  assert.ok(await query(api));
+  assert.equal(server.requests, 2);
+  await server.close();
+
+  api = await serve(reply(403, {}, { "Retry-After": new Date(Date.now() - 1000).toUTCString() }), ok);
+  assert.ok(await query(api));
+  assert.equal(server.requests, 2);
+});
+
+test("a long Retry-After date is a RateLimitError with its time", async () => {
+  const until = new Date(Math.ceil(Date.now() / 1000) * 1000 + 3_600_000);
+  const api = await serve(reply(403, { message: "slow down" }, { "Retry-After": until.toUTCString() }));
+  await assert.rejects(query(api), (e) => e instanceof RateLimitError && Math.abs(e.resetAt - until) < 2000);
+  assert.equal(server.requests, 1);
+});
+
+test("an exhausted primary limit reports its reset time", async () => {
+  const reset = Math.floor(Date.now() / 1000) + 3600;
+  const headers = { "X-RateLimit-Remaining": "0", "X-RateLimit-Reset": String(reset) };
+  const api = await serve(reply(403, { message: "API rate limit exceeded" }, headers));
+  await assert.rejects(query(api), (e) => e instanceof RateLimitError && e.resetAt.getTime() === reset * 1000);
+});
+
+test("a server that never answers times out as a GitHubError", async () => {
+  const api = await serve(() => {});
+  await assert.rejects(query(api), (e) => e instanceof GitHubError && /no response after 0.3s/.test(e.message));
+  assert.equal(server.requests, 3);
+});
+
+test("a body that stalls times out as a GitHubError and is retried", async () => {
+  const stall = (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.write('{"data":');
+  };
+  const api = await serve(stall, ok);
+  assert.ok(await query(api));
+  assert.equal(server.requests, 2);
+});
+
+test("a connection reset while reading the body is a GitHubError", async () => {
+  const reset = (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json", "Content-Length": "100" });
+    res.write('{"data":');
+    setTimeout(() => res.socket.destroy(), 10);
+  };
+  const api = await serve(reset);
+  await assert.rejects(query(api), (e) => e instanceof GitHubError && /request failed/.test(e.message));
+  assert.equal(server.requests, 3);
+});
@@ -0,0 +1,133 @@
+// Shared by the tests: fixture calendars, snapshot files and output checks.
+//
+// Snapshots live in ./snapshots. A test fails when its output differs from the
+// snapshot, or when there is none yet; after a deliberate change to the output,
+// rewrite them with
+//
+//   UPDATE_SNAPSHOTS=1 node --test tools/test/*.test.mjs
+//
+// and review the diff (PNG snapshots open as images).
+
+import assert from "assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import zlib from "zlib";
+import { readCalendarFile } from "../lib/index.mjs";
+import { parseXml } from "../lib/xml.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const SNAPSHOTS = path.join(here, "snapshots");
+const UPDATE = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+// empty, sparse (a GitHub API payload), partial-week, multi-year (a list of
+// { date, count }), huge-counts
+export const FIXTURES = ["empty", "sparse", "partial-week", "multi-year", "huge-counts"];
+
+export function fixture(name) {
+  return readCalendarFile(path.join(here, "fixtures", `${name}.json`));
+}
+
+function snapshotFile(name) {
+  return path.join(SNAPSHOTS, name);
+}
+
+function writeSnapshot(name, data) {
+  fs.mkdirSync(SNAPSHOTS, { recursive: true });
+  fs.writeFileSync(snapshotFile(name), data);
+}
+
+function readSnapshot(name) {
+  const file = snapshotFile(name);
+  if (!fs.existsSync(file)) assert.fail(`No snapshot ${name}; run with UPDATE_SNAPSHOTS=1 to create it`);
+  return fs.readFileSync(file);
+}
+
+// Text output (SVG, HTML) against snapshots/<name>.
+export function matchSnapshot(name, actual) {
+  if (UPDATE) return writeSnapshot(name, actual);
+  assert.equal(actual, readSnapshot(name).toString("utf8"), `${name} differs from its snapshot`);
+}
+
+// RGBA pixels of a PNG written by ../lib/raster/png.mjs: 8-bit RGBA, every
+// scanline "None" or "Sub" filtered. Enough to compare our own snapshots.
+export function decodePng(buf) {
+  const width = buf.readUInt32BE(16);
+  const height = buf.readUInt32BE(20);
+  const idat = [];
+  for (let pos = 8; pos < buf.length; ) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString("ascii", pos + 4, pos + 8);
+    if (type === "IDAT") idat.push(buf.subarray(pos + 8, pos + 8 + length));
+    pos += length + 12;
+  }
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * 4;
+  const rgba = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    if (filter > 1) throw new Error(`Unsupported PNG filter ${filter}`);
+    for (let i = 0; i < stride; i++) {
+      const left = filter === 1 && i >= 4 ? rgba[y * stride + i - 4] : 0;
+      rgba[y * stride + i] = (raw[y * (stride + 1) + 1 + i] + left) & 0xff;
+    }
+  }
+  return { width, height, rgba };
+}
+
+// A PNG against snapshots/<name>, pixel by pixel: at most `tolerance` of the
+// pixels may be off by more than a few levels in any channel (so rounding
+// differences don't fail it, but a moved sprite does).
+export function matchImageSnapshot(name, png, { tolerance = 0.001 } = {}) {
+  if (UPDATE) return writeSnapshot(name, png);
+  const expected = decodePng(readSnapshot(name));
+  const actual = decodePng(png);
+  assert.deepEqual([actual.width, actual.height], [expected.width, expected.height], `${name} changed size`);
+  let off = 0;
+  for (let i = 0; i < actual.rgba.length; i += 4) {
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(actual.rgba[i + c] - expected.rgba[i + c]) > 4) {
+        off++;
+        break;
+      }
+    }
+  }
+  const share = off / (actual.width * actual.height);
+  assert.ok(share <= tolerance, `${name}: ${(share * 100).toFixed(2)}% of the pixels differ from the snapshot`);
+}
+
+// Well-formed XML, and no number that went wrong on the way into an attribute
+// (NaN coordinates, undefined colours, Infinity sizes).
+export function assertWellFormedSvg(svg) {
+  const root = parseXml(svg);
+  assert.equal(root.name, "svg");
+  const bad = [];
+  const walk = (el) => {
+    for (const [name, value] of Object.entries(el.attrs)) {
+      if (/\b(NaN|undefined|null|Infinity)\b/.test(value)) bad.push(`<${el.name} ${name}="${value}">`);
+    }
+    el.children.forEach(walk);
+  };
+  walk(root);
+  assert.deepEqual(bad, [], "attributes with NaN, undefined, null or Infinity");
+  return root;
+}
+
+// An HTTP server on an ephemeral port; `handle(req, res)` answers each request.
+// -> { url, requests, close() }, `requests` counting what came in.
+export async function startServer(handle) {
+  const state = { requests: 0 };
+  const server = http.createServer((req, res) => {
+    state.requests++;
+    handle(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return Object.assign(state, {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  });
+}
@@ -0,0 +1,104 @@
+import assert from "assert/strict";
+import { describe, test } from "node:test";
+import { minifySvg, renderTrail } from "../lib/index.mjs";
+import { parseXml } from "../lib/xml.mjs";
+import { assertWellFormedSvg, FIXTURES, fixture } from "./helpers.mjs";
+
+const ANIMATIONS = new Set(["animate", "animateTransform", "animateMotion", "set"]);
+
+// A minified tree with its shared shapes put back: each <use> minifySvg()
+// wrote (plain `href`; the styles' own carry xlink:href too) becomes the shape
+// in <defs> it points at, with the <use>'s own attributes. The templates it
+// added go.
+function expandShared(root) {
+  const defs = root.children.find((c) => c.name === "defs");
+  const byId = new Map(defs.children.filter((c) => c.attrs.id).map((c) => [`#${c.attrs.id}`, c]));
+  defs.children = defs.children.filter((c) => !/^ct-[rd]\d+$/.test(c.attrs.id));
+  if (defs.children.length === 0 && !defs.text.trim()) root.children.splice(root.children.indexOf(defs), 1);
+  const expand = (el) => {
+    const template = el.name === "use" && !el.attrs["xlink:href"] && byId.get(el.attrs.href);
+    if (template) {
+      const { id, ...shape } = template.attrs;
+      const { href, ...own } = el.attrs;
+      el.name = template.name;
+      el.attrs = { ...shape, ...own };
+      // ry defaults to rx, and was left out when they matched
+      if (el.name === "rect" && el.attrs.rx !== undefined && el.attrs.ry === undefined) el.attrs.ry = el.attrs.rx;
+    }
+    el.children.forEach(expand);
+  };
+  expand(root);
+  return root;
+}
+
+// A polyline's `d` (absolute or with relative h, v and l) as absolute points;
+// any other path data as its commands and numbers.
+function pathPoints(d) {
+  const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) ?? [];
+  if (!tokens.filter((t) => /[a-zA-Z]/.test(t)).every((c) => "MLlhv".includes(c))) return tokens.map(round).join(" ");
+  const points = [];
+  let [x, y] = [0, 0];
+  let command;
+  for (let i = 0; i < tokens.length; ) {
+    if (/[a-zA-Z]/.test(tokens[i])) command = tokens[i++];
+    const n = () => Number(tokens[i++]);
+    if (command === "M" || command === "L") [x, y] = [n(), n()];
+    else if (command === "l") [x, y] = [x + n(), y + n()];
+    else if (command === "h") x += n();
+    else if (command === "v") y += n();
+    points.push(`${round(x)},${round(y)}`);
+  }
+  return points.join(" ");
+}
+
+// numbers to two decimals, as minifySvg() writes path data (other attributes keep three)
+const round = (t) => (/^[-+]?(?:\d+\.?\d*|\.\d+)$/.test(t) ? String(Number(Number(t).toFixed(2))) : t);
+const numbers = (value) => value.replace(/[-+]?(?:\d+\.?\d*|\.\d+)/g, round).replace(/\s*;\s*/g, ";");
+const css = (text) => text.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\s+/g, "").replace(/;}/g, "}");
+
+// What a renderer sees: elements, attributes and text, with numbers rounded
+// and whitespace that doesn't draw left out.
+function drawing(el) {
+  const attrs = Object.fromEntries(
+    Object.entries(el.attrs)
+      .map(([k, v]) => [k, k === "d" ? pathPoints(v) : numbers(v)])
+      .sort(([a], [b]) => (a < b ? -1 : 1)),
+  );
+  const text = el.name === "style" ? css(el.text) : el.children.length ? "" : el.text.replace(/\s+/g, " ").trim();
+  return { name: el.name, attrs, text, children: el.children.map(drawing) };
+}
+
+const animations = (el) => (ANIMATIONS.has(el.name) ? 1 : 0) + el.children.reduce((n, c) => n + animations(c), 0);
+
+const VARIANTS = {
+  defaults: {},
+  "caravan, labels, stats": { style: "caravan", theme: "light", labels: true, stats: true },
+  "patterns, table": { theme: "high-contrast", patterns: true, table: true },
+  "all scenery, stacked": { scenery: ["seasons", "snow", "terrain", "sky"], layout: "stacked" },
+  adaptive: { adaptive: { dark: "dark", light: "light" } },
+};
+
+describe("a minified SVG draws the same", () => {
+  for (const name of FIXTURES) {
+    for (const [variant, options] of Object.entries(VARIANTS)) {
+      test(`${name}, ${variant}`, async () => {
+        const svg = renderTrail(await fixture(name), { login: "octocat", ...options });
+        const minified = minifySvg(svg);
+        assertWellFormedSvg(minified);
+        assert.ok(minified.length < svg.length);
+
+        const original = parseXml(svg);
+        const expanded = expandShared(parseXml(minified));
+        assert.equal(animations(expanded), animations(original), "animations");
+        assert.deepEqual(drawing(expanded), drawing(original));
+      });
+    }
+  }
+});
+
+test("shares repeated cells and paths", async () => {
+  const minified = minifySvg(renderTrail(await fixture("sparse")));
+  assert.match(minified, /<rect id="ct-r0"/);
+  assert.match(minified, /<use href="#ct-r0"/);
+  assert.doesNotMatch(minified, /<!--|\n\s/);
+});
@@ -0,0 +1,23 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { buildRoute, buildScene, pathAlgorithms, renderTrail } from "../lib/index.mjs";
+import { createRng, pickWeighted } from "../lib/random.mjs";
+import { assertWellFormedSvg } from "./helpers.mjs";
+
+const oneDay = { weeks: [{ contributionDays: [{ date: "2024-05-15", contributionCount: 3, weekday: 3 }] }] };
+
+test("every path handles a single-cell calendar", () => {
+  const scene = buildScene(oneDay);
+  for (const name of pathAlgorithms.keys()) {
+    const route = buildRoute(name, scene, createRng("one"));
+    assert.ok(route.length >= 2, name);
+    assertWellFormedSvg(renderTrail(oneDay, { path: name, seed: "one" }));
+  }
+});
+
+test("pickWeighted", () => {
+  const rng = createRng(1);
+  assert.equal(pickWeighted(rng, [], () => 1), undefined);
+  assert.equal(pickWeighted(rng, ["only"], () => 0), "only");
+  assert.equal(pickWeighted(rng, ["a", "b"], (x) => (x === "b" ? 1 : 0)), "b");
+});
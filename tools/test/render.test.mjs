@@ -0,0 +1,180 @@
+import assert from "assert/strict";
+import { describe, test } from "node:test";
+import { buildScene, renderEmbed, renderTrail } from "../lib/index.mjs";
+import { assertWellFormedSvg, FIXTURES, fixture, matchSnapshot } from "./helpers.mjs";
+
+const all = (el) => [el, ...el.children.flatMap(all)];
+
+// Checks what every trail has, whatever the calendar and options: one cell
+// per day, one colour per level, and a sprite moving along a drawn path.
+// -> the SVG's elements
+function assertTrail(svg, calendar, options = {}) {
+  const elements = all(assertWellFormedSvg(svg));
+  const scene = buildScene(calendar, options);
+  const levelOf = new Map(scene.days.map((d) => [d.date, d.lvl]));
+
+  const cells = elements.flatMap((el) => {
+    const title = el.name === "rect" && el.children.find((c) => c.name === "title");
+    const date = title && title.text.match(/^\s*(\d{4}-\d\d-\d\d) • /)?.[1];
+    return date ? [{ date, fill: el.attrs.fill ?? el.attrs.style }] : [];
+  });
+  assert.deepEqual(cells.map((c) => c.date).sort(), [...levelOf.keys()].sort(), "one cell per day");
+  const fillOf = new Map();
+  for (const { date, fill } of cells) {
+    const level = levelOf.get(date);
+    assert.ok(Number.isInteger(level) && level >= 0 && level < scene.levels, `${date} has a level`);
+    assert.equal(fillOf.get(level) ?? fill, fill, `level ${level} in one colour`);
+    fillOf.set(level, fill);
+  }
+  assert.equal(new Set(fillOf.values()).size, fillOf.size, "each level in its own colour");
+
+  const byId = new Map(elements.filter((el) => el.attrs.id).map((el) => [`#${el.attrs.id}`, el]));
+  const motions = elements.filter((el) => el.name === "animateMotion");
+  assert.ok(motions.length > 0, "an animated sprite");
+  for (const motion of motions) {
+    const mpath = motion.children.find((c) => c.name === "mpath");
+    assert.match(motion.attrs.path ?? byId.get(mpath?.attrs.href)?.attrs.d ?? "", /^M/, "moving along a path");
+  }
+  return elements;
+}
+
+const usedLevels = (elements) =>
+  new Set(elements.filter((el) => el.name === "rect" && el.children.some((c) => c.name === "title")).map((el) => el.attrs.fill)).size;
+
+describe("every fixture, style and layout", () => {
+  for (const name of FIXTURES) {
+    for (const style of ["hiker", "caravan"]) {
+      for (const layout of ["wide", "stacked"]) {
+        test(`${name}, ${style}, ${layout}`, async () => {
+          const calendar = await fixture(name);
+          assertTrail(renderTrail(calendar, { style, layout }), calendar, { layout });
+          const all = { style, layout, labels: true, stats: true, patterns: true, table: true };
+          assertTrail(renderTrail(calendar, all), calendar, all);
+        });
+      }
+    }
+  }
+});
+
+// Two full snapshots catch changes to the markup itself; everything else is
+// checked for its structure, so a deliberate change doesn't rewrite them all.
+describe("snapshots", () => {
+  test("sparse, defaults", async () => {
+    matchSnapshot("sparse.svg", renderTrail(await fixture("sparse"), { login: "octocat" }));
+  });
+
+  test("sparse, caravan, light, labels and stats", async () => {
+    const options = { login: "octocat", style: "caravan", theme: "light", labels: true, stats: true };
+    matchSnapshot("sparse-caravan-light-labels-stats.svg", renderTrail(await fixture("sparse"), options));
+  });
+});
+
+describe("options", () => {
+  const trail = async (options, name = "sparse") => {
+    const calendar = await fixture(name);
+    return { svg: renderTrail(calendar, options), elements: assertTrail(renderTrail(calendar, options), calendar, options) };
+  };
+
+  test("adaptive colours follow prefers-color-scheme", async () => {
+    const { svg } = await trail({ adaptive: { dark: "dark", light: "light" } });
+    assert.match(svg, /@media \(prefers-color-scheme: (dark|light)\)/);
+    assert.match(svg, /style="fill:var\(--ct-grid-0\)"/);
+  });
+
+  test("patterns and a table", async () => {
+    const { svg } = await trail({ theme: "high-contrast", patterns: true, table: true });
+    assert.match(svg, /<pattern /);
+    assert.match(svg, /role="table"/);
+    assert.match(svg, /role="cell"/);
+  });
+
+  for (const [name, options, levels] of [
+    ["github scale", { scale: "github", labels: true }, 5],
+    ["log scale with 7 levels", { scale: "log", levels: 7, labels: true }, 7],
+    ["fixed breakpoints", { scale: "fixed", breakpoints: [1, 3, 6, 10], labels: true }, 6],
+  ]) {
+    test(name, async () => {
+      const { elements } = await trail(options);
+      assert.equal(usedLevels(elements), levels);
+    });
+  }
+
+  test("weeks starting on Monday", async () => {
+    const { elements } = await trail({ weekStart: 1, labels: true });
+    const cells = elements.filter((el) => el.name === "rect" && el.children.some((c) => c.name === "title"));
+    const top = Math.min(...cells.map((el) => Number(el.attrs.y)));
+    const weekdays = cells
+      .filter((el) => Number(el.attrs.y) === top)
+      .map((el) => new Date(`${el.children.find((c) => c.name === "title").text.trim().slice(0, 10)}T00:00:00Z`).getUTCDay());
+    assert.deepEqual([...new Set(weekdays)], [1]);
+  });
+
+  test("a seeded wander differs from the default route", async () => {
+    const { svg } = await trail({ path: "wander", seed: "trail" });
+    const route = (text) => text.match(/<path id="motionPath" d="([^"]*)"/)[1];
+    assert.notEqual(route(svg), route(renderTrail(await fixture("sparse"))));
+    assert.equal(svg, renderTrail(await fixture("sparse"), { path: "wander", seed: "trail" }));
+  });
+
+  test("every scenery layer", async () => {
+    const { svg } = await trail({ scenery: ["seasons", "snow", "terrain", "sky"] });
+    for (const layer of ["Night sky", "Seasons", "Quiet stretches", "Snow"]) assert.match(svg, new RegExp(`<!-- ${layer} -->`));
+  });
+
+  test("multi-year, stacked, with labels and stats", async () => {
+    const { svg } = await trail({ layout: "stacked", labels: true, stats: true }, "multi-year");
+    for (const part of ["Axis labels", "Stats", "Intensity legend"]) assert.match(svg, new RegExp(`<!-- ${part} -->`));
+  });
+});
+
+test("dark and light draw no scenery unless asked", async () => {
+  const calendar = await fixture("sparse");
+  const scenery = /<!-- (Night sky|Seasons|Quiet stretches|Snow) -->/;
+  for (const theme of ["dark", "light"]) {
+    assert.doesNotMatch(renderTrail(calendar, { theme }), scenery, theme);
+    assert.match(renderTrail(calendar, { theme, scenery: ["terrain"] }), scenery, theme);
+  }
+});
+
+test("rendering is deterministic", async () => {
+  const calendar = await fixture("sparse");
+  const options = { path: "wander", seed: 7, stats: true, labels: true };
+  assert.equal(renderTrail(calendar, options), renderTrail(calendar, options));
+});
+
+test("huge counts keep the busiest days at the top level", async () => {
+  const scene = buildScene(await fixture("huge-counts"));
+  const busiest = scene.days.reduce((a, b) => (b.count > a.count ? b : a));
+  assert.equal(busiest.count, 5_999_999_994);
+  assert.equal(busiest.lvl, scene.levels - 1);
+  assert.ok(scene.days.every((d) => Number.isInteger(d.lvl) && d.lvl >= 0 && d.lvl < scene.levels));
+});
+
+describe("interactive page", () => {
+  test("loads nothing from elsewhere", async () => {
+    const html = renderEmbed(await fixture("sparse"), { adaptive: { dark: "dark", light: "light" } });
+    assert.doesNotMatch(html, /<script[^>]*\ssrc=|<link\b|@import|url\(\s*["']?https?:/i);
+  });
+
+  test("its data has finite coordinates, even for an empty calendar", async () => {
+    for (const name of FIXTURES) {
+      const html = renderEmbed(await fixture(name));
+      const data = JSON.parse(html.match(/data-ct="data">([\s\S]*?)<\/script>/)[1]);
+      const numbers = [...data.days.flatMap((d) => d.slice(0, 2)), ...data.routes.flat().flatMap((p) => p.slice(0, 2))];
+      assert.ok(numbers.every(Number.isFinite), name);
+      assert.ok(Number.isFinite(data.duration), name);
+    }
+  });
+
+  test("its SVG is the trail", async () => {
+    const calendar = await fixture("sparse");
+    const html = renderEmbed(calendar, { login: "octocat", labels: true });
+    assertTrail(html.match(/<svg[\s\S]*<\/svg>/)[0], calendar, { labels: true });
+  });
+
+  test("a fragment is just the figure", async () => {
+    const html = renderEmbed(await fixture("partial-week"), { fragment: true });
+    assert.match(html, /^<figure class="ct-embed">/);
+    assert.doesNotMatch(html, /<html|<body/);
+  });
+});
@@ -0,0 +1,173 @@
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { createTrailServer } from "../lib/index.mjs";
+import { assertWellFormedSvg, startServer } from "./helpers.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const sparse = fs.readFileSync(path.join(here, "fixtures", "sparse.json"), "utf8");
+const calendar = JSON.parse(sparse).data.user.contributionsCollection.contributionCalendar;
+
+// GitHub, answering by login: ghost doesn't exist, limited is rate limited,
+// broken fails; everyone else has the sparse calendar
+let github;
+const fetched = [];
+async function startGitHub() {
+  github = await startServer((req, res) => {
+    let text = "";
+    req.on("data", (chunk) => (text += chunk));
+    req.on("end", () => {
+      const login = JSON.parse(text).variables.l0;
+      fetched.push(login);
+      const reply = (status, body, headers = {}) => {
+        res.writeHead(status, { "Content-Type": "application/json", ...headers });
+        res.end(JSON.stringify(body));
+      };
+      if (login === "ghost") return reply(200, { data: { u0: null } });
+      if (login === "limited") {
+        const reset = String(Math.floor(Date.now() / 1000) + 3600);
+        return reply(403, { message: "API rate limit exceeded" }, { "X-RateLimit-Remaining": "0", "X-RateLimit-Reset": reset });
+      }
+      if (login === "broken") return reply(500, { message: "Server Error" });
+      reply(200, { data: { u0: { c0: { contributionCalendar: calendar } } } });
+    });
+  });
+}
+
+// the trail server on an ephemeral port, its clock moved by hand
+let clock;
+async function startTrails(api) {
+  const server = createTrailServer({ api, ttlMs: 60_000, now: () => clock, log: () => {} });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+describe("trail server", () => {
+  let trails;
+  before(async () => {
+    await startGitHub();
+    trails = await startTrails({ token: "test", endpoint: `${github.url}/graphql`, retries: 0, log: () => {} });
+  });
+  after(async () => {
+    await trails.close();
+    await github.close();
+  });
+  beforeEach(() => {
+    clock = 1_000_000;
+    fetched.length = 0;
+  });
+
+  const get = (query, init) => fetch(`${trails.url}${query}`, init);
+  const post = (query, body) => fetch(`${trails.url}${query}`, { method: "POST", body });
+
+  test("GET /trail.svg renders a fetched calendar, shareable for the TTL", async () => {
+    const res = await get("/trail.svg?login=octocat&theme=light&labels=1");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "image/svg+xml; charset=utf-8");
+    assert.equal(res.headers.get("cache-control"), "public, max-age=60");
+    assertWellFormedSvg(await res.text());
+    assert.deepEqual(fetched, ["octocat"]);
+  });
+
+  test("GET /trail.html is the interactive page", async () => {
+    const res = await get("/trail.html?login=octocat");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "text/html; charset=utf-8");
+    assert.match(await res.text(), /<!doctype html>/i);
+  });
+
+  test("HEAD answers the headers only", async () => {
+    const res = await get("/trail.svg?login=octocat", { method: "HEAD" });
+    assert.equal(res.status, 200);
+    assert.ok(Number(res.headers.get("content-length")) > 0);
+    assert.equal(await res.text(), "");
+  });
+
+  test("fetched calendars are kept until the TTL runs out", async () => {
+    await (await get("/trail.svg?login=cached")).text();
+    clock += 59_000;
+    await (await get("/trail.svg?login=CACHED&theme=light")).text();
+    assert.deepEqual(fetched, ["cached"]);
+    clock += 1_000;
+    await (await get("/trail.svg?login=cached")).text();
+    assert.deepEqual(fetched, ["cached", "cached"]);
+    // a different year selection is a different calendar
+    await (await get("/trail.svg?login=cached&year=2024")).text();
+    assert.equal(fetched.length, 3);
+  });
+
+  test("POST renders the calendar in the body, never cached", async () => {
+    const res = await post("/trail.svg?theme=light&stats=1", sparse);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("cache-control"), "no-store");
+    assertWellFormedSvg(await res.text());
+    assert.deepEqual(fetched, []);
+
+    const full = await (await post("/trail.svg", sparse)).text();
+    const minified = await (await post("/trail.svg?minify=1", sparse)).text();
+    assert.ok(minified.length < full.length);
+  });
+
+  test("POST takes timestamped lists in the given timezone", async () => {
+    const list = JSON.stringify([{ date: "2024-05-01T23:30:00Z", count: 3 }]);
+    const html = await (await post("/trail.html?timezone=Asia/Tokyo", list)).text();
+    assert.match(html, /2024-05-02/);
+    assert.doesNotMatch(html, /2024-05-01/);
+  });
+
+  const failures = {
+    "an unknown path": [() => get("/trail.png?login=octocat"), 404, /Not found/],
+    "an unsupported method": [() => get("/trail.svg", { method: "PUT", body: "{}" }), 405, /PUT isn't supported/],
+    "a GET without login": [() => get("/trail.svg"), 400, /login is required/],
+    "an unknown theme": [() => get("/trail.svg?login=octocat&theme=neon"), 400, /Unknown theme "neon"/],
+    "a bad flag": [() => get("/trail.svg?login=octocat&labels=maybe"), 400, /labels must be 1 or 0/],
+    "bad years": [() => get("/trail.svg?login=octocat&year=24"), 400, /comma-separated years/],
+    "an unknown timezone": [() => post("/trail.svg?timezone=Mars/Olympus", sparse), 400, /Mars\/Olympus/],
+    "invalid JSON": [() => post("/trail.svg", "{"), 400, /Invalid JSON/],
+    "JSON that isn't a calendar": [() => post("/trail.svg", '{"hello":1}'), 400, /must contain weeks/],
+    "an unknown user": [() => get("/trail.svg?login=ghost"), 404, /"ghost" not found/],
+    "a rate limit": [() => get("/trail.svg?login=limited"), 429, /rate limit/],
+    "a failing GitHub": [() => get("/trail.svg?login=broken"), 502, /HTTP 500/],
+  };
+  for (const [name, [send, status, message]] of Object.entries(failures)) {
+    test(`${name} is a ${status}`, async () => {
+      const res = await send();
+      assert.equal(res.status, status);
+      assert.equal(res.headers.get("content-type"), "text/plain; charset=utf-8");
+      assert.equal(res.headers.get("cache-control"), "no-store");
+      assert.match(await res.text(), message);
+    });
+  }
+
+  test("405 lists the allowed methods, 429 when to come back", async () => {
+    assert.equal((await get("/trail.svg", { method: "DELETE" })).headers.get("allow"), "GET, HEAD, POST");
+    const retryAfter = Number((await get("/trail.svg?login=limited")).headers.get("retry-after"));
+    assert.ok(retryAfter > 0);
+  });
+
+  test("a POSTed calendar over 5 MiB is a 413", async () => {
+    const res = await post("/trail.svg", "x".repeat(5 * 1024 * 1024 + 1));
+    assert.equal(res.status, 413);
+  });
+});
+
+test("without a token only POSTed calendars render", async () => {
+  clock = 0;
+  const trails = await startTrails({});
+  try {
+    const res = await fetch(`${trails.url}/trail.svg?login=octocat`);
+    assert.equal(res.status, 503);
+    assert.match(await res.text(), /GITHUB_TOKEN isn't set/);
+    assert.equal((await fetch(`${trails.url}/trail.svg`, { method: "POST", body: sparse })).status, 200);
+  } finally {
+    await trails.close();
+  }
+});
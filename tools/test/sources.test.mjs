@@ -0,0 +1,178 @@
+import assert from "assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, describe, test } from "node:test";
+import { calendarDays, combineCalendars, fetchSourceCalendar, SourceError } from "../lib/index.mjs";
+import { startServer } from "./helpers.mjs";
+
+const counts = (calendar) => Object.fromEntries(calendarDays(calendar).filter((d) => d.contributionCount).map((d) => [d.date, d.contributionCount]));
+const quiet = { retries: 1, backoffMs: 1, timeoutMs: 300, log: () => {} };
+const week = [{ from: "2026-03-01", to: "2026-03-07" }];
+
+let server;
+afterEach(() => server?.close());
+
+const json = (res, body, status = 200, headers = {}) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+};
+
+describe("gitlab", () => {
+  test("counts every event, across pages, on its day", async () => {
+    const seen = [];
+    server = await startServer((req, res) => {
+      const url = new URL(req.url, server.url);
+      seen.push({ path: url.pathname, page: url.searchParams.get("page"), token: req.headers["private-token"] });
+      // a full first page of 100 events on the 2nd, then 3 more on the 4th
+      if (url.searchParams.get("page") === "1") {
+        return json(res, Array.from({ length: 100 }, (_, i) => ({ id: i, created_at: "2026-03-02T10:00:00Z" })));
+      }
+      json(res, [100, 101, 102].map((id) => ({ id, created_at: "2026-03-04T23:30:00Z" })));
+    });
+    const calendar = await fetchSourceCalendar("gitlab", { url: server.url, user: "ada", token: "secret", ...quiet }, week);
+    assert.deepEqual(counts(calendar), { "2026-03-02": 100, "2026-03-04": 3 });
+    assert.equal(calendarDays(calendar).length, 7);
+    assert.deepEqual(seen.map((s) => s.page), ["1", "2"]);
+    assert.ok(seen.every((s) => s.path === "/api/v4/users/ada/events" && s.token === "secret"));
+  });
+
+  test("counts in the configured timezone, and once where ranges overlap", async () => {
+    server = await startServer((req, res) => json(res, [{ id: 1, created_at: "2026-03-04T23:30:00Z" }]));
+    const ranges = [{ from: "2026-03-01", to: "2026-03-04" }, { from: "2026-03-05", to: "2026-03-07" }];
+    const calendar = await fetchSourceCalendar("gitlab", { url: server.url, user: "ada", timeZone: "Asia/Tokyo", ...quiet }, ranges);
+    assert.deepEqual(counts(calendar), { "2026-03-05": 1 });
+  });
+
+  test("an unknown user", async () => {
+    server = await startServer((req, res) => json(res, { message: "404 User Not Found" }, 404));
+    await assert.rejects(
+      fetchSourceCalendar("gitlab", { url: server.url, user: "nobody", ...quiet }, week),
+      (e) => e instanceof SourceError && /GitLab user "nobody" not found/.test(e.message),
+    );
+  });
+
+  test("waits out a 429 and retries a 5xx", async () => {
+    server = await startServer((req, res) => {
+      if (server.requests === 1) return json(res, { message: "slow down" }, 429, { "Retry-After": "0" });
+      if (server.requests === 2) return json(res, { message: "oops" }, 502);
+      json(res, [{ id: 1, created_at: "2026-03-03T12:00:00Z" }]);
+    });
+    const calendar = await fetchSourceCalendar("gitlab", { url: server.url, user: "ada", ...quiet, retries: 2 }, week);
+    assert.deepEqual(counts(calendar), { "2026-03-03": 1 });
+    assert.equal(server.requests, 3);
+  });
+
+  test("a long rate limit is a SourceError", async () => {
+    server = await startServer((req, res) => json(res, {}, 429, { "Retry-After": "3600" }));
+    await assert.rejects(
+      fetchSourceCalendar("gitlab", { url: server.url, user: "ada", ...quiet }, week),
+      (e) => e instanceof SourceError && e.status === 429 && /rate limit exceeded until/.test(e.message),
+    );
+    assert.equal(server.requests, 1);
+  });
+
+  test("a connection reset while reading the body is a SourceError", async () => {
+    server = await startServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json", "Content-Length": "100" });
+      res.write("[{");
+      setTimeout(() => res.socket.destroy(), 10);
+    });
+    await assert.rejects(
+      fetchSourceCalendar("gitlab", { url: server.url, user: "ada", ...quiet }, week),
+      (e) => e instanceof SourceError && /GitLab API request failed/.test(e.message),
+    );
+    assert.equal(server.requests, 2);
+  });
+
+  test("a body that stalls times out as a SourceError", async () => {
+    server = await startServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.write("[");
+    });
+    await assert.rejects(
+      fetchSourceCalendar("gitlab", { url: server.url, user: "ada", ...quiet }, week),
+      (e) => e instanceof SourceError && /no response after 0.3s/.test(e.message),
+    );
+  });
+});
+
+describe("gitea", () => {
+  test("adds up the heatmap by day, in the configured timezone", async () => {
+    let seen;
+    server = await startServer((req, res) => {
+      seen = { path: req.url, auth: req.headers.authorization };
+      const at = (iso) => Date.parse(iso) / 1000;
+      json(res, [
+        { timestamp: at("2026-03-02T09:00:00Z"), contributions: 2 },
+        { timestamp: at("2026-03-02T12:00:00Z"), contributions: 3 },
+        { timestamp: at("2026-03-05T20:00:00Z"), contributions: 1 },
+        { timestamp: "garbage", contributions: 9 },
+      ]);
+    });
+    const options = { url: `${server.url}/gitea`, user: "ada", token: "secret", timeZone: "Asia/Tokyo", ...quiet };
+    assert.deepEqual(counts(await fetchSourceCalendar("gitea", options, week)), { "2026-03-02": 5, "2026-03-06": 1 });
+    assert.deepEqual(seen, { path: "/gitea/api/v1/users/ada/heatmap", auth: "token secret" });
+  });
+
+  test("an unexpected heatmap is a SourceError", async () => {
+    server = await startServer((req, res) => json(res, { heatmap: [] }));
+    await assert.rejects(fetchSourceCalendar("gitea", { url: server.url, user: "ada", ...quiet }, week), SourceError);
+  });
+});
+
+describe("git", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "camping-git-"));
+  const repo = path.join(dir, "nested", "repo");
+  const git = (args, env = {}) => execFileSync("git", ["-C", repo, ...args], { env: { ...process.env, ...env }, stdio: "pipe" });
+  const commit = (email, date) =>
+    git(["-c", "user.name=Ada", "-c", `user.email=${email}`, "commit", "--allow-empty", "-q", "-m", date], {
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_DATE: date,
+    });
+
+  fs.mkdirSync(repo, { recursive: true });
+  git(["init", "-q"]);
+  commit("ada@example.com", "2026-03-02T10:00:00+00:00");
+  commit("ADA@example.com", "2026-03-02T11:00:00+00:00");
+  commit("ada@example.com", "2026-03-04T23:30:00-05:00");
+  commit("someone@example.com", "2026-03-03T10:00:00+00:00");
+  process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("counts the author's commits, found below the given directory", async () => {
+    const calendar = await fetchSourceCalendar("git", { repos: [dir], emails: ["ada@example.com"] }, week);
+    assert.deepEqual(counts(calendar), { "2026-03-02": 2, "2026-03-04": 1 });
+  });
+
+  test("in the author's timezone unless one is given", async () => {
+    const calendar = await fetchSourceCalendar("git", { repos: [repo], emails: ["ada@example.com"], timeZone: "UTC" }, week);
+    assert.deepEqual(counts(calendar), { "2026-03-02": 2, "2026-03-05": 1 });
+  });
+
+  test("no repository is a SourceError", async () => {
+    const empty = fs.mkdtempSync(path.join(dir, "empty-"));
+    await assert.rejects(fetchSourceCalendar("git", { repos: [empty], emails: ["ada@example.com"] }, week), /No git repositories found/);
+  });
+});
+
+describe("combineCalendars", () => {
+  const calendar = (entries) => ({
+    weeks: [{ contributionDays: Object.entries(entries).map(([date, contributionCount]) => ({ date, contributionCount })) }],
+  });
+  const gitlab = calendar({ "2026-03-01": 2, "2026-03-02": 5 });
+  const github = calendar({ "2026-03-02": 3, "2026-03-03": 1 });
+
+  test("sum adds up each day, over the union of the days", () => {
+    assert.deepEqual(counts(combineCalendars([gitlab, github], "sum")), { "2026-03-01": 2, "2026-03-02": 8, "2026-03-03": 1 });
+    assert.deepEqual(counts(combineCalendars([gitlab, github])), counts(combineCalendars([gitlab, github], "sum")));
+  });
+
+  test("max takes the busier source's day", () => {
+    assert.deepEqual(counts(combineCalendars([gitlab, github], "max")), { "2026-03-01": 2, "2026-03-02": 5, "2026-03-03": 1 });
+  });
+
+  test("an unknown mode", () => {
+    assert.throws(() => combineCalendars([gitlab], "avg"), /Unknown merge mode "avg"/);
+  });
+});
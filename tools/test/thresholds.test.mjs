@@ -0,0 +1,157 @@
+import assert from "assert/strict";
+import { describe, test } from "node:test";
+import { buildThresholds, checkScaling, levelDays, levelFor, levelRanges, thresholdsFromLevels } from "../lib/thresholds.mjs";
+
+const quantile = { scale: "quantile", levels: 5 };
+
+describe("buildThresholds", () => {
+  test("quartiles of the active days", () => {
+    assert.deepEqual(buildThresholds([0, 0, 1, 2, 3, 4, 5, 6, 7, 8, 9], quantile), [3, 5, 7]);
+  });
+
+  test("no activity falls back to 1, 2, 3", () => {
+    assert.deepEqual(buildThresholds([], quantile), [1, 2, 3]);
+    assert.deepEqual(buildThresholds([0, 0, 0], quantile), [1, 2, 3]);
+  });
+
+  test("a single active day still gives increasing thresholds", () => {
+    assert.deepEqual(buildThresholds([0, 5, 0], quantile), [5, 6, 7]);
+  });
+
+  test("equal counts never collapse two levels", () => {
+    const t = buildThresholds([1, 1, 1, 1, 1], quantile);
+    assert.deepEqual(t, [1, 2, 3]);
+  });
+
+  test("ignores negative counts", () => {
+    assert.deepEqual(buildThresholds([-4, -1, 2, 4, 6, 8], quantile), buildThresholds([2, 4, 6, 8], quantile));
+  });
+
+  test("huge counts stay finite and increasing", () => {
+    const t = buildThresholds([1, 1_250_000, 999_999_999, 7_500], quantile);
+    assert.ok(t.every(Number.isFinite));
+    assert.ok(t.every((v, i) => i === 0 || v > t[i - 1]));
+  });
+
+  test("linear: equal steps up to the busiest day", () => {
+    assert.deepEqual(buildThresholds([1, 100], { scale: "linear", levels: 5 }), [25, 50, 75]);
+  });
+
+  test("log: equal steps on a log scale", () => {
+    assert.deepEqual(buildThresholds([1, 999], { scale: "log", levels: 5 }), [5, 31, 177]);
+  });
+
+  test("fixed: the breakpoints, whatever the counts", () => {
+    assert.deepEqual(buildThresholds([1, 500], { scale: "fixed", breakpoints: [2, 4, 8] }), [2, 4, 8]);
+    assert.deepEqual(buildThresholds([], { scale: "fixed", breakpoints: [10] }), [10]);
+  });
+
+  test("github falls back to quantiles on counts alone", () => {
+    const counts = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+    assert.deepEqual(buildThresholds(counts, { scale: "github", levels: 5 }), buildThresholds(counts, quantile));
+  });
+
+  test("levels sets the number of thresholds", () => {
+    const counts = Array.from({ length: 100 }, (_, i) => i + 1);
+    for (const levels of [2, 3, 7, 10]) {
+      assert.equal(buildThresholds(counts, { scale: "quantile", levels }).length, levels - 2);
+    }
+    assert.deepEqual(buildThresholds(counts, { scale: "quantile", levels: 3 }), [51]);
+  });
+});
+
+describe("checkScaling", () => {
+  test("fills in the defaults", () => {
+    assert.deepEqual(checkScaling(), { scale: "quantile", levels: 5, breakpoints: undefined });
+    assert.equal(checkScaling({ scale: "fixed", breakpoints: [1, 5] }).levels, 4);
+  });
+
+  test("rejects bad options", () => {
+    assert.throws(() => checkScaling({ scale: "cubic" }), /Unknown scaling "cubic"/);
+    assert.throws(() => checkScaling({ levels: 1 }), /from 2 to 10/);
+    assert.throws(() => checkScaling({ levels: 11 }), /from 2 to 10/);
+    assert.throws(() => checkScaling({ levels: 4.5 }), /from 2 to 10/);
+    assert.throws(() => checkScaling({ scale: "fixed" }), /needs breakpoints/);
+    assert.throws(() => checkScaling({ scale: "fixed", breakpoints: [3, 3] }), /each higher than the last/);
+    assert.throws(() => checkScaling({ scale: "fixed", breakpoints: [0, 3] }), /from 1 up/);
+    assert.throws(() => checkScaling({ scale: "fixed", breakpoints: [1, 2], levels: 5 }), /make 4 levels, not 5/);
+    assert.throws(() => checkScaling({ breakpoints: [1, 2] }), /only apply to fixed/);
+    assert.throws(() => checkScaling({ scale: "github", levels: 4 }), /GitHub's 5 levels/);
+  });
+});
+
+describe("levelFor", () => {
+  const t = [3, 6, 9];
+
+  test("bounds are inclusive", () => {
+    assert.deepEqual([1, 3, 4, 6, 7, 9, 10].map((c) => levelFor(c, t)), [1, 1, 2, 2, 3, 3, 4]);
+  });
+
+  test("nothing or not a number is level 0", () => {
+    for (const count of [0, -1, NaN, undefined, null]) assert.equal(levelFor(count, t), 0, String(count));
+  });
+
+  test("above every threshold is the top level", () => {
+    assert.equal(levelFor(Number.MAX_SAFE_INTEGER, t), 4);
+    assert.equal(levelFor(Infinity, t), 4);
+  });
+
+  test("two levels: any activity is level 1", () => {
+    assert.equal(levelFor(1, []), 1);
+    assert.equal(levelFor(1e9, []), 1);
+  });
+});
+
+describe("levelDays", () => {
+  test("github keeps GitHub's levels and derives matching thresholds", () => {
+    const days = [
+      { count: 0, contributionLevel: "NONE" },
+      { count: 2, contributionLevel: "FIRST_QUARTILE" },
+      { count: 5, contributionLevel: "SECOND_QUARTILE" },
+      { count: 8, contributionLevel: "THIRD_QUARTILE" },
+      { count: 30, contributionLevel: "FOURTH_QUARTILE" },
+    ];
+    const t = levelDays(days, { scale: "github", levels: 5 });
+    assert.deepEqual(days.map((d) => d.lvl), [0, 1, 2, 3, 4]);
+    assert.deepEqual(t, [2, 5, 8]);
+  });
+
+  test("github levels days without one by quantile", () => {
+    const days = [
+      { count: 4, contributionLevel: "FOURTH_QUARTILE" },
+      { count: 1 },
+      { count: 9, contributionLevel: "toString" },
+    ];
+    levelDays(days, { scale: "github", levels: 5 });
+    assert.equal(days[0].lvl, 4);
+    assert.ok(days[1].lvl > 0 && days[2].lvl > 0);
+  });
+
+  test("other scales ignore contributionLevel", () => {
+    const days = [{ count: 1, contributionLevel: "FOURTH_QUARTILE" }, { count: 100 }];
+    levelDays(days, { scale: "linear", levels: 5 });
+    assert.deepEqual(days.map((d) => d.lvl), [1, 4]);
+  });
+});
+
+test("thresholdsFromLevels: the busiest count per level, always increasing", () => {
+  const days = [
+    { count: 3, lvl: 1 },
+    { count: 1, lvl: 1 },
+    { count: 2, lvl: 2 },
+  ];
+  assert.deepEqual(thresholdsFromLevels(days, 5), [3, 4, 5]);
+});
+
+test("levelRanges", () => {
+  assert.deepEqual(levelRanges([3, 6]), [
+    { level: 0, min: 0, max: 0 },
+    { level: 1, min: 1, max: 3 },
+    { level: 2, min: 4, max: 6 },
+    { level: 3, min: 7, max: Infinity },
+  ]);
+  assert.deepEqual(levelRanges([]), [
+    { level: 0, min: 0, max: 0 },
+    { level: 1, min: 1, max: Infinity },
+  ]);
+});
@@ -0,0 +1,36 @@
+// Visual regression: poster frames of a few renders, compared pixel by pixel
+// with snapshots/*.png. Catches what a text snapshot can't show at a glance,
+// e.g. a sprite drawn off its route or a grid in the wrong colours.
+
+import assert from "assert/strict";
+import { test } from "node:test";
+import { renderTrail } from "../lib/index.mjs";
+import { renderPoster } from "../lib/raster/index.mjs";
+import { fixture, matchImageSnapshot } from "./helpers.mjs";
+
+const posters = {
+  "sparse-hiker": ["sparse", { style: "hiker", theme: "dark" }],
+  "sparse-caravan": ["sparse", { style: "caravan", theme: "light", stats: true }],
+  "partial-week": ["partial-week", { theme: "winter" }],
+  "huge-counts": ["huge-counts", { scale: "log", levels: 7 }],
+};
+
+for (const [name, [calendar, options]] of Object.entries(posters)) {
+  test(`${name} poster`, async () => {
+    const svg = renderTrail(await fixture(calendar), options);
+    matchImageSnapshot(`${name}.png`, renderPoster(svg, { time: 5, log: () => {} }));
+  });
+}
+
+test("raster output warns about the text it leaves out", async () => {
+  const warnings = [];
+  const log = (message) => warnings.push(message);
+  const calendar = await fixture("sparse");
+  renderPoster(renderTrail(calendar, { labels: true, stats: true }), { log });
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^Raster output has no text: \d+ text elements/);
+
+  const bare = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><title>t</title><defs><text id="x">x</text></defs></svg>';
+  renderPoster(bare, { log });
+  assert.equal(warnings.length, 1);
+});